@@ -0,0 +1,434 @@
+/**
+ * Fresh & Clean Laundry - Structured Data Pre-renderer
+ *
+ * Runs buildBusinessStructuredData() from script.js against index.html,
+ * so the business JSON-LD is in the static file for crawlers that don't
+ * run JavaScript. The page keeps the pre-rendered copy up to date once
+ * the content file and translations load.
+ *
+ * Usage:
+ *   node build-structured-data.js [file]           - Print the JSON-LD
+ *   node build-structured-data.js --write [file]   - Write it into the <head>
+ *
+ * [file] defaults to index.html. Re-running --write replaces the existing
+ * block. Needs Node 20.19+ or 22.7+, which load script.js as an ES module
+ * without a package.json.
+ *
+ * The page is read with a small built-in HTML parser that understands the
+ * subset of markup and selectors the generator uses.
+ *
+ * @dependencies: []
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Configuration & Constants
+// ============================================
+const CONFIG = Object.freeze({
+  DEFAULT_FILE: path.join(__dirname, 'index.html'),
+  SCRIPT_URL: new URL('script.js', `file://${__dirname}/`).href,
+});
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+
+/**
+ * Elements whose content is text up to the matching end tag
+ */
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+const ENTITIES = Object.freeze({
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  copy: '©',
+  ndash: '–',
+  mdash: '—',
+  lsquo: '‘',
+  rsquo: '’',
+  hellip: '…',
+});
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// ============================================
+// HTML Parsing
+// ============================================
+
+/**
+ * Decode character references in text or attribute values
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+      return String.fromCodePoint(code);
+    }
+
+    return ENTITIES[name] !== undefined ? ENTITIES[name] : reference;
+  });
+}
+
+/**
+ * Text node with the DOM properties the generator reads
+ */
+class TextNode {
+  /**
+   * @param {string} text - Decoded text
+   */
+  constructor(text) {
+    this.nodeType = 3;
+    this.nodeName = '#text';
+    this.textContent = text;
+  }
+}
+
+/**
+ * Element node with a read-only subset of the DOM Element API
+ */
+class ElementNode {
+  /**
+   * @param {string} name - Lowercase tag name
+   * @param {Map<string, string>} attributes - Decoded attributes
+   * @param {ElementNode|null} parent - Parent element
+   */
+  constructor(name, attributes, parent) {
+    this.nodeType = 1;
+    this.localName = name;
+    this.tagName = name.toUpperCase();
+    this.nodeName = this.tagName;
+    this.attributes = attributes;
+    this.parentNode = parent;
+    this.childNodes = [];
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  get nextElementSibling() {
+    if (!this.parentNode) {
+      return null;
+    }
+
+    const siblings = this.parentNode.children;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  /**
+   * @param {string} name - Attribute name
+   * @returns {string|null} Attribute value, or null if absent
+   */
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  /**
+   * @param {string} name - Attribute name
+   * @returns {boolean} Whether the attribute is present
+   */
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  /**
+   * @param {string} selector - Selector list (see parseSelector)
+   * @returns {ElementNode[]} Matching descendants in document order
+   */
+  querySelectorAll(selector) {
+    const groups = selector.split(',').map(parseSelector);
+    const matches = [];
+
+    const visit = element => {
+      element.children.forEach(child => {
+        if (groups.some(compounds => matchesSelector(child, compounds))) {
+          matches.push(child);
+        }
+        visit(child);
+      });
+    };
+
+    visit(this);
+    return matches;
+  }
+
+  /**
+   * @param {string} selector - Selector list (see parseSelector)
+   * @returns {ElementNode|null} First matching descendant
+   */
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+/**
+ * Parse an HTML document into ElementNode/TextNode trees
+ * End tags close back to their open element; unmatched end tags are ignored.
+ * @param {string} html - HTML source
+ * @returns {ElementNode} Document node
+ */
+function parseHtml(html) {
+  const document = new ElementNode('#document', new Map(), null);
+  const stack = [document];
+  let index = 0;
+
+  const current = () => stack[stack.length - 1];
+  const appendText = text => {
+    if (text) {
+      current().childNodes.push(new TextNode(decodeEntities(text)));
+    }
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+
+  for (let match = TAG_PATTERN.exec(html); match; match = TAG_PATTERN.exec(html)) {
+    appendText(html.slice(index, match.index));
+    index = TAG_PATTERN.lastIndex;
+
+    const [, endName, startName, attributeText = ''] = match;
+
+    if (endName) {
+      const name = endName.toLowerCase();
+      const open = stack.map(element => element.localName).lastIndexOf(name);
+
+      if (open > 0) {
+        stack.length = open;
+      }
+      continue;
+    }
+
+    if (!startName) {
+      continue;
+    }
+
+    const name = startName.toLowerCase();
+    const element = new ElementNode(name, parseAttributes(attributeText), current());
+    current().childNodes.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, index);
+      const close = end === -1 ? html.length : end;
+      const text = html.slice(index, close);
+
+      element.childNodes.push(new TextNode(name === 'title' || name === 'textarea' ? decodeEntities(text) : text));
+      index = close === html.length ? close : html.indexOf('>', close) + 1;
+      TAG_PATTERN.lastIndex = index;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(name)) {
+      stack.push(element);
+    }
+  }
+
+  appendText(html.slice(index));
+  return document;
+}
+
+/**
+ * Parse a start tag's attributes
+ * @param {string} text - Attribute source, e.g. ` class="a" hidden`
+ * @returns {Map<string, string>} Decoded attributes by lowercase name
+ */
+function parseAttributes(text) {
+  const attributes = new Map();
+
+  for (const [, name, double, single, bare] of text.matchAll(ATTRIBUTE_PATTERN)) {
+    const value = double !== undefined ? double : single !== undefined ? single : bare;
+    attributes.set(name.toLowerCase(), decodeEntities(value || ''));
+  }
+
+  return attributes;
+}
+
+// ============================================
+// Selector Matching
+// ============================================
+
+/**
+ * Parse a selector made of compound selectors joined by descendant
+ * combinators. Supports type, #id, .class and [attr], [attr=v],
+ * [attr^=v], [attr$=v], [attr*=v] and [attr~=v].
+ * @param {string} selector - Selector without commas
+ * @returns {Object[]} Compound selectors, outermost first
+ */
+function parseSelector(selector) {
+  return selector.trim().split(/\s+/).map(compound => {
+    const parts = { tag: '', ids: [], classes: [], attributes: [] };
+    const pattern = /^([a-z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:([~^$*]?)=(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]/gi;
+    let consumed = 0;
+
+    for (const match of compound.matchAll(pattern)) {
+      if (match.index !== consumed) {
+        break;
+      }
+      consumed += match[0].length;
+
+      const [, tag, id, className, attribute, operator = '', double, single, bare] = match;
+
+      if (tag) {
+        parts.tag = tag === '*' ? '' : tag.toLowerCase();
+      } else if (id) {
+        parts.ids.push(id);
+      } else if (className) {
+        parts.classes.push(className);
+      } else {
+        const value = double !== undefined ? double : single !== undefined ? single : bare;
+        parts.attributes.push({ name: attribute.toLowerCase(), operator, value });
+      }
+    }
+
+    if (consumed !== compound.length) {
+      throw new Error(`Unsupported selector: ${selector}`);
+    }
+
+    return parts;
+  });
+}
+
+/**
+ * Check an element against one compound selector
+ * @param {ElementNode} element - Element to test
+ * @param {Object} compound - Compound selector from parseSelector
+ * @returns {boolean} Whether the element matches
+ */
+function matchesCompound(element, { tag, ids, classes, attributes }) {
+  if (tag && element.localName !== tag) {
+    return false;
+  }
+
+  const classList = (element.getAttribute('class') || '').split(/\s+/);
+
+  return ids.every(id => element.getAttribute('id') === id)
+    && classes.every(className => classList.includes(className))
+    && attributes.every(({ name, operator, value }) => {
+      const actual = element.getAttribute(name);
+
+      if (actual === null) {
+        return false;
+      }
+
+      switch (operator) {
+        case '':
+          return value === undefined || actual === value;
+        case '^':
+          return actual.startsWith(value);
+        case '$':
+          return actual.endsWith(value);
+        case '*':
+          return actual.includes(value);
+        case '~':
+          return actual.split(/\s+/).includes(value);
+        default:
+          return false;
+      }
+    });
+}
+
+/**
+ * Check an element against a descendant-combinator selector
+ * Like the DOM, ancestors may lie outside the node the search started from.
+ * @param {ElementNode} element - Element to test
+ * @param {Object[]} compounds - Compound selectors, outermost first
+ * @returns {boolean} Whether the element matches
+ */
+function matchesSelector(element, compounds) {
+  if (!matchesCompound(element, compounds[compounds.length - 1])) {
+    return false;
+  }
+
+  let remaining = compounds.length - 2;
+
+  for (let ancestor = element.parentNode; ancestor && remaining >= 0; ancestor = ancestor.parentNode) {
+    if (ancestor.localName !== '#document' && matchesCompound(ancestor, compounds[remaining])) {
+      remaining -= 1;
+    }
+  }
+
+  return remaining < 0;
+}
+
+// ============================================
+// Pre-rendering
+// ============================================
+
+/**
+ * Format the JSON-LD as a script block for the <head>
+ * "<" is escaped so text in the data can't close the script element.
+ * @param {Object} data - JSON-LD object
+ * @param {string} id - Script element id
+ * @returns {string} Script element source, indented for the <head>
+ */
+function formatScriptBlock(data, id) {
+  const json = JSON.stringify(data, null, 2)
+    .replace(/</g, '\\u003c')
+    .split('\n')
+    .map(line => `    ${line}`)
+    .join('\n');
+
+  return `<script type="application/ld+json" id="${id}">\n${json}\n  </script>`;
+}
+
+/**
+ * Insert the script block into the page, replacing an earlier one
+ * @param {string} html - Page source
+ * @param {string} block - Script element source
+ * @param {string} id - Script element id
+ * @returns {string} Updated page source
+ */
+function injectScriptBlock(html, block, id) {
+  const existing = new RegExp(`<script[^>]*\\bid=["']${id}["'][^>]*>[\\s\\S]*?</script>`);
+
+  if (existing.test(html)) {
+    return html.replace(existing, () => block);
+  }
+
+  if (!/<\/head>/i.test(html)) {
+    throw new Error('No </head> to insert the structured data before');
+  }
+
+  const comment = '<!-- Business structured data, generated by build-structured-data.js -->';
+  return html.replace(/<\/head>/i, () => `\n  ${comment}\n  ${block}\n</head>`);
+}
+
+/**
+ * Build the JSON-LD for a page and print it or write it into the page
+ * @param {string[]} args - Command-line arguments
+ */
+async function main(args) {
+  const write = args.includes('--write');
+  const file = path.resolve(args.find(arg => !arg.startsWith('--')) || CONFIG.DEFAULT_FILE);
+  const { buildBusinessStructuredData, STRUCTURED_DATA_ID } = await import(CONFIG.SCRIPT_URL);
+
+  const html = fs.readFileSync(file, 'utf8');
+  const data = buildBusinessStructuredData(parseHtml(html));
+
+  if (!write) {
+    process.stdout.write(`${JSON.stringify(data, null, 2)}\n`);
+    return;
+  }
+
+  const block = formatScriptBlock(data, STRUCTURED_DATA_ID);
+  fs.writeFileSync(file, injectScriptBlock(html, block, STRUCTURED_DATA_ID));
+  console.log(`[structured-data] Wrote ${STRUCTURED_DATA_ID} into ${path.relative(process.cwd(), file) || file}`);
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error('[structured-data] Failed:', error);
+  process.exitCode = 1;
+});
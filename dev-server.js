@@ -0,0 +1,578 @@
+/**
+ * Fresh & Clean Laundry - Local Development Server
+ *
+ * Serves the static site and stands in for the backend endpoints the
+ * page talks to, so features can be exercised without real services.
+ *
+ * Usage:
+ *   node dev-server.js
+ *
+ * Environment variables:
+ *   PORT                     - Port to listen on (default 8080)
+ *   SUBMISSION_FAILURE_RATE  - Fraction of submissions answered with 503,
+ *                              for exercising the retry queue (default 0)
+ *   SUBMISSION_DELAY         - Milliseconds to wait before answering (default 0)
+ *   ORDER_STATUS_RATE_LIMIT  - Order lookups allowed per client per minute (default 10)
+ *
+ * Endpoints:
+ *   POST /api/submissions    - Accepts JSON or form-encoded submissions
+ *   GET  /api/submissions    - Lists submissions received since startup
+ *   POST /api/analytics      - Accepts batched analytics events (sendBeacon)
+ *   GET  /api/analytics      - Lists analytics events received since startup
+ *   POST /api/errors         - Accepts batched client error reports (sendBeacon)
+ *   GET  /api/errors         - Lists error reports received since startup
+ *   POST /api/orders/status  - Looks up a sample order from mock/orders.json
+ *                              by { ticket, phoneLast4 }
+ *
+ * @dependencies: []
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Configuration & Constants
+// ============================================
+const CONFIG = Object.freeze({
+  PORT: Number(process.env.PORT) || 8080,
+  HOST: '127.0.0.1',
+  ROOT: __dirname,
+  SUBMISSION_FAILURE_RATE: Number(process.env.SUBMISSION_FAILURE_RATE) || 0,
+  SUBMISSION_DELAY: Number(process.env.SUBMISSION_DELAY) || 0,
+  MAX_BODY_BYTES: 100 * 1024,
+  ORDERS_FILE: path.join(__dirname, 'mock', 'orders.json'),
+  ORDER_STATUS_RATE_LIMIT: Number(process.env.ORDER_STATUS_RATE_LIMIT) || 10,
+  ORDER_STATUS_RATE_WINDOW: 60 * 1000,
+});
+
+const MIME_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+});
+
+/**
+ * Files and directories the static server may serve, relative to ROOT.
+ * Everything else, such as .git and the server scripts, is a 404.
+ */
+const STATIC_FILES = Object.freeze(['index.html', 'styles.css', 'script.js', 'sw.js']);
+const STATIC_DIRECTORIES = Object.freeze(['content', 'images']);
+
+/**
+ * Order steps in the order they happen, matching ORDER_STEPS in script.js
+ */
+const ORDER_STEPS = Object.freeze(['received', 'cleaning', 'ready', 'out-for-delivery', 'delivered']);
+
+const submissions = [];
+const analyticsEvents = [];
+const errorReports = [];
+const orderLookups = new Map();
+const startedAt = Date.now();
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Log a message with the server prefix
+ * @param {string} message - Message to log
+ */
+function log(message) {
+  console.log(`[dev-server] ${message}`);
+}
+
+/**
+ * Make a client-supplied value safe to put in a log line
+ * Control characters are escaped, so a value can't start a new line that
+ * looks like it came from the server.
+ * @param {*} value - Value to log
+ * @returns {string} Single-line text
+ */
+function sanitizeForLog(value) {
+  return String(value).replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]/g, char =>
+    `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': MIME_TYPES['.json'],
+    'Cache-Control': 'no-store',
+    ...headers,
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Read and parse a JSON or form-encoded request body
+ * Rejects with status 413 when the body is over MAX_BODY_BYTES, and 400
+ * when it can't be parsed or isn't an object.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+
+    const fail = (status, message) => {
+      const error = new Error(message);
+      error.status = status;
+      reject(error);
+    };
+
+    const handleData = chunk => {
+      raw += chunk;
+      if (raw.length > CONFIG.MAX_BODY_BYTES) {
+        // Stop collecting and let the rest drain, so the socket stays
+        // usable for the 413 response
+        req.removeListener('data', handleData);
+        req.removeListener('end', handleEnd);
+        req.resume();
+        raw = '';
+        fail(413, 'Request body too large');
+      }
+    };
+
+    const handleEnd = () => {
+      let body;
+
+      try {
+        const type = req.headers['content-type'] || '';
+
+        if (type.includes('application/json')) {
+          body = raw ? JSON.parse(raw) : {};
+        } else {
+          body = {};
+          new URLSearchParams(raw).forEach((value, name) => {
+            body[name] = name in body ? [].concat(body[name], value) : value;
+          });
+        }
+      } catch (error) {
+        fail(400, error.message);
+        return;
+      }
+
+      if (!isPlainObject(body)) {
+        fail(400, 'expected a JSON object');
+        return;
+      }
+
+      resolve(body);
+    };
+
+    req.setEncoding('utf8');
+    req.on('data', handleData);
+    req.on('end', handleEnd);
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Answer a request whose body couldn't be read
+ * Oversized bodies get 413 and close the connection; the rest get 400.
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} error - Error from readBody()
+ */
+function sendBodyError(res, error) {
+  if (error.status === 413) {
+    sendJson(res, 413, { error: error.message }, { Connection: 'close' });
+    return;
+  }
+
+  sendJson(res, 400, { error: `Invalid request body: ${error.message}` });
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================
+// API Routes
+// ============================================
+
+/**
+ * POST /api/submissions
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function createSubmission(req, res) {
+  let body;
+
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    sendBodyError(res, error);
+    return;
+  }
+
+  await delay(CONFIG.SUBMISSION_DELAY);
+
+  if (Math.random() < CONFIG.SUBMISSION_FAILURE_RATE) {
+    log('Simulating a failed submission (503)');
+    sendJson(res, 503, { error: 'Service temporarily unavailable' });
+    return;
+  }
+
+  // Retries reuse the same id, so only store the first copy
+  const existing = body.id && submissions.find(item => item.id === body.id);
+  const record = existing || {
+    ...body,
+    id: body.id || `srv-${Date.now().toString(36)}`,
+    receivedAt: new Date().toISOString(),
+  };
+
+  if (!existing) {
+    submissions.push(record);
+    log(`Submission received:\n${JSON.stringify(record, null, 2)}`);
+  }
+
+  // Plain HTML form posts (no JavaScript) get sent back to the page
+  const accept = req.headers.accept || '';
+  if (!accept.includes('application/json') && accept.includes('text/html')) {
+    res.writeHead(303, { Location: '/#contact' });
+    res.end();
+    return;
+  }
+
+  sendJson(res, existing ? 200 : 201, { id: record.id, receivedAt: record.receivedAt });
+}
+
+/**
+ * GET /api/submissions
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function listSubmissions(req, res) {
+  sendJson(res, 200, submissions);
+}
+
+/**
+ * POST /api/analytics
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function recordAnalytics(req, res) {
+  let body;
+
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    sendBodyError(res, error);
+    return;
+  }
+
+  const events = Array.isArray(body.events) ? body.events.filter(isPlainObject) : [];
+  analyticsEvents.push(...events);
+  events.forEach(event => log(`Analytics: ${sanitizeForLog(event.name)} ${JSON.stringify(event.properties || {})}`));
+
+  res.writeHead(204);
+  res.end();
+}
+
+/**
+ * GET /api/analytics
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function listAnalytics(req, res) {
+  sendJson(res, 200, analyticsEvents);
+}
+
+/**
+ * POST /api/errors
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function recordErrors(req, res) {
+  let body;
+
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    sendBodyError(res, error);
+    return;
+  }
+
+  const reports = Array.isArray(body.reports) ? body.reports.filter(isPlainObject) : [];
+  const receivedAt = new Date().toISOString();
+
+  reports.forEach(report => {
+    errorReports.push({ ...report, userAgent: body.userAgent, receivedAt });
+    const count = Number(report.count) || 1;
+    const [context, name, message] = [report.context, report.name, report.message].map(sanitizeForLog);
+    log(`Client error (x${count}) in ${context}: ${name}: ${message}`);
+  });
+
+  if (Number(body.dropped) > 0) {
+    log(`Client dropped ${Number(body.dropped)} error report(s) over its rate limit`);
+  }
+
+  res.writeHead(204);
+  res.end();
+}
+
+/**
+ * GET /api/errors
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+function listErrors(req, res) {
+  sendJson(res, 200, errorReports);
+}
+
+/**
+ * POST /api/orders/status
+ * Unknown tickets and mismatched phone digits both answer 404, so the
+ * endpoint doesn't reveal which ticket numbers exist
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function getOrderStatus(req, res) {
+  const retryAfter = checkOrderRateLimit(req.socket.remoteAddress);
+
+  if (retryAfter) {
+    log(`Order lookup rate limited for ${retryAfter}s`);
+    sendJson(res, 429, { error: 'Too many lookups' }, { 'Retry-After': String(retryAfter) });
+    return;
+  }
+
+  let body;
+
+  try {
+    body = await readBody(req);
+  } catch (error) {
+    sendBodyError(res, error);
+    return;
+  }
+
+  const ticket = typeof body.ticket === 'string' ? body.ticket.trim().toUpperCase() : '';
+  const phoneLast4 = typeof body.phoneLast4 === 'string' ? body.phoneLast4.trim() : '';
+
+  if (!ticket || !/^\d{4}$/.test(phoneLast4)) {
+    sendJson(res, 400, { error: 'ticket and phoneLast4 are required' });
+    return;
+  }
+
+  const orders = await loadMockOrders();
+  const order = orders.find(item => item.ticket === ticket && item.phoneLast4 === phoneLast4);
+  const status = order && describeOrder(order, Date.now());
+
+  if (!status) {
+    log(`Order lookup: ${sanitizeForLog(ticket)} not found`);
+    sendJson(res, 404, { error: 'Order not found' });
+    return;
+  }
+
+  log(`Order lookup: ${ticket} is ${status.status}`);
+  sendJson(res, 200, status);
+}
+
+/**
+ * Count an order lookup against a client's allowance
+ * @param {string} client - Client address
+ * @returns {number} Seconds to wait if over the limit, else 0
+ */
+function checkOrderRateLimit(client) {
+  const now = Date.now();
+  const recent = (orderLookups.get(client) || [])
+    .filter(time => now - time < CONFIG.ORDER_STATUS_RATE_WINDOW);
+
+  if (recent.length >= CONFIG.ORDER_STATUS_RATE_LIMIT) {
+    orderLookups.set(client, recent);
+    return Math.ceil((recent[0] + CONFIG.ORDER_STATUS_RATE_WINDOW - now) / 1000);
+  }
+
+  recent.push(now);
+  orderLookups.set(client, recent);
+  return 0;
+}
+
+/**
+ * Read the sample orders, fresh on every request so edits apply without a restart
+ * @returns {Promise<Object[]>} Sample orders
+ */
+async function loadMockOrders() {
+  const data = JSON.parse(await fs.promises.readFile(CONFIG.ORDERS_FILE, 'utf8'));
+  return Array.isArray(data.orders) ? data.orders : [];
+}
+
+/**
+ * Work out a sample order's status at a point in time
+ * Step times in the file are minutes relative to server start.
+ * @param {Object} order - Sample order
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} Status response, or null if the order isn't received yet
+ */
+function describeOrder(order, now) {
+  const steps = order.steps || {};
+  const timeOf = step => new Date(startedAt + steps[step] * 60 * 1000);
+
+  const history = ORDER_STEPS
+    .filter(step => typeof steps[step] === 'number' && timeOf(step).getTime() <= now)
+    .map(step => ({ status: step, at: timeOf(step).toISOString() }));
+
+  if (!history.length) {
+    return null;
+  }
+
+  const latest = history[history.length - 1];
+
+  return {
+    ticket: order.ticket,
+    status: latest.status,
+    updatedAt: latest.at,
+    estimatedReadyAt: typeof steps.ready === 'number' ? timeOf('ready').toISOString() : null,
+    history,
+  };
+}
+
+const ROUTES = Object.freeze({
+  'POST /api/submissions': createSubmission,
+  'GET /api/submissions': listSubmissions,
+  'POST /api/analytics': recordAnalytics,
+  'GET /api/analytics': listAnalytics,
+  'POST /api/errors': recordErrors,
+  'GET /api/errors': listErrors,
+  'POST /api/orders/status': getOrderStatus,
+});
+
+// ============================================
+// Static Files
+// ============================================
+
+/**
+ * Check whether a path relative to the project root may be served
+ * @param {string} relativePath - Normalized path relative to ROOT
+ * @returns {boolean} True for allowlisted files and files inside allowlisted directories
+ */
+function isStaticPath(relativePath) {
+  const segments = relativePath.split(path.sep);
+
+  if (segments.some(segment => segment === '..' || segment.startsWith('.'))) {
+    return false;
+  }
+
+  return STATIC_FILES.includes(relativePath)
+    || (segments.length > 1 && STATIC_DIRECTORIES.includes(segments[0]));
+}
+
+/**
+ * Serve an allowlisted file from the project root
+ * @param {string} pathname - Request path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, res) {
+  let decodedPath;
+
+  try {
+    decodedPath = decodeURIComponent(pathname);
+  } catch (error) {
+    sendJson(res, 400, { error: 'Bad request' });
+    return;
+  }
+
+  const requestedPath = decodedPath === '/' ? 'index.html' : decodedPath.replace(/^\/+/, '');
+  const filePath = path.resolve(CONFIG.ROOT, requestedPath);
+
+  // Unknown paths answer 404 rather than 403, so they don't reveal what exists
+  if (!isStaticPath(path.relative(CONFIG.ROOT, filePath))) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  fs.readFile(filePath, (error, data) => {
+    if (error) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(data);
+  });
+}
+
+// ============================================
+// Server
+// ============================================
+
+/**
+ * Route an incoming request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  let pathname;
+
+  // A fixed base, so a malformed Host header can't make parsing fail
+  try {
+    ({ pathname } = new URL(req.url, 'http://localhost'));
+  } catch (error) {
+    sendJson(res, 400, { error: 'Bad request' });
+    return;
+  }
+
+  const route = ROUTES[`${req.method} ${pathname}`];
+
+  try {
+    if (route) {
+      await route(req, res);
+      return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+      sendJson(res, 404, { error: 'Unknown endpoint' });
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    serveStatic(pathname, res);
+  } catch (error) {
+    console.error('[dev-server] Request failed:', error);
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+}
+
+// Loopback only: the mock endpoints aren't meant for other machines
+http.createServer(handleRequest).listen(CONFIG.PORT, CONFIG.HOST, () => {
+  log(`Serving ${CONFIG.ROOT} at http://${CONFIG.HOST}:${CONFIG.PORT}`);
+});
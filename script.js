@@ -2,897 +2,10927 @@
  * Fresh & Clean Laundry - Interactive JavaScript Features
  * 
  * Implements progressive enhancement with vanilla JavaScript:
+ * - Translations with a language switcher
+ * - Light, dark and high-contrast themes
+ * - Services, hours, contact and footer rendered from a content file
  * - Smooth scrolling navigation
+ * - Scroll-spy navigation state with back/forward support
  * - Mobile hamburger menu
- * - Lazy loading images
- * - Scroll-to-top button
- * - Form validation
+ * - Responsive lazy images with placeholders and error fallbacks
+ * - Scroll-to-top button, compact sticky header and reading progress bar,
+ *   driven by one animation-frame scroll manager
+ * - Declarative form validation with an error summary
+ * - Form submission transport with offline retry queue
+ * - Offline support: service worker, header offline indicator and update prompt
+ * - Dismissible, date-ranged announcement banner for closures and delays
+ * - Pickup & delivery booking wizard
+ * - Live open/closed status from business hours
+ * - Interactive price estimator
+ * - Service details dialog with deep links
+ * - Order status tracker with live updates
+ * - Pickup & delivery service-area checker by ZIP code
+ * - Customer testimonials carousel with review structured data
+ * - Searchable FAQ accordion with deep links and FAQ structured data
+ * - Business structured data (JSON-LD) from the contact and services markup
+ * - Scroll reveals and count-up figures that respect reduced motion
  * - Keyboard accessibility
+ * - Privacy consent manager for analytics and third-party images
+ * - Consent-aware analytics events
+ * - Batched error reporting with breadcrumbs
+ * 
+ * Loaded as an ES module. Every feature is exported with `init(options)`
+ * and `destroy()`; `initializeFeatures(config)` starts the enabled ones:
+ *
+ *   import { initializeFeatures, mobileMenu } from './script.js';
+ *   initializeFeatures({ SCROLL_OFFSET: 120, features: { priceEstimator: false } });
+ *   mobileMenu.destroy();
  * 
  * @generated-from: task-id:TASK-003
  * @modifies: index.html
  * @dependencies: []
  */
 
-(function() {
-  'use strict';
+// ============================================
+// Configuration & Constants
+// ============================================
+const DEFAULT_CONFIG = Object.freeze({
+  SCROLL_OFFSET: 80,
+  SCROLL_TO_TOP_THRESHOLD: 300,
+  HEADER_COMPACT_THRESHOLD: 120,
+  REVEAL_STAGGER: 100,
+  COUNT_UP_DURATION: 1500,
+  MOBILE_BREAKPOINT: 768,
+  LAZY_LOAD_ROOT_MARGIN: '50px',
+  DEBOUNCE_DELAY: 150,
+  ANIMATION_DURATION: 300,
+  SUBMISSION_ENDPOINT: '/api/submissions',
+  SUBMISSION_ADAPTER: 'json',
+  SUBMISSION_MAILTO: 'info@freshcleanlaundry.com',
+  SUBMISSION_TIMEOUT: 10000,
+  SUBMISSION_QUEUE_KEY: 'fcl-submission-queue',
+  SUBMISSION_RETRY_BASE_DELAY: 5000,
+  SUBMISSION_RETRY_MAX_DELAY: 300000,
+  SUBMISSION_MAX_ATTEMPTS: 10,
+  SUBMISSION_SYNC_TAG: 'fcl-submission-queue',
+  SERVICE_WORKER_URL: 'sw.js',
+  STORE_TIME_ZONE: 'America/New_York',
+  LOCALE_STORAGE_KEY: 'fcl-locale',
+  ANALYTICS_ENDPOINT: '/api/analytics',
+  ANALYTICS_SINKS: Object.freeze(['beacon']),
+  ANALYTICS_BATCH_SIZE: 20,
+  ANALYTICS_MAX_PENDING: 100,
+  CONSENT_STORAGE_KEY: 'fcl-consent',
+  CONSENT_VERSION: 1,
+  MEDIA_PLACEHOLDER: 'images/placeholder.svg',
+  IMAGE_FALLBACK: 'images/image-unavailable.svg',
+  IMAGE_RETRY_LIMIT: 1,
+  IMAGE_RETRY_DELAY: 2000,
+  CONTENT_URL: 'content/site.json',
+  THEME_STORAGE_KEY: 'fcl-theme',
+  ORDER_STATUS_ENDPOINT: '/api/orders/status',
+  ORDER_STATUS_TIMEOUT: 10000,
+  ORDER_STATUS_POLL_INTERVAL: 30000,
+  PICKUP_LEAD_TIME: 120,
+  ZIP_STORAGE_KEY: 'fcl-zip',
+  ANNOUNCEMENT_STORAGE_KEY: 'fcl-dismissed-announcements',
+  TESTIMONIAL_INTERVAL: 7000,
+  BUSINESS_NAME: 'Fresh & Clean Laundry',
+  ERROR_REPORT_ENDPOINT: '/api/errors',
+  ERROR_REPORT_BATCH_SIZE: 10,
+  ERROR_REPORT_FLUSH_DELAY: 5000,
+  ERROR_REPORT_RATE_LIMIT: 20,
+  ERROR_REPORT_RATE_WINDOW: 60000,
+  ERROR_REPORT_MAX_REPEATS: 3,
+  ERROR_BREADCRUMB_LIMIT: 20,
+});
 
-  // ============================================
-  // Configuration & Constants
-  // ============================================
-  const CONFIG = Object.freeze({
-    SCROLL_OFFSET: 80,
-    SCROLL_TO_TOP_THRESHOLD: 300,
-    MOBILE_BREAKPOINT: 768,
-    LAZY_LOAD_ROOT_MARGIN: '50px',
-    DEBOUNCE_DELAY: 150,
-    ANIMATION_DURATION: 300,
-  });
+/**
+ * Active configuration: DEFAULT_CONFIG plus any overrides passed to
+ * initializeFeatures() or a feature's init()
+ */
+let CONFIG = DEFAULT_CONFIG;
 
-  const SELECTORS = Object.freeze({
-    NAV_LINKS: 'header nav a[href^="#"]',
-    MOBILE_MENU_TOGGLE: '.mobile-menu-toggle',
-    MOBILE_MENU: 'header nav',
-    LAZY_IMAGES: 'img[loading="lazy"]',
-    SCROLL_TO_TOP: '.scroll-to-top',
-    CONTACT_FORM: '#contact-form',
-    SKIP_LINK: '.skip-link',
-  });
+const SELECTORS = Object.freeze({
+  HEADER: 'header',
+  ANNOUNCEMENT_BANNER: '.announcement-banner',
+  NAV_LINKS: 'header nav a[href^="#"]',
+  SECTION_LINKS: 'header nav a[href^="#"], footer nav a[href^="#"]',
+  PAGE_SECTIONS: 'main section[id]',
+  MOBILE_MENU_TOGGLE: '.mobile-menu-toggle',
+  MOBILE_MENU: 'header nav',
+  LAZY_IMAGES: 'img[data-src]',
+  PRIORITY_IMAGES: 'img[fetchpriority="high"]',
+  SCROLL_TO_TOP: '.scroll-to-top',
+  CONTACT_FORM: '#contact-form',
+  FORM_FIELDS: 'input, textarea, select',
+  FIELD_CONTAINER: '.form-field',
+  ERROR_SUMMARY: '.error-summary',
+  BOOKING_STEP: '[data-step]',
+  BOOKING_STEP_TITLE: '.booking-step-title',
+  BOOKING_STEP_INDICATOR: '[data-step-indicator]',
+  BOOKING_SUMMARY: '.booking-summary',
+  WIZARD_NEXT: '[data-wizard-next]',
+  WIZARD_BACK: '[data-wizard-back]',
+  BUSINESS_HOURS: '[data-business-hours]',
+  PRICE_ESTIMATOR: '[data-price-estimator]',
+  ESTIMATE_BOOK: '[data-estimate-book]',
+  ORDER_TRACKER: '[data-order-tracker]',
+  SERVICE_AREA: '[data-service-area]',
+  TESTIMONIALS: '[data-testimonials]',
+  FAQ: '[data-faq]',
+  BUSINESS_NAME: '.logo h1',
+  CANONICAL_LINK: 'link[rel="canonical"]',
+  SHARE_IMAGE: 'meta[property="og:image"]',
+  CONTACT_PHONE_LINK: '[data-content="phone"] a[href^="tel:"]',
+  CONTACT_EMAIL_LINK: '[data-content="email"] a[href^="mailto:"]',
+  CONTACT_ADDRESS: '[data-content="address"]',
+  SERVICES_TITLE: '#services-title',
+  SERVICE_AREA_BOOK: '[data-service-area-book]',
+  POSTAL_CODE_FIELDS: 'input[autocomplete="postal-code"]',
+  SKIP_LINK: '.skip-link',
+  FOCUSABLE_CARDS: '.service-card, .contact-item',
+  REVEAL: 'main section[id]:not(.hero), .service-card',
+  COUNT_UP: '[data-count-up]',
+  SERVICE_CARD: '.service-card[data-service]',
+  LANGUAGE_SWITCHER: '#language-select',
+  THEME_SWITCHER: '#theme-select',
+  CONSENT_OPEN: '[data-consent-open]',
+  CONTENT_SLOT: '[data-content]',
+});
 
-  const CLASSES = Object.freeze({
-    MOBILE_MENU_OPEN: 'mobile-menu-open',
-    SCROLL_TO_TOP_VISIBLE: 'visible',
-    LAZY_LOADED: 'lazy-loaded',
-    FORM_ERROR: 'error',
-    FORM_SUCCESS: 'success',
-  });
+const CLASSES = Object.freeze({
+  MOBILE_MENU_OPEN: 'mobile-menu-open',
+  MOBILE_MENU_SCROLL_LOCK: 'mobile-menu-scroll-lock',
+  SCROLL_TO_TOP_VISIBLE: 'visible',
+  HEADER_COMPACT: 'header-compact',
+  HEADER_MEASURING: 'header-measuring',
+  REVEAL_PENDING: 'reveal-pending',
+  REVEAL_IN: 'reveal-in',
+  LAZY_PENDING: 'lazy-pending',
+  LAZY_LOADED: 'lazy-loaded',
+  LAZY_FADE_IN: 'lazy-fade-in',
+  LAZY_FAILED: 'lazy-failed',
+  LAZY_FRAME: 'lazy-frame',
+  FORM_ERROR: 'error',
+  FORM_SUCCESS: 'success',
+  HOURS_OPEN: 'is-open',
+  HOURS_CLOSED: 'is-closed',
+  MEDIA_PLACEHOLDER: 'is-placeholder',
+  SERVICE_DIALOG_SCROLL_LOCK: 'service-dialog-scroll-lock',
+});
 
-  // ============================================
-  // Utility Functions
-  // ============================================
+const EVENTS = Object.freeze({
+  LOCALE_CHANGE: 'localechange',
+  SECTION_CHANGE: 'sectionchange',
+  CONTENT_CHANGE: 'contentchange',
+  THEME_CHANGE: 'themechange',
+});
 
-  /**
-   * Debounce function to limit execution rate
-   * @param {Function} func - Function to debounce
-   * @param {number} wait - Wait time in milliseconds
-   * @returns {Function} Debounced function
-   */
-  function debounce(func, wait) {
-    let timeoutId = null;
-    
-    return function debounced(...args) {
-      const context = this;
-      
-      if (timeoutId !== null) {
-        clearTimeout(timeoutId);
-      }
-      
-      timeoutId = setTimeout(() => {
-        timeoutId = null;
-        func.apply(context, args);
-      }, wait);
-    };
-  }
+/**
+ * Fallback weekly hours (index 0 = Sunday), used when the Business Hours
+ * list can't be parsed. Times are minutes after midnight, store-local.
+ */
+const BUSINESS_HOURS = Object.freeze([
+  Object.freeze({ open: 9 * 60, close: 17 * 60 }),
+  Object.freeze({ open: 7 * 60, close: 20 * 60 }),
+  Object.freeze({ open: 7 * 60, close: 20 * 60 }),
+  Object.freeze({ open: 7 * 60, close: 20 * 60 }),
+  Object.freeze({ open: 7 * 60, close: 20 * 60 }),
+  Object.freeze({ open: 7 * 60, close: 20 * 60 }),
+  Object.freeze({ open: 8 * 60, close: 18 * 60 }),
+]);
 
-  /**
-   * Check if element is in viewport
-   * @param {HTMLElement} element - Element to check
-   * @returns {boolean} True if element is in viewport
-   */
-  function isInViewport(element) {
-    const rect = element.getBoundingClientRect();
-    return (
-      rect.top >= 0 &&
-      rect.left >= 0 &&
-      rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-      rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-    );
-  }
+/**
+ * Holiday and special-closure overrides, keyed by store-local date.
+ * Use `closed: true` or give special `open`/`close` times as "HH:MM".
+ * `labelKey` names the holiday in the message catalogs.
+ */
+const HOURS_OVERRIDES = Object.freeze([
+  Object.freeze({ date: '2026-11-26', closed: true, labelKey: 'holiday.thanksgiving' }),
+  Object.freeze({ date: '2026-12-24', open: '08:00', close: '14:00', labelKey: 'holiday.christmasEve' }),
+  Object.freeze({ date: '2026-12-25', closed: true, labelKey: 'holiday.christmasDay' }),
+  Object.freeze({ date: '2027-01-01', closed: true, labelKey: 'holiday.newYearsDay' }),
+]);
 
-  /**
-   * Get scroll offset for navigation
-   * @returns {number} Scroll offset in pixels
-   */
-  function getScrollOffset() {
-    const header = document.querySelector('header');
-    return header ? header.offsetHeight : CONFIG.SCROLL_OFFSET;
-  }
+/**
+ * Price table for the estimator. Amounts are in PRICE_TABLE.currency and
+ * `labelKey` values are message catalog keys.
+ */
+const PRICE_TABLE = Object.freeze({
+  currency: 'USD',
+  washAndFold: Object.freeze({
+    labelKey: 'estimator.washAndFold',
+    pricePerPound: 1.95,
+    minimum: 25,
+  }),
+  dryCleaning: Object.freeze({
+    labelKey: 'estimator.dryCleaning',
+    items: Object.freeze([
+      Object.freeze({ id: 'shirt', labelKey: 'estimator.shirt', price: 4.5 }),
+      Object.freeze({ id: 'suit', labelKey: 'estimator.suit', price: 16.5 }),
+      Object.freeze({ id: 'dress', labelKey: 'estimator.dress', price: 14 }),
+      Object.freeze({ id: 'comforter', labelKey: 'estimator.comforter', price: 32 }),
+    ]),
+  }),
+  alterations: Object.freeze({
+    labelKey: 'estimator.alterations',
+    items: Object.freeze([
+      Object.freeze({ id: 'hem', labelKey: 'estimator.hem', price: 15 }),
+      Object.freeze({ id: 'takeIn', labelKey: 'estimator.takeIn', price: 20 }),
+      Object.freeze({ id: 'zipper', labelKey: 'estimator.zipper', price: 18 }),
+      Object.freeze({ id: 'sleeves', labelKey: 'estimator.sleeves', price: 22 }),
+    ]),
+  }),
+  express: Object.freeze({
+    labelKey: 'estimator.express',
+    multiplier: 1.5,
+  }),
+  delivery: Object.freeze({
+    labelKey: 'estimator.delivery',
+    fee: 5.99,
+  }),
+});
 
-  /**
-   * Log error with context
-   * @param {string} context - Error context
-   * @param {Error} error - Error object
-   */
-  function logError(context, error) {
-    console.error(`[Fresh & Clean Laundry] ${context}:`, error);
-  }
+/**
+ * Pickup & delivery coverage. Fees and minimum orders are in
+ * PRICE_TABLE.currency, `days` are the weekdays served (0 = Sunday) and
+ * `cutoff` is the store-local time after which same-day pickup closes.
+ */
+const SERVICE_AREA = Object.freeze([
+  Object.freeze({
+    id: 'central',
+    zips: Object.freeze(['12345', '12346', '12347']),
+    deliveryFee: 0,
+    minimumOrder: 20,
+    days: Object.freeze([1, 2, 3, 4, 5, 6]),
+    cutoff: '12:00',
+  }),
+  Object.freeze({
+    id: 'north',
+    zips: Object.freeze(['12350', '12351', '12352']),
+    deliveryFee: 4.99,
+    minimumOrder: 30,
+    days: Object.freeze([1, 3, 5]),
+    cutoff: '10:00',
+  }),
+  Object.freeze({
+    id: 'east',
+    zips: Object.freeze(['12360', '12361']),
+    deliveryFee: 7.99,
+    minimumOrder: 40,
+    days: Object.freeze([2, 4, 6]),
+    cutoff: '10:00',
+  }),
+]);
 
-  // ============================================
-  // Smooth Scrolling Navigation
-  // ============================================
+/**
+ * Media query for the visitor's reduced-motion preference
+ */
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
 
-  /**
-   * Initialize smooth scrolling for navigation links
-   */
-  function initSmoothScrolling() {
-    try {
-      const navLinks = document.querySelectorAll(SELECTORS.NAV_LINKS);
-      
-      navLinks.forEach(link => {
-        link.addEventListener('click', handleSmoothScroll);
-      });
-    } catch (error) {
-      logError('Smooth scrolling initialization', error);
+/**
+ * Two-hour pickup windows, matching the booking form's time slot options
+ */
+const PICKUP_WINDOWS = Object.freeze(['08:00-10:00', '10:00-12:00', '12:00-14:00', '14:00-16:00', '16:00-18:00']);
+
+// ============================================
+// Utility Functions
+// ============================================
+
+/**
+ * Debounce function to limit execution rate
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(func, wait) {
+  let timeoutId = null;
+  
+  function debounced(...args) {
+    const context = this;
+    
+    if (timeoutId !== null) {
+      clearTimeout(timeoutId);
     }
+    
+    timeoutId = setTimeout(() => {
+      timeoutId = null;
+      func.apply(context, args);
+    }, wait);
   }
 
-  /**
-   * Handle smooth scroll click event
-   * @param {Event} event - Click event
-   */
-  function handleSmoothScroll(event) {
-    try {
-      const targetId = this.getAttribute('href');
-      
-      if (!targetId || !targetId.startsWith('#')) {
-        return;
-      }
+  // Drop a pending call, e.g. when the feature using it is destroyed
+  debounced.cancel = () => {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+  };
 
-      const targetElement = document.querySelector(targetId);
-      
-      if (!targetElement) {
-        return;
-      }
+  return debounced;
+}
 
-      event.preventDefault();
+/**
+ * Escape text for use as a literal in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
-      const offset = getScrollOffset();
-      const targetPosition = targetElement.getBoundingClientRect().top + window.pageYOffset - offset;
+/**
+ * Check if element is in viewport
+ * @param {HTMLElement} element - Element to check
+ * @returns {boolean} True if element is in viewport
+ */
+function isInViewport(element) {
+  const rect = element.getBoundingClientRect();
+  return (
+    rect.top >= 0 &&
+    rect.left >= 0 &&
+    rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+    rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+  );
+}
 
-      window.scrollTo({
-        top: targetPosition,
-        behavior: 'smooth'
-      });
+/**
+ * Read the element id named by the URL hash
+ * A malformed escape such as #%E0 counts as no id rather than throwing.
+ * @param {string} [hash=location.hash] - Hash including the leading #
+ * @returns {string} Decoded id, or '' when there is none
+ */
+function decodeHashId(hash = location.hash) {
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch (error) {
+    return '';
+  }
+}
 
-      // Update URL without triggering scroll
-      if (history.pushState) {
-        history.pushState(null, null, targetId);
-      }
+/**
+ * Get scroll offset for navigation: the sticky header plus any announcement banner
+ * Given the page position being scrolled to, allows for the compact header
+ * being shorter (or taller) there than it is now.
+ * @param {number} [targetTop] - Page position of the scroll target
+ * @returns {number} Scroll offset in pixels
+ */
+function getScrollOffset(targetTop) {
+  const header = document.querySelector(SELECTORS.HEADER);
+  const announcementHeight = getAnnouncementHeight();
 
-      // Close mobile menu if open
-      closeMobileMenu();
+  if (!header) {
+    return CONFIG.SCROLL_OFFSET + announcementHeight;
+  }
 
-      // Set focus to target for accessibility
-      targetElement.setAttribute('tabindex', '-1');
-      targetElement.focus();
-      targetElement.removeAttribute('tabindex');
-    } catch (error) {
-      logError('Smooth scroll handler', error);
-    }
+  if (targetTop === undefined || !isCompactHeaderActive) {
+    return header.offsetHeight + announcementHeight;
   }
 
-  // ============================================
-  // Mobile Hamburger Menu
-  // ============================================
+  const compactHeight = measureHeaderHeight(header, true);
+  const isCompact = isHeaderCompactAt(header, targetTop - compactHeight - announcementHeight);
 
-  /**
-   * Initialize mobile hamburger menu
-   */
-  function initMobileMenu() {
-    try {
-      // Create hamburger button if it doesn't exist
-      const header = document.querySelector('header');
-      const nav = document.querySelector('header nav');
-      
-      if (!header || !nav) {
-        return;
-      }
+  return (isCompact ? compactHeight : measureHeaderHeight(header, false)) + announcementHeight;
+}
 
-      let menuToggle = document.querySelector(SELECTORS.MOBILE_MENU_TOGGLE);
-      
-      if (!menuToggle) {
-        menuToggle = createMobileMenuToggle();
-        header.querySelector('.header-container').insertBefore(menuToggle, nav);
-      }
+/**
+ * Check whether the visitor prefers reduced motion
+ * Read on every call, so a change while the page is open applies at once.
+ * @returns {boolean} True if motion should be avoided
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+}
+
+/**
+ * Get the behavior for programmatic scrolling
+ * @returns {string} 'auto', an instant jump, under reduced motion; otherwise 'smooth'
+ */
+function getScrollBehavior() {
+  return prefersReducedMotion() ? 'auto' : 'smooth';
+}
 
-      menuToggle.addEventListener('click', toggleMobileMenu);
+/**
+ * Scroll an element into view below the header
+ * @param {HTMLElement} element - Element to scroll to
+ * @param {string} [behavior] - Scroll behavior, e.g. 'auto' when restoring a deep
+ *   link on load; defaults to smooth unless reduced motion is preferred
+ */
+function scrollToElement(element, behavior = getScrollBehavior()) {
+  const elementTop = element.getBoundingClientRect().top + window.pageYOffset;
+  const targetPosition = elementTop - getScrollOffset(elementTop);
 
-      // Close menu when clicking outside
-      document.addEventListener('click', handleOutsideClick);
+  window.scrollTo({
+    top: targetPosition,
+    behavior
+  });
+}
 
-      // Close menu on escape key
-      document.addEventListener('keydown', handleEscapeKey);
+/**
+ * Log error with context, and queue it for error reporting
+ * @param {string} context - Error context
+ * @param {Error} error - Error object
+ * @param {Object} [options] - Logging options
+ * @param {boolean} [options.report=true] - Also send it to the error endpoint
+ */
+function logError(context, error, { report = true } = {}) {
+  console.error(`[Fresh & Clean Laundry] ${context}:`, error);
 
-      // Handle window resize
-      window.addEventListener('resize', debounce(handleResize, CONFIG.DEBOUNCE_DELAY));
-    } catch (error) {
-      logError('Mobile menu initialization', error);
-    }
+  if (report) {
+    reportError(context, error);
   }
+}
 
-  /**
-   * Create mobile menu toggle button
-   * @returns {HTMLElement} Menu toggle button
-   */
-  function createMobileMenuToggle() {
-    const button = document.createElement('button');
-    button.className = 'mobile-menu-toggle';
-    button.setAttribute('aria-label', 'Toggle navigation menu');
-    button.setAttribute('aria-expanded', 'false');
-    button.innerHTML = `
-      <span class="hamburger-line"></span>
-      <span class="hamburger-line"></span>
-      <span class="hamburger-line"></span>
-    `;
-    
-    // Add styles
-    addMobileMenuStyles();
-    
-    return button;
+/**
+ * Remove a style element added by one of the add*Styles functions
+ * @param {string} id - Style element id
+ */
+function removeStyles(id) {
+  const style = document.getElementById(id);
+  if (style) {
+    style.remove();
   }
+}
 
-  /**
-   * Add mobile menu styles dynamically
-   */
-  function addMobileMenuStyles() {
-    if (document.getElementById('mobile-menu-styles')) {
+// ============================================
+// Feature Lifecycle & Configuration
+// ============================================
+
+/**
+ * Merge overrides into the active configuration
+ * Only keys that exist in DEFAULT_CONFIG are accepted
+ * @param {Object} [overrides] - CONFIG values to override
+ */
+function configure(overrides = {}) {
+  const accepted = {};
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key)) {
+      logError('Configuration', new Error(`Unknown config option: ${key}`));
       return;
     }
 
-    const style = document.createElement('style');
-    style.id = 'mobile-menu-styles';
-    style.textContent = `
-      .mobile-menu-toggle {
-        display: none;
-        flex-direction: column;
-        justify-content: space-around;
-        width: 2rem;
-        height: 2rem;
-        background: transparent;
-        border: none;
-        cursor: pointer;
-        padding: 0;
-        z-index: 10;
-      }
-
-      .mobile-menu-toggle:focus {
-        outline: 2px solid var(--color-primary-600, #1e40af);
-        outline-offset: 2px;
-        border-radius: 0.25rem;
-      }
-
-      .hamburger-line {
-        width: 2rem;
-        height: 0.25rem;
-        background-color: var(--color-primary-600, #1e40af);
-        border-radius: 0.25rem;
-        transition: all 0.3s ease-in-out;
-        transform-origin: center;
-      }
-
-      @media (max-width: 767px) {
-        .mobile-menu-toggle {
-          display: flex;
-        }
-
-        header nav {
-          position: absolute;
-          top: 100%;
-          left: 0;
-          right: 0;
-          background-color: var(--color-white, #ffffff);
-          box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
-          max-height: 0;
-          overflow: hidden;
-          transition: max-height 0.3s ease-in-out;
-        }
+    accepted[key] = value;
+  });
 
-        header nav.mobile-menu-open {
-          max-height: 500px;
-        }
+  CONFIG = Object.freeze({ ...CONFIG, ...accepted });
+}
 
-        header nav ul {
-          flex-direction: column;
-          padding: 1rem;
-        }
+/**
+ * Create a tracker for everything a feature sets up, so it can be undone
+ * @returns {Object} Tracker with listen(), add() and run()
+ */
+function createCleanup() {
+  const tasks = [];
 
-        .mobile-menu-open .hamburger-line:nth-child(1) {
-          transform: rotate(45deg) translate(0.5rem, 0.5rem);
+  return {
+    /**
+     * Add an event listener that is removed on cleanup
+     * @param {EventTarget} target - Event target
+     * @param {string} type - Event type
+     * @param {Function} handler - Listener
+     * @param {Object|boolean} [options] - Listener options
+     */
+    listen(target, type, handler, options) {
+      target.addEventListener(type, handler, options);
+      tasks.push(() => {
+        target.removeEventListener(type, handler, options);
+        if (typeof handler.cancel === 'function') {
+          handler.cancel();
         }
+      });
+    },
 
-        .mobile-menu-open .hamburger-line:nth-child(2) {
-          opacity: 0;
-        }
+    /**
+     * Register a teardown task
+     * @param {Function} task - Task to run on cleanup
+     */
+    add(task) {
+      tasks.push(task);
+    },
 
-        .mobile-menu-open .hamburger-line:nth-child(3) {
-          transform: rotate(-45deg) translate(0.5rem, -0.5rem);
+    /**
+     * Run teardown tasks, most recent first
+     */
+    run() {
+      while (tasks.length) {
+        try {
+          tasks.pop()();
+        } catch (error) {
+          logError('Feature cleanup', error);
         }
       }
-    `;
-    
-    document.head.appendChild(style);
-  }
+    },
+  };
+}
+
+/**
+ * Define a feature with init(options) and destroy()
+ * The setup function receives a cleanup tracker; anything registered on
+ * it is undone by destroy(). Calling init() again restarts the feature.
+ * @param {Function} setup - Feature setup function
+ * @returns {Object} Feature with init, destroy and isActive
+ */
+function defineFeature(setup) {
+  let cleanup = null;
 
   /**
-   * Toggle mobile menu
+   * Tear the feature down
    */
-  function toggleMobileMenu() {
-    try {
-      const nav = document.querySelector('header nav');
-      const menuToggle = document.querySelector(SELECTORS.MOBILE_MENU_TOGGLE);
-      
-      if (!nav || !menuToggle) {
-        return;
-      }
-
-      const isOpen = nav.classList.contains(CLASSES.MOBILE_MENU_OPEN);
-      
-      if (isOpen) {
-        closeMobileMenu();
-      } else {
-        openMobileMenu();
-      }
-    } catch (error) {
-      logError('Mobile menu toggle', error);
+  function destroy() {
+    if (cleanup) {
+      cleanup.run();
+      cleanup = null;
     }
   }
 
   /**
-   * Open mobile menu
+   * Start the feature
+   * @param {Object} [options] - CONFIG overrides
    */
-  function openMobileMenu() {
-    const nav = document.querySelector('header nav');
-    const menuToggle = document.querySelector(SELECTORS.MOBILE_MENU_TOGGLE);
-    
-    if (!nav || !menuToggle) {
-      return;
-    }
+  function init(options = {}) {
+    destroy();
+    configure(options);
+    cleanup = createCleanup();
+    setup(cleanup);
+  }
 
-    nav.classList.add(CLASSES.MOBILE_MENU_OPEN);
-    menuToggle.classList.add(CLASSES.MOBILE_MENU_OPEN);
-    menuToggle.setAttribute('aria-expanded', 'true');
+  return Object.freeze({
+    init,
+    destroy,
+    isActive: () => cleanup !== null,
+  });
+}
+
+// ============================================
+// Scroll Manager
+// ============================================
+
+const scrollSubscribers = new Set();
+let scrollFrameId = null;
+let scrollResized = false;
+
+/**
+ * Call a function with the scroll position once per animation frame
+ * A single passive scroll and resize listener is shared by every
+ * subscriber, and layout is read once per frame before they run.
+ * @param {Function} callback - Receives the scroll state from getScrollState()
+ * @param {Object} [options] - Subscription options
+ * @param {boolean} [options.immediate=true] - Also call it right away with the current state
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToScroll(callback, { immediate = true } = {}) {
+  if (!scrollSubscribers.size) {
+    window.addEventListener('scroll', requestScrollFrame, { passive: true });
+    window.addEventListener('resize', handleScrollManagerResize, { passive: true });
   }
 
-  /**
-   * Close mobile menu
-   */
-  function closeMobileMenu() {
-    const nav = document.querySelector('header nav');
-    const menuToggle = document.querySelector(SELECTORS.MOBILE_MENU_TOGGLE);
-    
-    if (!nav || !menuToggle) {
-      return;
-    }
+  scrollSubscribers.add(callback);
 
-    nav.classList.remove(CLASSES.MOBILE_MENU_OPEN);
-    menuToggle.classList.remove(CLASSES.MOBILE_MENU_OPEN);
-    menuToggle.setAttribute('aria-expanded', 'false');
+  if (immediate) {
+    notifyScrollSubscriber(callback, getScrollState());
   }
 
-  /**
-   * Handle click outside menu
-   * @param {Event} event - Click event
-   */
-  function handleOutsideClick(event) {
-    const nav = document.querySelector('header nav');
-    const menuToggle = document.querySelector(SELECTORS.MOBILE_MENU_TOGGLE);
-    
-    if (!nav || !menuToggle) {
-      return;
-    }
+  return () => unsubscribeFromScroll(callback);
+}
 
-    if (!nav.classList.contains(CLASSES.MOBILE_MENU_OPEN)) {
-      return;
-    }
+/**
+ * Stop calling a scroll subscriber, removing the listeners after the last one
+ * @param {Function} callback - Function passed to subscribeToScroll()
+ */
+function unsubscribeFromScroll(callback) {
+  scrollSubscribers.delete(callback);
 
-    if (!nav.contains(event.target) && !menuToggle.contains(event.target)) {
-      closeMobileMenu();
-    }
+  if (scrollSubscribers.size) {
+    return;
   }
 
-  /**
-   * Handle escape key press
-   * @param {KeyboardEvent} event - Keyboard event
-   */
-  function handleEscapeKey(event) {
-    if (event.key === 'Escape' || event.keyCode === 27) {
-      closeMobileMenu();
-    }
+  window.removeEventListener('scroll', requestScrollFrame, { passive: true });
+  window.removeEventListener('resize', handleScrollManagerResize, { passive: true });
+
+  if (scrollFrameId !== null) {
+    cancelAnimationFrame(scrollFrameId);
+    scrollFrameId = null;
   }
+  scrollResized = false;
+}
 
-  /**
-   * Handle window resize
-   */
-  function handleResize() {
-    if (window.innerWidth >= CONFIG.MOBILE_BREAKPOINT) {
-      closeMobileMenu();
-    }
+/**
+ * Read the scroll position and page size
+ * @param {boolean} [resized=false] - Whether the viewport was resized since the last frame
+ * @returns {Object} State with scrollY, viewportWidth, viewportHeight,
+ *   scrollHeight, progress (0-1 through the scrollable height) and resized
+ */
+function getScrollState(resized = false) {
+  const root = document.documentElement;
+  const scrollY = window.pageYOffset || root.scrollTop;
+  const viewportHeight = window.innerHeight || root.clientHeight;
+  const scrollable = root.scrollHeight - viewportHeight;
+
+  return Object.freeze({
+    scrollY,
+    viewportWidth: window.innerWidth || root.clientWidth,
+    viewportHeight,
+    scrollHeight: root.scrollHeight,
+    progress: scrollable > 0 ? Math.min(Math.max(scrollY / scrollable, 0), 1) : 0,
+    resized,
+  });
+}
+
+/**
+ * Schedule one update for the next animation frame
+ */
+function requestScrollFrame() {
+  if (scrollFrameId === null) {
+    scrollFrameId = requestAnimationFrame(runScrollFrame);
   }
+}
 
-  // ============================================
-  // Lazy Loading Images
-  // ============================================
+/**
+ * Note a resize, then schedule an update
+ */
+function handleScrollManagerResize() {
+  scrollResized = true;
+  requestScrollFrame();
+}
 
-  /**
-   * Initialize lazy loading for images
-   */
-  function initLazyLoading() {
-    try {
-      const images = document.querySelectorAll(SELECTORS.LAZY_IMAGES);
-      
-      if (!images.length) {
-        return;
-      }
+/**
+ * Pass the current scroll state to every subscriber
+ */
+function runScrollFrame() {
+  const state = getScrollState(scrollResized);
+  scrollFrameId = null;
+  scrollResized = false;
 
-      // Use Intersection Observer if available
-      if ('IntersectionObserver' in window) {
-        const imageObserver = new IntersectionObserver(
-          handleImageIntersection,
-          {
-            rootMargin: CONFIG.LAZY_LOAD_ROOT_MARGIN,
-            threshold: 0.01
-          }
-        );
+  // Copied, so subscribers can unsubscribe while being notified
+  Array.from(scrollSubscribers).forEach(callback => {
+    notifyScrollSubscriber(callback, state);
+  });
+}
 
-        images.forEach(image => {
-          imageObserver.observe(image);
-        });
-      } else {
-        // Fallback for browsers without Intersection Observer
-        images.forEach(loadImage);
-      }
-    } catch (error) {
-      logError('Lazy loading initialization', error);
-    }
+/**
+ * Call one subscriber, so an error in it doesn't stop the others
+ * @param {Function} callback - Scroll subscriber
+ * @param {Object} state - Scroll state
+ */
+function notifyScrollSubscriber(callback, state) {
+  try {
+    callback(state);
+  } catch (error) {
+    logError('Scroll subscriber', error);
   }
+}
 
-  /**
-   * Handle image intersection
-   * @param {IntersectionObserverEntry[]} entries - Intersection entries
-   * @param {IntersectionObserver} observer - Intersection observer
-   */
-  function handleImageIntersection(entries, observer) {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) {
-        const image = entry.target;
-        loadImage(image);
-        observer.unobserve(image);
-      }
-    });
-  }
+export { subscribeToScroll, unsubscribeFromScroll };
 
-  /**
-   * Load image
-   * @param {HTMLImageElement} image - Image element
-   */
-  function loadImage(image) {
-    try {
-      if (image.classList.contains(CLASSES.LAZY_LOADED)) {
-        return;
-      }
+// ============================================
+// Internationalization
+// ============================================
 
-      const src = image.getAttribute('src');
-      
-      if (!src) {
-        return;
-      }
+/**
+ * Supported locales. `intl` is the locale used for Intl formatting.
+ */
+const LOCALES = Object.freeze({
+  en: Object.freeze({ label: 'English', dir: 'ltr', intl: 'en-US' }),
+  es: Object.freeze({ label: 'Español', dir: 'ltr', intl: 'es-US' }),
+});
 
-      image.addEventListener('load', () => {
-        image.classList.add(CLASSES.LAZY_LOADED);
-      });
+const DEFAULT_LOCALE = 'en';
 
-      image.addEventListener('error', () => {
-        logError('Image loading', new Error(`Failed to load image: ${src}`));
-      });
+/**
+ * Message catalogs. Page markup references keys with `data-i18n` (text)
+ * and `data-i18n-attr` ("attribute:key" pairs). Placeholders use {name}.
+ * The English catalog mirrors the text in index.html.
+ */
+const MESSAGES = Object.freeze({
+  en: Object.freeze({
+    'meta.title': 'Fresh & Clean Laundry Services | Professional Dry Cleaning & Wash & Fold',
+    'meta.description': 'Professional laundry and dry cleaning services with pickup and delivery. Wash & fold, dry cleaning, commercial laundry, alterations, and express service available.',
+    'skipLink': 'Skip to main content',
+    'language.label': 'Language',
+    'theme.label': 'Theme',
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.contrast': 'High contrast',
 
-      // Image already has src, just mark as loaded
-      if (image.complete) {
-        image.classList.add(CLASSES.LAZY_LOADED);
-      }
-    } catch (error) {
-      logError('Image loading', error);
-    }
-  }
+    'nav.main': 'Main navigation',
+    'nav.footer': 'Footer navigation',
+    'nav.social': 'Social media links',
+    'nav.home': 'Home',
+    'nav.services': 'Services',
+    'nav.pricing': 'Pricing',
+    'nav.about': 'About',
+    'nav.faq': 'FAQ',
+    'nav.contact': 'Contact',
+    'menu.toggle': 'Toggle navigation menu',
+    'scrollToTop': 'Scroll to top',
 
-  // ============================================
-  // Scroll to Top Button
-  // ============================================
+    'hero.title': 'Professional Laundry & Dry Cleaning Services',
+    'hero.subtitle': 'Quality care for your garments with convenient pickup and delivery',
+    'hero.cta': 'Get Started Today',
+    'hero.imageAlt': 'Clean folded laundry and fresh towels on a modern washing machine',
 
-  /**
-   * Initialize scroll to top button
-   */
-  function initScrollToTop() {
-    try {
-      let scrollButton = document.querySelector(SELECTORS.SCROLL_TO_TOP);
-      
-      if (!scrollButton) {
-        scrollButton = createScrollToTopButton();
-        document.body.appendChild(scrollButton);
-      }
-
-      scrollButton.addEventListener('click', scrollToTop);
-      window.addEventListener('scroll', debounce(handleScroll, CONFIG.DEBOUNCE_DELAY));
-      
-      // Initial check
-      handleScroll();
-    } catch (error) {
-      logError('Scroll to top initialization', error);
-    }
-  }
+    'services.title': 'Our Services',
+    'services.intro': 'We offer comprehensive laundry and dry cleaning solutions for all your needs',
+    'services.washAndFold.title': 'Wash & Fold',
+    'services.washAndFold.description': 'Professional washing, drying, and folding service. Your clothes cleaned and ready to wear, perfectly folded and organized.',
+    'services.washAndFold.imageAlt': 'Neatly folded clean laundry stacked on a table',
+    'services.dryCleaning.title': 'Dry Cleaning',
+    'services.dryCleaning.description': 'Expert dry cleaning for delicate fabrics, suits, dresses, and special garments. Professional care that extends the life of your clothes.',
+    'services.dryCleaning.imageAlt': 'Professional dry cleaning with suits and formal wear on hangers',
+    'services.pickupAndDelivery.title': 'Pickup & Delivery',
+    'services.pickupAndDelivery.description': "Convenient pickup and delivery service right to your door. Schedule online and we'll handle the rest with same-day or next-day service.",
+    'services.pickupAndDelivery.imageAlt': 'Delivery van for laundry pickup and delivery service',
+    'services.commercialLaundry.title': 'Commercial Laundry',
+    'services.commercialLaundry.description': 'Large-scale laundry solutions for businesses, hotels, restaurants, and healthcare facilities. Reliable service with quick turnaround times.',
+    'services.commercialLaundry.imageAlt': 'Commercial laundry facility with industrial washing machines',
+    'services.alterationsAndRepairs.title': 'Alterations & Repairs',
+    'services.alterationsAndRepairs.description': 'Professional tailoring and repair services. Hemming, resizing, zipper replacement, and custom alterations by experienced tailors.',
+    'services.alterationsAndRepairs.imageAlt': 'Tailor performing alterations on clothing with sewing machine',
+    'services.expressService.title': 'Express Service',
+    'services.expressService.description': 'Need it fast? Our express service provides same-day cleaning and delivery for urgent laundry needs. Available for most services.',
+    'services.expressService.imageAlt': 'Fast express laundry service with quick turnaround',
+    'services.startingAt': 'From {price}',
 
-  /**
-   * Create scroll to top button
-   * @returns {HTMLElement} Scroll to top button
-   */
-  function createScrollToTopButton() {
-    const button = document.createElement('button');
-    button.className = 'scroll-to-top';
-    button.setAttribute('aria-label', 'Scroll to top');
-    button.innerHTML = '↑';
-    
-    // Add styles
-    addScrollToTopStyles();
-    
-    return button;
-  }
+    'serviceDialog.openLabel': '{service}: view details',
+    'serviceDialog.close': 'Close',
+    'serviceDialog.turnaround': 'Turnaround',
+    'serviceDialog.pricing': 'Pricing',
+    'serviceDialog.care': 'Care notes',
+    'serviceDialog.book': 'Book this service',
 
-  /**
-   * Add scroll to top button styles
-   */
-  function addScrollToTopStyles() {
-    if (document.getElementById('scroll-to-top-styles')) {
-      return;
-    }
+    'pricing.title': 'Estimate Your Price',
+    'pricing.intro': 'Add your items to see an itemized estimate, then book your pickup with one click',
 
-    const style = document.createElement('style');
-    style.id = 'scroll-to-top-styles';
-    style.textContent = `
-      .scroll-to-top {
-        position: fixed;
-        bottom: 2rem;
-        right: 2rem;
-        width: 3rem;
-        height: 3rem;
-        background-color: var(--color-primary-600, #1e40af);
-        color: var(--color-white, #ffffff);
-        border: none;
-        border-radius: 50%;
-        font-size: 1.5rem;
-        cursor: pointer;
-        opacity: 0;
-        visibility: hidden;
-        transition: all 0.3s ease-in-out;
-        box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
-        z-index: 100;
-      }
+    'about.title': 'About Fresh & Clean Laundry',
+    'about.paragraph1': 'For over 15 years, Fresh & Clean Laundry has been the trusted choice for professional laundry and dry cleaning services in our community. We combine traditional craftsmanship with modern technology to deliver exceptional results every time.',
+    'about.paragraph2': 'Our commitment to quality, convenience, and customer satisfaction has made us the preferred laundry service for thousands of satisfied customers. From everyday wash and fold to delicate dry cleaning, we treat every garment with the care it deserves.',
+    'about.paragraph3': 'We use eco-friendly cleaning products and state-of-the-art equipment to ensure your clothes are not only clean but also cared for in an environmentally responsible way. Our experienced team takes pride in delivering spotless results and exceptional service.',
+    'about.statYears': 'Years serving our community',
+    'about.statCustomers': 'Satisfied customers',
+    'about.imageAlt': 'Modern laundry facility interior with professional equipment and clean environment',
 
-      .scroll-to-top:hover {
-        background-color: var(--color-primary-700, #1e3a8a);
-        transform: translateY(-2px);
-        box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
-      }
+    'contact.title': 'Contact Us',
+    'contact.intro': 'Get in touch with us today to schedule your laundry service',
+    'contact.phone': 'Phone',
+    'contact.phoneLabel': 'Call us at 555-123-4567',
+    'contact.email': 'Email',
+    'contact.emailLabel': 'Email us at info@freshcleanlaundry.com',
+    'contact.callUs': 'Call us at {phone}',
+    'contact.emailUs': 'Email us at {email}',
+    'contact.address': 'Address',
+    'contact.hours': 'Business Hours',
+    'contact.imageAlt': 'Customer service representative ready to help with laundry services',
 
-      .scroll-to-top:focus {
-        outline: 2px solid var(--color-primary-600, #1e40af);
-        outline-offset: 2px;
-      }
+    'hours.mondayFriday': 'Monday - Friday:',
+    'hours.saturday': 'Saturday:',
+    'hours.sunday': 'Sunday:',
+    'hours.closed': 'Closed',
+    'hours.openUntil': 'Open · closes {time}',
+    'hours.closedFor': 'Closed for {holiday}',
+    'hours.opensToday': '{status} · opens {time}',
+    'hours.opensOn': '{status} · opens {day} {time}',
+    'holiday.thanksgiving': 'Thanksgiving',
+    'holiday.christmasEve': 'Christmas Eve',
+    'holiday.christmasDay': 'Christmas Day',
+    'holiday.newYearsDay': "New Year's Day",
 
-      .scroll-to-top:active {
-        transform: translateY(0);
-      }
+    'booking.title': 'Schedule a Pickup',
+    'booking.intro': "Book your pickup and delivery online in four quick steps. We'll confirm your time slot by phone or email.",
+    'booking.progress': 'Booking progress',
+    'booking.stepServices': 'Services',
+    'booking.stepAddress': 'Address',
+    'booking.stepPickup': 'Pickup Time',
+    'booking.stepReview': 'Review',
+    'booking.servicesTitle': 'Which services do you need?',
+    'booking.addressTitle': 'Where should we pick up?',
+    'booking.pickupTitle': 'When should we come by?',
+    'booking.reviewTitle': 'Review and confirm',
+    'booking.name': 'Full name',
+    'booking.phone': 'Phone',
+    'booking.email': 'Email',
+    'booking.contactHint': "We'll use your phone number or email to confirm your pickup.",
+    'booking.street': 'Street address',
+    'booking.unit': 'Apartment or suite',
+    'booking.city': 'City',
+    'booking.zip': 'ZIP code',
+    'booking.date': 'Pickup date',
+    'booking.slot': 'Time slot',
+    'booking.slotPlaceholder': 'Choose a time slot',
+    'booking.notes': 'Special instructions',
+    'booking.next': 'Next',
+    'booking.back': 'Back',
+    'booking.confirm': 'Confirm Pickup',
+    'booking.summaryServices': 'Services',
+    'booking.summaryName': 'Name',
+    'booking.summaryPhone': 'Phone',
+    'booking.summaryEmail': 'Email',
+    'booking.summaryAddress': 'Address',
+    'booking.summaryPickup': 'Pickup',
+    'booking.summaryInstructions': 'Instructions',
+    'booking.summaryEstimate': 'Estimate',
+    'form.optional': '(optional)',
 
-      .scroll-to-top.visible {
-        opacity: 1;
-        visibility: visible;
-      }
+    'validation.required': 'This field is required',
+    'validation.email': 'Please enter a valid email address',
+    'validation.phone': 'Please enter a valid phone number',
+    'validation.group': 'Please select at least one option',
+    'validation.minLength': 'Please enter at least {value} characters',
+    'validation.maxLength': 'Please enter no more than {value} characters',
+    'validation.pattern': 'Please match the requested format',
+    'validation.zip': 'Please enter a 5-digit ZIP code',
+    'validation.futureDate': 'Please choose today or a later date',
+    'validation.requireOneOf': 'Please enter a phone number or email address',
+    'validation.summaryTitle': 'Please fix the following:',
+    'validation.nameFormat': 'Names can only contain letters, spaces, hyphens and apostrophes',
+    'validation.ticket': 'Enter the ticket number from your receipt, e.g. FC-10234',
+    'validation.phoneLast4': 'Enter the last 4 digits of your phone number',
+    'validation.serviceArea': "Sorry, we don't offer pickup in this ZIP code yet",
 
-      @media (max-width: 767px) {
-        .scroll-to-top {
-          bottom: 1rem;
-          right: 1rem;
-          width: 2.5rem;
-          height: 2.5rem;
-          font-size: 1.25rem;
-        }
-      }
-    `;
-    
-    document.head.appendChild(style);
-  }
+    'form.sending': 'Sending your request…',
+    'form.success': 'Thank you! Your message has been sent successfully.',
+    'form.queued': "You appear to be offline. We've saved your request and will send it automatically when your connection is back.",
+    'form.mailto': 'Your email app should open with your request filled in. Send the email to complete your booking.',
+    'form.failureStart': "Sorry, we couldn't send your request. Please call us at (555) 123-4567 or ",
+    'form.failureLink': 'email us your request',
+    'form.failureEnd': '.',
+    'form.mailtoSubject': 'Pickup request',
 
-  /**
-   * Handle scroll event
-   */
-  function handleScroll() {
-    try {
-      const scrollButton = document.querySelector(SELECTORS.SCROLL_TO_TOP);
-      
-      if (!scrollButton) {
-        return;
-      }
+    'offline.label': 'Offline',
+    'offline.detail': "You're offline. Requests you send are saved and go out when you reconnect.",
+    'update.message': 'A new version of this page is available.',
+    'update.reload': 'Reload',
+    'update.dismiss': 'Later',
 
-      const scrollPosition = window.pageYOffset || document.documentElement.scrollTop;
-      
-      if (scrollPosition > CONFIG.SCROLL_TO_TOP_THRESHOLD) {
-        scrollButton.classList.add(CLASSES.SCROLL_TO_TOP_VISIBLE);
-      } else {
-        scrollButton.classList.remove(CLASSES.SCROLL_TO_TOP_VISIBLE);
-      }
-    } catch (error) {
-      logError('Scroll handler', error);
-    }
-  }
+    'announcements.label': 'Announcements',
+    'announcements.dismiss': 'Dismiss announcement',
+    'announcements.severity.info': 'Notice',
+    'announcements.severity.warning': 'Service alert',
+    'announcements.severity.urgent': 'Urgent',
 
-  /**
-   * Scroll to top of page
-   */
-  function scrollToTop() {
-    try {
-      window.scrollTo({
-        top: 0,
-        behavior: 'smooth'
-      });
-    } catch (error) {
-      logError('Scroll to top', error);
+    'estimator.washAndFold': 'Wash & Fold',
+    'estimator.dryCleaning': 'Dry Cleaning',
+    'estimator.alterations': 'Alterations',
+    'estimator.extras': 'Extras',
+    'estimator.shirt': 'Shirt',
+    'estimator.suit': 'Suit (2-piece)',
+    'estimator.dress': 'Dress',
+    'estimator.comforter': 'Comforter',
+    'estimator.hem': 'Hem pants or skirt',
+    'estimator.takeIn': 'Take in or let out',
+    'estimator.zipper': 'Zipper replacement',
+    'estimator.sleeves': 'Shorten sleeves',
+    'estimator.express': 'Express same-day service',
+    'estimator.delivery': 'Pickup & delivery',
+    'estimator.pounds': 'Pounds ({price}/lb, {minimum} minimum)',
+    'estimator.itemPrice': '{item} ({price} each)',
+    'estimator.expressOption': '{label} (+{percent}%)',
+    'estimator.deliveryOption': '{label} ({price})',
+    'estimator.groupItem': '{group}: {item}',
+    'estimator.weightDetail': '{weight} lb × {price}',
+    'estimator.minimumDetail': '{detail} (minimum order)',
+    'estimator.countDetail': '{count} × {price}',
+    'estimator.percentDetail': '+{percent}%',
+    'estimator.summaryTitle': 'Your Estimate',
+    'estimator.total': 'Estimated total',
+    'estimator.totalLine': 'Estimated total: {total}',
+    'estimator.note': 'Final price is confirmed when we weigh and inspect your order.',
+    'estimator.book': 'Book this',
+    'estimator.empty': 'Add items to see your estimate.',
+
+    'tracker.title': 'Track Your Order',
+    'tracker.intro': 'See whether your order is ready without waiting on the phone.',
+    'tracker.ticket': 'Ticket number',
+    'tracker.ticketHint': 'Printed at the top of your receipt, e.g. FC-10234',
+    'tracker.phoneLast4': 'Last 4 digits of your phone number',
+    'tracker.submit': 'Check status',
+    'tracker.loading': 'Looking up your order…',
+    'tracker.notFound': "We couldn't find an order with that ticket number and phone number. Please check your receipt and try again.",
+    'tracker.rateLimited': 'Too many lookups. Please wait {seconds} seconds and try again.',
+    'tracker.failed': "We couldn't check your order right now. Please try again or give us a call.",
+    'tracker.orderTitle': 'Order {ticket}',
+    'tracker.currentStatus': 'Status: {status}',
+    'tracker.estimatedReady': 'Expected ready: {time}',
+    'tracker.autoRefresh': 'This page checks for updates automatically.',
+    'tracker.stepReceived': 'Received',
+    'tracker.stepCleaning': 'Cleaning',
+    'tracker.stepReady': 'Ready',
+    'tracker.stepOutForDelivery': 'Out for delivery',
+    'tracker.stepDelivered': 'Delivered',
+
+    'serviceArea.title': 'Do we pick up in your area?',
+    'serviceArea.intro': 'Check delivery fees and the next pickup time for your neighborhood.',
+    'serviceArea.zip': 'ZIP code',
+    'serviceArea.check': 'Check',
+    'serviceArea.covered': 'Good news! We pick up and deliver in {zip}.',
+    'serviceArea.notCovered': "Sorry, we don't offer pickup and delivery in {zip} yet.",
+    'serviceArea.dropOff': "You're always welcome to drop off and collect your order at our store.",
+    'serviceArea.fee': 'Delivery fee',
+    'serviceArea.free': 'Free',
+    'serviceArea.minimum': 'Minimum order',
+    'serviceArea.days': 'Pickup days',
+    'serviceArea.nextPickup': 'Next available pickup',
+    'serviceArea.window': '{day}, {start} – {end}',
+    'serviceArea.noWindow': 'Call us to arrange a pickup',
+    'serviceArea.book': 'Book this pickup',
+
+    'testimonials.title': 'What Our Customers Say',
+    'testimonials.carousel': 'carousel',
+    'testimonials.slide': 'review',
+    'testimonials.position': '{current} of {total}',
+    'testimonials.rating': 'Rated {rating} out of 5',
+    'testimonials.previous': 'Previous review',
+    'testimonials.next': 'Next review',
+    'testimonials.pause': 'Pause automatic rotation',
+    'testimonials.play': 'Start automatic rotation',
+
+    'faq.title': 'Frequently Asked Questions',
+    'faq.intro': 'Quick answers about turnaround, stains, payments and delivery',
+    'faq.search': 'Search questions',
+    'faq.searchPlaceholder': 'e.g. stains, payment, delivery',
+    'faq.resultOne': '1 question matches',
+    'faq.results': '{count} questions match',
+    'faq.noResults': "No questions match “{query}”. Call us at {phone} and we'll be glad to help.",
+    'faq.permalink': 'Link to this question',
+
+    'footer.tagline': 'Professional laundry and dry cleaning services you can trust.',
+    'footer.quickLinks': 'Quick Links',
+    'footer.followUs': 'Follow Us',
+    'footer.facebook': 'Visit our Facebook page',
+    'footer.instagram': 'Visit our Instagram page',
+    'footer.twitter': 'Visit our Twitter page',
+    'footer.copyright': '© 2024 Fresh & Clean Laundry. All rights reserved.',
+
+    'consent.bannerTitle': 'Your privacy choices',
+    'consent.bannerText': 'We use essential storage to run this site. With your permission we also measure visits and load photos from an outside image service.',
+    'consent.acceptAll': 'Accept all',
+    'consent.rejectAll': 'Reject non-essential',
+    'consent.customize': 'Customize',
+    'consent.save': 'Save choices',
+    'consent.dialogTitle': 'Privacy settings',
+    'consent.dialogIntro': 'Choose what this site may use. You can change this at any time from the link at the bottom of the page.',
+    'consent.essential': 'Essential',
+    'consent.essentialDescription': 'Remembers your language, theme, ZIP code, this choice and bookings waiting to be sent, keeps a copy of the site for offline use, and sends error reports with the page address, browser version and recent actions on the page so we can fix problems. Always on.',
+    'consent.analytics': 'Analytics',
+    'consent.analyticsDescription': 'Anonymous counts of page sections viewed and buttons used, so we can improve the site.',
+    'consent.media': 'External images',
+    'consent.mediaDescription': 'Loads photos from Unsplash, which can see your IP address.',
+    'consent.footerLink': 'Privacy settings',
+  }),
+  es: Object.freeze({
+    'meta.title': 'Fresh & Clean Laundry | Tintorería profesional y lavado por libra',
+    'meta.description': 'Servicios profesionales de lavandería y tintorería con recogida y entrega a domicilio. Lavado y doblado, tintorería, lavandería comercial, arreglos y servicio exprés.',
+    'skipLink': 'Saltar al contenido principal',
+    'language.label': 'Idioma',
+    'theme.label': 'Tema',
+    'theme.system': 'Sistema',
+    'theme.light': 'Claro',
+    'theme.dark': 'Oscuro',
+    'theme.contrast': 'Alto contraste',
+
+    'nav.main': 'Navegación principal',
+    'nav.footer': 'Navegación del pie de página',
+    'nav.social': 'Redes sociales',
+    'nav.home': 'Inicio',
+    'nav.services': 'Servicios',
+    'nav.pricing': 'Precios',
+    'nav.about': 'Nosotros',
+    'nav.faq': 'Preguntas',
+    'nav.contact': 'Contacto',
+    'menu.toggle': 'Abrir o cerrar el menú de navegación',
+    'scrollToTop': 'Volver arriba',
+
+    'hero.title': 'Servicios profesionales de lavandería y tintorería',
+    'hero.subtitle': 'Cuidado de calidad para su ropa, con recogida y entrega a domicilio',
+    'hero.cta': 'Comience hoy',
+    'hero.imageAlt': 'Ropa limpia doblada y toallas frescas sobre una lavadora moderna',
+
+    'services.title': 'Nuestros servicios',
+    'services.intro': 'Ofrecemos soluciones completas de lavandería y tintorería para todas sus necesidades',
+    'services.washAndFold.title': 'Lavado y doblado',
+    'services.washAndFold.description': 'Servicio profesional de lavado, secado y doblado. Su ropa limpia y lista para usar, perfectamente doblada y organizada.',
+    'services.washAndFold.imageAlt': 'Ropa limpia doblada y apilada sobre una mesa',
+    'services.dryCleaning.title': 'Tintorería',
+    'services.dryCleaning.description': 'Limpieza en seco experta para telas delicadas, trajes, vestidos y prendas especiales. Un cuidado profesional que prolonga la vida de su ropa.',
+    'services.dryCleaning.imageAlt': 'Trajes y ropa formal en ganchos después de la limpieza en seco',
+    'services.pickupAndDelivery.title': 'Recogida y entrega',
+    'services.pickupAndDelivery.description': 'Recogemos y entregamos en la puerta de su casa. Programe en línea y nosotros nos encargamos del resto, con servicio el mismo día o al día siguiente.',
+    'services.pickupAndDelivery.imageAlt': 'Camioneta de reparto para la recogida y entrega de ropa',
+    'services.commercialLaundry.title': 'Lavandería comercial',
+    'services.commercialLaundry.description': 'Soluciones de lavandería a gran escala para empresas, hoteles, restaurantes y centros de salud. Servicio confiable con entregas rápidas.',
+    'services.commercialLaundry.imageAlt': 'Lavandería comercial con lavadoras industriales',
+    'services.alterationsAndRepairs.title': 'Arreglos y reparaciones',
+    'services.alterationsAndRepairs.description': 'Servicios profesionales de sastrería y reparación. Dobladillos, ajustes de talla, cambio de cierres y arreglos a medida por sastres con experiencia.',
+    'services.alterationsAndRepairs.imageAlt': 'Sastre haciendo arreglos a una prenda con una máquina de coser',
+    'services.expressService.title': 'Servicio exprés',
+    'services.expressService.description': '¿Lo necesita rápido? Nuestro servicio exprés ofrece limpieza y entrega el mismo día para necesidades urgentes. Disponible para la mayoría de los servicios.',
+    'services.expressService.imageAlt': 'Servicio de lavandería exprés con entrega rápida',
+    'services.startingAt': 'Desde {price}',
+
+    'serviceDialog.openLabel': '{service}: ver detalles',
+    'serviceDialog.close': 'Cerrar',
+    'serviceDialog.turnaround': 'Tiempo de entrega',
+    'serviceDialog.pricing': 'Precios',
+    'serviceDialog.care': 'Recomendaciones de cuidado',
+    'serviceDialog.book': 'Reservar este servicio',
+
+    'pricing.title': 'Calcule su precio',
+    'pricing.intro': 'Agregue sus prendas para ver un presupuesto detallado y programe su recogida con un clic',
+
+    'about.title': 'Acerca de Fresh & Clean Laundry',
+    'about.paragraph1': 'Desde hace más de 15 años, Fresh & Clean Laundry es la opción de confianza de nuestra comunidad para servicios profesionales de lavandería y tintorería. Combinamos la artesanía tradicional con tecnología moderna para ofrecer resultados excepcionales cada vez.',
+    'about.paragraph2': 'Nuestro compromiso con la calidad, la comodidad y la satisfacción del cliente nos ha convertido en la lavandería preferida de miles de clientes satisfechos. Desde el lavado y doblado diario hasta la delicada limpieza en seco, tratamos cada prenda con el cuidado que merece.',
+    'about.paragraph3': 'Usamos productos de limpieza ecológicos y equipos de última generación para que su ropa no solo quede limpia, sino que también se cuide de forma responsable con el medio ambiente. Nuestro equipo con experiencia se enorgullece de ofrecer resultados impecables y un servicio excepcional.',
+    'about.statYears': 'Años al servicio de nuestra comunidad',
+    'about.statCustomers': 'Clientes satisfechos',
+    'about.imageAlt': 'Interior de una lavandería moderna con equipo profesional y un ambiente limpio',
+
+    'contact.title': 'Contáctenos',
+    'contact.intro': 'Comuníquese con nosotros hoy para programar su servicio de lavandería',
+    'contact.phone': 'Teléfono',
+    'contact.phoneLabel': 'Llámenos al 555-123-4567',
+    'contact.email': 'Correo electrónico',
+    'contact.emailLabel': 'Escríbanos a info@freshcleanlaundry.com',
+    'contact.callUs': 'Llámenos al {phone}',
+    'contact.emailUs': 'Escríbanos a {email}',
+    'contact.address': 'Dirección',
+    'contact.hours': 'Horario de atención',
+    'contact.imageAlt': 'Representante de atención al cliente listo para ayudar con servicios de lavandería',
+
+    'hours.mondayFriday': 'Lunes a viernes:',
+    'hours.saturday': 'Sábado:',
+    'hours.sunday': 'Domingo:',
+    'hours.closed': 'Cerrado',
+    'hours.openUntil': 'Abierto · cierra a las {time}',
+    'hours.closedFor': 'Cerrado por {holiday}',
+    'hours.opensToday': '{status} · abre a las {time}',
+    'hours.opensOn': '{status} · abre el {day} a las {time}',
+    'holiday.thanksgiving': 'Día de Acción de Gracias',
+    'holiday.christmasEve': 'Nochebuena',
+    'holiday.christmasDay': 'Navidad',
+    'holiday.newYearsDay': 'Año Nuevo',
+
+    'booking.title': 'Programe una recogida',
+    'booking.intro': 'Reserve su recogida y entrega en línea en cuatro pasos rápidos. Le confirmaremos el horario por teléfono o correo electrónico.',
+    'booking.progress': 'Progreso de la reserva',
+    'booking.stepServices': 'Servicios',
+    'booking.stepAddress': 'Dirección',
+    'booking.stepPickup': 'Horario',
+    'booking.stepReview': 'Revisión',
+    'booking.servicesTitle': '¿Qué servicios necesita?',
+    'booking.addressTitle': '¿Dónde recogemos su ropa?',
+    'booking.pickupTitle': '¿Cuándo pasamos por ella?',
+    'booking.reviewTitle': 'Revise y confirme',
+    'booking.name': 'Nombre completo',
+    'booking.phone': 'Teléfono',
+    'booking.email': 'Correo electrónico',
+    'booking.contactHint': 'Usaremos su teléfono o correo electrónico para confirmar la recogida.',
+    'booking.street': 'Dirección',
+    'booking.unit': 'Apartamento o suite',
+    'booking.city': 'Ciudad',
+    'booking.zip': 'Código postal',
+    'booking.date': 'Fecha de recogida',
+    'booking.slot': 'Horario',
+    'booking.slotPlaceholder': 'Elija un horario',
+    'booking.notes': 'Instrucciones especiales',
+    'booking.next': 'Siguiente',
+    'booking.back': 'Atrás',
+    'booking.confirm': 'Confirmar recogida',
+    'booking.summaryServices': 'Servicios',
+    'booking.summaryName': 'Nombre',
+    'booking.summaryPhone': 'Teléfono',
+    'booking.summaryEmail': 'Correo electrónico',
+    'booking.summaryAddress': 'Dirección',
+    'booking.summaryPickup': 'Recogida',
+    'booking.summaryInstructions': 'Instrucciones',
+    'booking.summaryEstimate': 'Presupuesto',
+    'form.optional': '(opcional)',
+
+    'validation.required': 'Este campo es obligatorio',
+    'validation.email': 'Ingrese un correo electrónico válido',
+    'validation.phone': 'Ingrese un número de teléfono válido',
+    'validation.group': 'Seleccione al menos una opción',
+    'validation.minLength': 'Ingrese al menos {value} caracteres',
+    'validation.maxLength': 'Ingrese como máximo {value} caracteres',
+    'validation.pattern': 'Use el formato solicitado',
+    'validation.zip': 'Ingrese un código postal de 5 dígitos',
+    'validation.futureDate': 'Elija la fecha de hoy o una posterior',
+    'validation.requireOneOf': 'Ingrese un número de teléfono o un correo electrónico',
+    'validation.summaryTitle': 'Corrija lo siguiente:',
+    'validation.nameFormat': 'El nombre solo puede contener letras, espacios, guiones y apóstrofos',
+    'validation.ticket': 'Ingrese el número de ticket de su recibo, p. ej. FC-10234',
+    'validation.phoneLast4': 'Ingrese los últimos 4 dígitos de su teléfono',
+    'validation.serviceArea': 'Lo sentimos, aún no ofrecemos recogida en este código postal',
+
+    'form.sending': 'Enviando su solicitud…',
+    'form.success': '¡Gracias! Su mensaje se envió correctamente.',
+    'form.queued': 'Parece que no tiene conexión. Guardamos su solicitud y la enviaremos automáticamente cuando vuelva la conexión.',
+    'form.mailto': 'Su aplicación de correo debería abrirse con la solicitud completa. Envíe el correo para terminar su reserva.',
+    'form.failureStart': 'Lo sentimos, no pudimos enviar su solicitud. Llámenos al (555) 123-4567 o ',
+    'form.failureLink': 'envíenos su solicitud por correo',
+    'form.failureEnd': '.',
+    'form.mailtoSubject': 'Solicitud de recogida',
+
+    'offline.label': 'Sin conexión',
+    'offline.detail': 'No tiene conexión. Las solicitudes que envíe se guardan y se enviarán cuando vuelva a conectarse.',
+    'update.message': 'Hay una nueva versión de esta página.',
+    'update.reload': 'Recargar',
+    'update.dismiss': 'Más tarde',
+
+    'announcements.label': 'Avisos',
+    'announcements.dismiss': 'Cerrar aviso',
+    'announcements.severity.info': 'Aviso',
+    'announcements.severity.warning': 'Alerta de servicio',
+    'announcements.severity.urgent': 'Urgente',
+
+    'estimator.washAndFold': 'Lavado y doblado',
+    'estimator.dryCleaning': 'Tintorería',
+    'estimator.alterations': 'Arreglos',
+    'estimator.extras': 'Extras',
+    'estimator.shirt': 'Camisa',
+    'estimator.suit': 'Traje (2 piezas)',
+    'estimator.dress': 'Vestido',
+    'estimator.comforter': 'Edredón',
+    'estimator.hem': 'Dobladillo de pantalón o falda',
+    'estimator.takeIn': 'Ajustar o ampliar',
+    'estimator.zipper': 'Cambio de cierre',
+    'estimator.sleeves': 'Acortar mangas',
+    'estimator.express': 'Servicio exprés el mismo día',
+    'estimator.delivery': 'Recogida y entrega',
+    'estimator.pounds': 'Libras ({price}/lb, mínimo {minimum})',
+    'estimator.itemPrice': '{item} ({price} c/u)',
+    'estimator.expressOption': '{label} (+{percent} %)',
+    'estimator.deliveryOption': '{label} ({price})',
+    'estimator.groupItem': '{group}: {item}',
+    'estimator.weightDetail': '{weight} lb × {price}',
+    'estimator.minimumDetail': '{detail} (pedido mínimo)',
+    'estimator.countDetail': '{count} × {price}',
+    'estimator.percentDetail': '+{percent} %',
+    'estimator.summaryTitle': 'Su presupuesto',
+    'estimator.total': 'Total estimado',
+    'estimator.totalLine': 'Total estimado: {total}',
+    'estimator.note': 'El precio final se confirma cuando pesamos e inspeccionamos su pedido.',
+    'estimator.book': 'Reservar',
+    'estimator.empty': 'Agregue prendas para ver su presupuesto.',
+
+    'tracker.title': 'Siga su pedido',
+    'tracker.intro': 'Vea si su pedido está listo sin esperar al teléfono.',
+    'tracker.ticket': 'Número de ticket',
+    'tracker.ticketHint': 'Impreso en la parte superior de su recibo, p. ej. FC-10234',
+    'tracker.phoneLast4': 'Últimos 4 dígitos de su teléfono',
+    'tracker.submit': 'Consultar estado',
+    'tracker.loading': 'Buscando su pedido…',
+    'tracker.notFound': 'No encontramos un pedido con ese número de ticket y teléfono. Revise su recibo e inténtelo de nuevo.',
+    'tracker.rateLimited': 'Demasiadas consultas. Espere {seconds} segundos e inténtelo de nuevo.',
+    'tracker.failed': 'No pudimos consultar su pedido en este momento. Inténtelo de nuevo o llámenos.',
+    'tracker.orderTitle': 'Pedido {ticket}',
+    'tracker.currentStatus': 'Estado: {status}',
+    'tracker.estimatedReady': 'Listo aproximadamente: {time}',
+    'tracker.autoRefresh': 'Esta página busca actualizaciones automáticamente.',
+    'tracker.stepReceived': 'Recibido',
+    'tracker.stepCleaning': 'En limpieza',
+    'tracker.stepReady': 'Listo',
+    'tracker.stepOutForDelivery': 'En camino',
+    'tracker.stepDelivered': 'Entregado',
+
+    'serviceArea.title': '¿Recogemos en su zona?',
+    'serviceArea.intro': 'Consulte la tarifa de entrega y el próximo horario de recogida en su zona.',
+    'serviceArea.zip': 'Código postal',
+    'serviceArea.check': 'Consultar',
+    'serviceArea.covered': '¡Buenas noticias! Recogemos y entregamos en {zip}.',
+    'serviceArea.notCovered': 'Lo sentimos, aún no ofrecemos recogida y entrega en {zip}.',
+    'serviceArea.dropOff': 'Siempre puede dejar y recoger su pedido en nuestra tienda.',
+    'serviceArea.fee': 'Tarifa de entrega',
+    'serviceArea.free': 'Gratis',
+    'serviceArea.minimum': 'Pedido mínimo',
+    'serviceArea.days': 'Días de recogida',
+    'serviceArea.nextPickup': 'Próxima recogida disponible',
+    'serviceArea.window': '{day}, {start} – {end}',
+    'serviceArea.noWindow': 'Llámenos para programar una recogida',
+    'serviceArea.book': 'Reservar esta recogida',
+
+    'testimonials.title': 'Lo que dicen nuestros clientes',
+    'testimonials.carousel': 'carrusel',
+    'testimonials.slide': 'reseña',
+    'testimonials.position': '{current} de {total}',
+    'testimonials.rating': 'Calificación: {rating} de 5',
+    'testimonials.previous': 'Reseña anterior',
+    'testimonials.next': 'Reseña siguiente',
+    'testimonials.pause': 'Pausar la rotación automática',
+    'testimonials.play': 'Iniciar la rotación automática',
+
+    'faq.title': 'Preguntas frecuentes',
+    'faq.intro': 'Respuestas rápidas sobre plazos, manchas, pagos y entregas',
+    'faq.search': 'Buscar preguntas',
+    'faq.searchPlaceholder': 'p. ej., manchas, pago, entrega',
+    'faq.resultOne': '1 pregunta coincide',
+    'faq.results': '{count} preguntas coinciden',
+    'faq.noResults': 'Ninguna pregunta coincide con «{query}». Llámenos al {phone} y con gusto le ayudamos.',
+    'faq.permalink': 'Enlace a esta pregunta',
+
+    'footer.tagline': 'Servicios profesionales de lavandería y tintorería en los que puede confiar.',
+    'footer.quickLinks': 'Enlaces rápidos',
+    'footer.followUs': 'Síganos',
+    'footer.facebook': 'Visite nuestra página de Facebook',
+    'footer.instagram': 'Visite nuestra página de Instagram',
+    'footer.twitter': 'Visite nuestra página de Twitter',
+    'footer.copyright': '© 2024 Fresh & Clean Laundry. Todos los derechos reservados.',
+
+    'consent.bannerTitle': 'Sus opciones de privacidad',
+    'consent.bannerText': 'Usamos almacenamiento esencial para que el sitio funcione. Con su permiso también medimos las visitas y cargamos fotos de un servicio de imágenes externo.',
+    'consent.acceptAll': 'Aceptar todo',
+    'consent.rejectAll': 'Rechazar lo no esencial',
+    'consent.customize': 'Personalizar',
+    'consent.save': 'Guardar opciones',
+    'consent.dialogTitle': 'Configuración de privacidad',
+    'consent.dialogIntro': 'Elija qué puede usar este sitio. Puede cambiarlo en cualquier momento desde el enlace al final de la página.',
+    'consent.essential': 'Esencial',
+    'consent.essentialDescription': 'Recuerda su idioma, tema, código postal, esta elección y las reservas pendientes de envío, guarda una copia del sitio para usarlo sin conexión y envía informes de errores con la dirección de la página, la versión del navegador y las acciones recientes en la página para que podamos corregir problemas. Siempre activo.',
+    'consent.analytics': 'Analítica',
+    'consent.analyticsDescription': 'Recuentos anónimos de las secciones vistas y los botones usados, para mejorar el sitio.',
+    'consent.media': 'Imágenes externas',
+    'consent.mediaDescription': 'Carga fotos de Unsplash, que puede ver su dirección IP.',
+    'consent.footerLink': 'Configuración de privacidad',
+  }),
+});
+
+let currentLocale = DEFAULT_LOCALE;
+
+/**
+ * Initialize translations and the header language switcher
+ */
+function initI18n(cleanup) {
+  try {
+    // Read the business hours while the list is still in its source language
+    getBusinessSchedule();
+
+    const switcher = createLanguageSwitcher();
+
+    if (switcher) {
+      cleanup.listen(switcher.querySelector('select'), 'change', event => {
+        setLocale(event.target.value);
+      });
+      cleanup.add(() => {
+        switcher.remove();
+        removeStyles('language-switcher-styles');
+      });
     }
+
+    setLocale(resolveInitialLocale(), { persist: false });
+  } catch (error) {
+    logError('Internationalization initialization', error);
   }
+}
 
-  // ============================================
-  // Contact Form Validation (Placeholder)
-  // ============================================
+/**
+ * Translate a message key
+ * Falls back to the default locale, then to the key itself
+ * @param {string} key - Message key
+ * @param {Object} [params] - Values for {placeholders}
+ * @returns {string} Translated message
+ */
+function t(key, params = {}) {
+  const catalog = MESSAGES[currentLocale] || {};
+  const message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
 
-  /**
-   * Initialize contact form validation
-   * Note: Form doesn't exist in HTML yet, but functionality is ready
-   */
-  function initFormValidation() {
-    try {
-      const form = document.querySelector(SELECTORS.CONTACT_FORM);
-      
-      if (!form) {
-        // Form not present in current HTML, skip initialization
-        return;
-      }
+  if (message === undefined) {
+    logError('Translation', new Error(`Missing message: ${key}`));
+    return key;
+  }
 
-      form.addEventListener('submit', handleFormSubmit);
-      
-      // Add real-time validation
-      const inputs = form.querySelectorAll('input, textarea');
-      inputs.forEach(input => {
-        input.addEventListener('blur', validateField);
-        input.addEventListener('input', clearFieldError);
-      });
-    } catch (error) {
-      logError('Form validation initialization', error);
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? String(params[name]) : match
+  ));
+}
+
+/**
+ * Check if a message key exists in the default catalog
+ * @param {string} key - Message key
+ * @returns {boolean} True if the key is defined
+ */
+function hasMessage(key) {
+  return Object.prototype.hasOwnProperty.call(MESSAGES[DEFAULT_LOCALE], key);
+}
+
+/**
+ * Get the locale used for Intl date, time and number formatting
+ * @returns {string} BCP 47 locale tag
+ */
+function getIntlLocale() {
+  return LOCALES[currentLocale].intl;
+}
+
+/**
+ * Pick the saved locale, else the browser's preferred language, else the default
+ * @returns {string} Locale code
+ */
+function resolveInitialLocale() {
+  try {
+    const saved = localStorage.getItem(CONFIG.LOCALE_STORAGE_KEY);
+    if (saved && LOCALES[saved]) {
+      return saved;
     }
+  } catch (error) {
+    logError('Locale preference read', error);
   }
 
-  /**
-   * Handle form submit
-   * @param {Event} event - Submit event
-   */
-  function handleFormSubmit(event) {
-    event.preventDefault();
-    
-    try {
-      const form = event.target;
-      const isValid = validateForm(form);
-      
-      if (!isValid) {
-        return;
-      }
+  const preferred = navigator.languages || [navigator.language];
+  const match = preferred
+    .filter(Boolean)
+    .map(language => language.toLowerCase().split('-')[0])
+    .find(language => LOCALES[language]);
 
-      // Form is valid, would submit here
-      console.log('Form is valid and ready to submit');
-      
-      // Show success message
-      showFormSuccess(form);
+  return match || DEFAULT_LOCALE;
+}
+
+/**
+ * Switch the page language
+ * @param {string} locale - Locale code
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.persist=true] - Remember the choice
+ */
+function setLocale(locale, { persist = true } = {}) {
+  if (!LOCALES[locale]) {
+    return;
+  }
+
+  currentLocale = locale;
+
+  if (persist) {
+    try {
+      localStorage.setItem(CONFIG.LOCALE_STORAGE_KEY, locale);
     } catch (error) {
-      logError('Form submit handler', error);
+      logError('Locale preference write', error);
     }
   }
 
-  /**
-   * Validate entire form
-   * @param {HTMLFormElement} form - Form element
-   * @returns {boolean} True if form is valid
-   */
-  function validateForm(form) {
-    let isValid = true;
-    const inputs = form.querySelectorAll('input, textarea');
-    
-    inputs.forEach(input => {
-      if (!validateField({ target: input })) {
-        isValid = false;
+  document.documentElement.lang = locale;
+  document.documentElement.dir = LOCALES[locale].dir;
+
+  applyTranslations(document);
+
+  const switcher = document.querySelector(SELECTORS.LANGUAGE_SWITCHER);
+  if (switcher) {
+    switcher.value = locale;
+  }
+
+  document.dispatchEvent(new CustomEvent(EVENTS.LOCALE_CHANGE, { detail: { locale } }));
+}
+
+/**
+ * Translate every annotated element within a root
+ * @param {ParentNode} root - Element or document to translate
+ */
+function applyTranslations(root) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr.split(',').forEach(pair => {
+      const [attribute, key] = pair.split(':').map(part => part.trim());
+      if (attribute && key) {
+        element.setAttribute(attribute, t(key));
       }
     });
-    
-    return isValid;
+  });
+}
+
+/**
+ * Create the header language switcher
+ * @returns {HTMLElement|null} Switcher wrapper, or null if there is nowhere to put it
+ */
+function createLanguageSwitcher() {
+  const headerContainer = document.querySelector('.header-container');
+
+  if (!headerContainer || document.querySelector(SELECTORS.LANGUAGE_SWITCHER)) {
+    return null;
   }
 
-  /**
-   * Validate individual field
-   * @param {Event} event - Blur event
-   * @returns {boolean} True if field is valid
-   */
-  function validateField(event) {
-    const field = event.target;
-    const value = field.value.trim();
-    const type = field.type;
-    const required = field.hasAttribute('required');
-    
-    clearFieldError(event);
-    
-    // Required field validation
-    if (required && !value) {
-      showFieldError(field, 'This field is required');
-      return false;
+  addLanguageSwitcherStyles();
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'language-switcher';
+
+  const label = document.createElement('label');
+  label.className = 'visually-hidden';
+  label.htmlFor = 'language-select';
+  label.dataset.i18n = 'language.label';
+  label.textContent = t('language.label');
+
+  const select = document.createElement('select');
+  select.id = 'language-select';
+
+  Object.entries(LOCALES).forEach(([code, locale]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.lang = code;
+    option.textContent = locale.label;
+    select.append(option);
+  });
+
+  wrapper.append(label, select);
+  headerContainer.append(wrapper);
+  return wrapper;
+}
+
+/**
+ * Add language switcher styles dynamically
+ */
+function addLanguageSwitcherStyles() {
+  if (document.getElementById('language-switcher-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'language-switcher-styles';
+  style.textContent = `
+    .language-switcher {
+      margin-left: 1rem;
     }
-    
-    // Email validation
-    if (type === 'email' && value) {
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(value)) {
-        showFieldError(field, 'Please enter a valid email address');
-        return false;
-      }
+
+    .language-switcher select {
+      font: inherit;
+      font-size: 0.875rem;
+      color: var(--color-gray-700, #374151);
+      background-color: var(--color-white, #ffffff);
+      border: 1px solid var(--color-gray-300, #d1d5db);
+      border-radius: 0.5rem;
+      padding: 0.25rem 0.5rem;
+      cursor: pointer;
     }
-    
-    // Phone validation
-    if (type === 'tel' && value) {
-      const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-      if (!phoneRegex.test(value)) {
-        showFieldError(field, 'Please enter a valid phone number');
-        return false;
-      }
+
+    .language-switcher select:focus {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
     }
-    
-    return true;
-  }
+  `;
 
-  /**
-   * Show field error
-   * @param {HTMLElement} field - Form field
-   * @param {string} message - Error message
-   */
-  function showFieldError(field, message) {
-    field.classList.add(CLASSES.FORM_ERROR);
-    field.setAttribute('aria-invalid', 'true');
-    
-    let errorElement = field.parentElement.querySelector('.field-error');
-    
-    if (!errorElement) {
-      errorElement = document.createElement('span');
-      errorElement.className = 'field-error';
-      errorElement.setAttribute('role', 'alert');
-      field.parentElement.appendChild(errorElement);
+  document.head.appendChild(style);
+}
+
+export const i18n = defineFeature(initI18n);
+
+// ============================================
+// Theme
+// ============================================
+
+/**
+ * Themes with a palette in styles.css, applied as `<html data-theme>`
+ */
+const THEMES = Object.freeze(['light', 'dark', 'contrast']);
+
+/**
+ * Choices offered in the switcher; 'system' follows the OS preferences
+ */
+const THEME_CHOICES = Object.freeze(['system', ...THEMES]);
+
+/**
+ * Media queries checked, in order, when the choice is 'system'
+ */
+const THEME_QUERIES = Object.freeze({
+  contrast: '(prefers-contrast: more)',
+  dark: '(prefers-color-scheme: dark)',
+});
+
+let themeChoice = 'system';
+
+/**
+ * Initialize the theme switcher
+ * The inline script in index.html has already applied the saved or system
+ * theme before first paint; this keeps it in step from then on.
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initTheme(cleanup) {
+  try {
+    themeChoice = readThemeChoice();
+
+    if (typeof window.matchMedia === 'function') {
+      Object.values(THEME_QUERIES).forEach(query => {
+        cleanup.listen(window.matchMedia(query), 'change', () => {
+          if (themeChoice === 'system') {
+            applyTheme();
+          }
+        });
+      });
     }
-    
-    errorElement.textContent = message;
-  }
 
-  /**
-   * Clear field error
-   * @param {Event} event - Input event
-   */
-  function clearFieldError(event) {
-    const field = event.target;
-    field.classList.remove(CLASSES.FORM_ERROR);
-    field.removeAttribute('aria-invalid');
-    
-    const errorElement = field.parentElement.querySelector('.field-error');
-    if (errorElement) {
-      errorElement.remove();
+    const switcher = createThemeSwitcher();
+
+    if (switcher) {
+      cleanup.listen(switcher.querySelector('select'), 'change', event => {
+        setTheme(event.target.value);
+      });
+      cleanup.add(() => {
+        switcher.remove();
+        removeStyles('theme-switcher-styles');
+      });
     }
+
+    applyTheme();
+  } catch (error) {
+    logError('Theme initialization', error);
   }
+}
 
-  /**
-   * Show form success message
-   * @param {HTMLFormElement} form - Form element
-   */
-  function showFormSuccess(form) {
-    form.classList.add(CLASSES.FORM_SUCCESS);
-    
-    let successElement = form.querySelector('.form-success');
-    
-    if (!successElement) {
-      successElement = document.createElement('div');
-      successElement.className = 'form-success';
-      successElement.setAttribute('role', 'status');
-      successElement.textContent = 'Thank you! Your message has been sent successfully.';
-      form.insertBefore(successElement, form.firstChild);
-    }
-    
-    // Reset form after short delay
-    setTimeout(() => {
-      form.reset();
-      form.classList.remove(CLASSES.FORM_SUCCESS);
-      if (successElement) {
-        successElement.remove();
-      }
-    }, 5000);
+/**
+ * Read the saved theme choice
+ * @returns {string} One of THEME_CHOICES
+ */
+function readThemeChoice() {
+  try {
+    const saved = localStorage.getItem(CONFIG.THEME_STORAGE_KEY);
+    return THEME_CHOICES.includes(saved) ? saved : 'system';
+  } catch (error) {
+    logError('Theme preference read', error);
+    return 'system';
   }
+}
 
-  // ============================================
-  // Keyboard Accessibility Enhancements
-  // ============================================
+/**
+ * Turn a choice into the theme to apply
+ * Mirrors the inline script in index.html.
+ * @param {string} choice - One of THEME_CHOICES
+ * @returns {string} One of THEMES
+ */
+function resolveTheme(choice) {
+  if (THEMES.includes(choice)) {
+    return choice;
+  }
 
-  /**
-   * Initialize keyboard accessibility
-   */
-  function initKeyboardAccessibility() {
-    try {
-      // Ensure skip link works
-      const skipLink = document.querySelector(SELECTORS.SKIP_LINK);
-      if (skipLink) {
-        skipLink.addEventListener('click', handleSkipLink);
-      }
+  const matches = query => typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
 
-      // Add keyboard navigation for cards
-      const cards = document.querySelectorAll('.service-card, .contact-item');
-      cards.forEach(card => {
-        if (!card.hasAttribute('tabindex')) {
-          card.setAttribute('tabindex', '0');
-        }
-      });
-    } catch (error) {
-      logError('Keyboard accessibility initialization', error);
-    }
+  if (matches(THEME_QUERIES.contrast)) {
+    return 'contrast';
   }
 
-  /**
-   * Handle skip link click
-   * @param {Event} event - Click event
-   */
-  function handleSkipLink(event) {
-    event.preventDefault();
-    const main = document.querySelector('#main');
-    if (main) {
-      main.setAttribute('tabindex', '-1');
-      main.focus();
-      main.removeAttribute('tabindex');
-    }
+  return matches(THEME_QUERIES.dark) ? 'dark' : 'light';
+}
+
+/**
+ * Switch the page theme
+ * @param {string} choice - One of THEME_CHOICES
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.persist=true] - Remember the choice
+ */
+function setTheme(choice, { persist = true } = {}) {
+  if (!THEME_CHOICES.includes(choice)) {
+    return;
   }
 
-  // ============================================
-  // Initialization
-  // ============================================
+  themeChoice = choice;
 
-  /**
-   * Initialize all features
-   */
-  function init() {
+  if (persist) {
     try {
-      // Wait for DOM to be ready
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', initializeFeatures);
+      // 'system' is the default, so forget any explicit choice
+      if (choice === 'system') {
+        localStorage.removeItem(CONFIG.THEME_STORAGE_KEY);
       } else {
-        initializeFeatures();
+        localStorage.setItem(CONFIG.THEME_STORAGE_KEY, choice);
       }
     } catch (error) {
-      logError('Initialization', error);
+      logError('Theme preference write', error);
     }
   }
 
-  /**
-   * Initialize all features after DOM is ready
-   */
-  function initializeFeatures() {
-    try {
-      initSmoothScrolling();
-      initMobileMenu();
-      initLazyLoading();
-      initScrollToTop();
-      initFormValidation();
-      initKeyboardAccessibility();
-      
-      console.log('[Fresh & Clean Laundry] Interactive features initialized successfully');
-    } catch (error) {
-      logError('Feature initialization', error);
+  applyTheme();
+}
+
+/**
+ * Apply the current choice to the page and announce a change of theme
+ */
+function applyTheme() {
+  const theme = resolveTheme(themeChoice);
+  const root = document.documentElement;
+
+  const switcher = document.querySelector(SELECTORS.THEME_SWITCHER);
+  if (switcher) {
+    switcher.value = themeChoice;
+  }
+
+  if (root.dataset.theme === theme) {
+    return;
+  }
+
+  root.dataset.theme = theme;
+  document.dispatchEvent(new CustomEvent(EVENTS.THEME_CHANGE, {
+    detail: { theme, choice: themeChoice },
+  }));
+}
+
+/**
+ * Create the header theme switcher
+ * @returns {HTMLElement|null} Switcher wrapper, or null if there is nowhere to put it
+ */
+function createThemeSwitcher() {
+  const headerContainer = document.querySelector('.header-container');
+
+  if (!headerContainer || document.querySelector(SELECTORS.THEME_SWITCHER)) {
+    return null;
+  }
+
+  addThemeSwitcherStyles();
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'theme-switcher';
+
+  const label = document.createElement('label');
+  label.className = 'visually-hidden';
+  label.htmlFor = 'theme-select';
+  label.dataset.i18n = 'theme.label';
+  label.textContent = t('theme.label');
+
+  const select = document.createElement('select');
+  select.id = 'theme-select';
+
+  THEME_CHOICES.forEach(choice => {
+    const option = document.createElement('option');
+    option.value = choice;
+    option.dataset.i18n = `theme.${choice}`;
+    option.textContent = t(`theme.${choice}`);
+    select.append(option);
+  });
+
+  wrapper.append(label, select);
+  headerContainer.append(wrapper);
+  return wrapper;
+}
+
+/**
+ * Add theme switcher styles dynamically
+ */
+function addThemeSwitcherStyles() {
+  if (document.getElementById('theme-switcher-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'theme-switcher-styles';
+  style.textContent = `
+    .theme-switcher {
+      margin-left: 0.5rem;
+    }
+
+    .theme-switcher select {
+      font: inherit;
+      font-size: 0.875rem;
+      color: var(--color-gray-700, #374151);
+      background-color: var(--color-white, #ffffff);
+      border: 1px solid var(--color-gray-300, #d1d5db);
+      border-radius: 0.5rem;
+      padding: 0.25rem 0.5rem;
+      cursor: pointer;
+    }
+
+    .theme-switcher select:focus {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const theme = defineFeature(initTheme);
+
+// ============================================
+// Site Content
+// ============================================
+
+/**
+ * Version of the content file format in CONFIG.CONTENT_URL
+ */
+const CONTENT_VERSION = 1;
+
+/**
+ * Validators for each region of the content file. A region that is left
+ * out, or that has schema errors, keeps its HTML fallback.
+ */
+const CONTENT_SCHEMA = Object.freeze({
+  services: validateServicesContent,
+  hours: validateHoursContent,
+  contact: validateContactContent,
+  footer: validateFooterContent,
+  testimonials: validateTestimonialsContent,
+  faq: validateFaqContent,
+  announcements: validateAnnouncementsContent,
+});
+
+/**
+ * Renderers for `[data-content]` slots in the page, with the path to
+ * their data in the content file
+ */
+const CONTENT_SLOTS = Object.freeze({
+  services: Object.freeze({ path: ['services'], render: renderServicesSlot }),
+  hours: Object.freeze({ path: ['hours'], render: renderHoursSlot }),
+  phone: Object.freeze({ path: ['contact', 'phone'], render: renderPhoneSlot }),
+  email: Object.freeze({ path: ['contact', 'email'], render: renderEmailSlot }),
+  address: Object.freeze({ path: ['contact', 'address'], render: renderAddressSlot }),
+  tagline: Object.freeze({ path: ['footer', 'tagline'], render: renderTextSlot }),
+  social: Object.freeze({ path: ['footer', 'social'], render: renderSocialSlot }),
+  copyright: Object.freeze({ path: ['footer', 'copyright'], render: renderTextSlot }),
+});
+
+const CLOCK_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+let siteContentRequest = null;
+
+/**
+ * Initialize content rendered from the site content file
+ * The markup in the page stays as the fallback until the file loads, and
+ * is put back on destroy
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initSiteContent(cleanup) {
+  try {
+    const slots = Array.from(document.querySelectorAll(SELECTORS.CONTENT_SLOT));
+
+    if (!slots.length) {
+      return;
+    }
+
+    // Keep the markup from before other features enhance it (tabindex, roles)
+    const fallbacks = new Map(slots.map(slot => [slot, {
+      markup: slot.innerHTML,
+      i18n: slot.getAttribute('data-i18n'),
+      rendered: false,
+    }]));
+    let active = true;
+
+    cleanup.add(() => {
+      active = false;
+      setBusinessHours(null);
+      restoreContentFallbacks(fallbacks);
+    });
+
+    getSiteContent().then(content => {
+      if (!active || !content) {
+        return;
+      }
+
+      addSiteContentStyles();
+      cleanup.add(() => removeStyles('site-content-styles'));
+
+      if (content.hours) {
+        setBusinessHours(getWeeklyHours(content.hours));
+      }
+
+      renderSiteContent(content, slots, fallbacks);
+      cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => {
+        renderSiteContent(content, slots, fallbacks);
+      });
+    });
+  } catch (error) {
+    logError('Site content initialization', error);
+  }
+}
+
+/**
+ * Get the site content, fetching it on first use
+ * @returns {Promise<Object|null>} Valid content regions, or null if the file is unusable
+ */
+function getSiteContent() {
+  if (!siteContentRequest) {
+    siteContentRequest = loadSiteContent();
+  }
+  return siteContentRequest;
+}
+
+/**
+ * Fetch and validate the site content file
+ * @returns {Promise<Object|null>} Valid content regions, or null if the file is unusable
+ */
+async function loadSiteContent() {
+  try {
+    const response = await fetch(CONFIG.CONTENT_URL, {
+      headers: { Accept: 'application/json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Content request failed with status ${response.status}`);
     }
+
+    return validateSiteContent(await response.json());
+  } catch (error) {
+    logError('Site content loading', error);
+    return null;
+  }
+}
+
+/**
+ * Check the content file against CONTENT_SCHEMA
+ * Every problem is reported through logError; regions with problems are dropped
+ * @param {*} data - Parsed content file
+ * @returns {Object|null} Valid regions, or null if the file itself is invalid
+ */
+function validateSiteContent(data) {
+  if (!isPlainObject(data) || data.version !== CONTENT_VERSION) {
+    logError('Site content schema', new Error(`Expected an object with version ${CONTENT_VERSION}`));
+    return null;
   }
 
-  // Start initialization
-  init();
+  const content = {};
+
+  Object.entries(CONTENT_SCHEMA).forEach(([region, validate]) => {
+    if (data[region] === undefined) {
+      return;
+    }
+
+    const problems = validate(data[region]);
+
+    if (problems.length) {
+      problems.forEach(problem => logError('Site content schema', new Error(problem)));
+      return;
+    }
+
+    content[region] = data[region];
+  });
+
+  return content;
+}
+
+/**
+ * Create a schema check that records a problem when a condition fails
+ * @param {string[]} problems - List to add problems to
+ * @returns {Function} Check taking (valid, path, expected) and returning valid
+ */
+function createContentCheck(problems) {
+  return (valid, path, expected) => {
+    if (!valid) {
+      problems.push(`${path}: expected ${expected}`);
+    }
+    return valid;
+  };
+}
+
+/**
+ * Validate the services region
+ * @param {*} services - Services from the content file
+ * @returns {string[]} Schema problems
+ */
+function validateServicesContent(services) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  if (!expect(Array.isArray(services) && services.length > 0, 'services', 'a non-empty array')) {
+    return problems;
+  }
+
+  const ids = new Set();
+
+  services.forEach((service, index) => {
+    const path = `services[${index}]`;
+
+    if (!expect(isPlainObject(service), path, 'an object')) {
+      return;
+    }
+
+    expect(
+      typeof service.id === 'string' && /^[a-z0-9-]+$/.test(service.id) && !ids.has(service.id),
+      `${path}.id`,
+      'a unique lowercase slug'
+    );
+    ids.add(service.id);
+
+    expect(isLocalizedText(service.title), `${path}.title`, 'localized text');
+    expect(isLocalizedText(service.description), `${path}.description`, 'localized text');
+
+    if (service.startingPrice !== undefined) {
+      expect(
+        Number.isFinite(service.startingPrice) && service.startingPrice >= 0,
+        `${path}.startingPrice`,
+        'a non-negative number'
+      );
+    }
+
+    if (service.details !== undefined && expect(isPlainObject(service.details), `${path}.details`, 'an object')) {
+      const { details } = service;
+      ['description', 'turnaround', 'pricing'].forEach(key => {
+        if (details[key] !== undefined) {
+          expect(isLocalizedText(details[key]), `${path}.details.${key}`, 'localized text');
+        }
+      });
+
+      if (details.care !== undefined) {
+        expect(
+          Array.isArray(details.care) && details.care.every(isLocalizedText),
+          `${path}.details.care`,
+          'an array of localized text'
+        );
+      }
+    }
+
+    if (expect(isPlainObject(service.image), `${path}.image`, 'an object')) {
+      const { image } = service;
+      expect(typeof image.src === 'string' && image.src !== '', `${path}.image.src`, 'a URL');
+      ['srcset', 'sizes'].forEach(key => {
+        if (image[key] !== undefined) {
+          expect(typeof image[key] === 'string' && image[key] !== '', `${path}.image.${key}`, 'text');
+        }
+      });
+      if (image.placeholderColor !== undefined) {
+        expect(
+          /^#[0-9a-f]{3,8}$/i.test(image.placeholderColor),
+          `${path}.image.placeholderColor`,
+          'a hex color'
+        );
+      }
+      expect(isLocalizedText(image.alt), `${path}.image.alt`, 'localized text');
+      ['width', 'height'].forEach(dimension => {
+        expect(
+          Number.isInteger(image[dimension]) && image[dimension] > 0,
+          `${path}.image.${dimension}`,
+          'a positive integer'
+        );
+      });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the hours region
+ * @param {*} hours - Opening hours groups from the content file
+ * @returns {string[]} Schema problems
+ */
+function validateHoursContent(hours) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  if (!expect(Array.isArray(hours) && hours.length > 0, 'hours', 'a non-empty array')) {
+    return problems;
+  }
+
+  const seenDays = new Set();
+
+  hours.forEach((group, index) => {
+    const path = `hours[${index}]`;
+
+    if (!expect(isPlainObject(group), path, 'an object')) {
+      return;
+    }
+
+    expect(isLocalizedText(group.label), `${path}.label`, 'localized text');
+
+    if (expect(Array.isArray(group.days) && group.days.length > 0, `${path}.days`, 'a non-empty array')) {
+      group.days.forEach(day => {
+        expect(
+          DAY_NAMES.includes(day) && !seenDays.has(day),
+          `${path}.days`,
+          `day names from ${DAY_NAMES.join(', ')}, each used once`
+        );
+        seenDays.add(day);
+      });
+    }
+
+    if (group.closed === true) {
+      return;
+    }
+
+    const validOpen = expect(CLOCK_TIME_PATTERN.test(group.open), `${path}.open`, 'a time as HH:MM');
+    const validClose = expect(CLOCK_TIME_PATTERN.test(group.close), `${path}.close`, 'a time as HH:MM');
+
+    if (validOpen && validClose) {
+      expect(parseClockTime(group.open) < parseClockTime(group.close), `${path}.close`, 'a time after open');
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the contact region
+ * @param {*} contact - Contact details from the content file
+ * @returns {string[]} Schema problems
+ */
+function validateContactContent(contact) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  if (!expect(isPlainObject(contact), 'contact', 'an object')) {
+    return problems;
+  }
+
+  if (contact.phone !== undefined && expect(isPlainObject(contact.phone), 'contact.phone', 'an object')) {
+    expect(typeof contact.phone.display === 'string' && contact.phone.display !== '', 'contact.phone.display', 'text');
+    expect(/^\+?\d{7,15}$/.test(contact.phone.tel), 'contact.phone.tel', 'digits with an optional leading +');
+  }
+
+  if (contact.email !== undefined) {
+    expect(
+      typeof contact.email === 'string' && VALIDATION_RULES.email.test(contact.email),
+      'contact.email',
+      'an email address'
+    );
+  }
+
+  if (contact.address !== undefined) {
+    expect(
+      Array.isArray(contact.address) && contact.address.length > 0
+        && contact.address.every(line => typeof line === 'string' && line !== ''),
+      'contact.address',
+      'a non-empty array of lines'
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Validate the footer region
+ * @param {*} footer - Footer content from the content file
+ * @returns {string[]} Schema problems
+ */
+function validateFooterContent(footer) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  if (!expect(isPlainObject(footer), 'footer', 'an object')) {
+    return problems;
+  }
+
+  ['tagline', 'copyright'].forEach(key => {
+    if (footer[key] !== undefined) {
+      expect(isLocalizedText(footer[key]), `footer.${key}`, 'localized text');
+    }
+  });
+
+  if (footer.social !== undefined && expect(Array.isArray(footer.social), 'footer.social', 'an array')) {
+    footer.social.forEach((link, index) => {
+      const path = `footer.social[${index}]`;
+
+      if (!expect(isPlainObject(link), path, 'an object')) {
+        return;
+      }
+
+      expect(typeof link.name === 'string' && link.name !== '', `${path}.name`, 'text');
+      expect(typeof link.url === 'string' && /^https?:\/\//.test(link.url), `${path}.url`, 'an http(s) URL');
+      expect(isLocalizedText(link.label), `${path}.label`, 'localized text');
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Validate the testimonials region
+ * @param {*} testimonials - Customer reviews from the content file
+ * @returns {string[]} Schema problems
+ */
+function validateTestimonialsContent(testimonials) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  if (!expect(Array.isArray(testimonials) && testimonials.length > 0, 'testimonials', 'a non-empty array')) {
+    return problems;
+  }
+
+  const ids = new Set();
+
+  testimonials.forEach((review, index) => {
+    const path = `testimonials[${index}]`;
+
+    if (!expect(isPlainObject(review), path, 'an object')) {
+      return;
+    }
+
+    expect(
+      typeof review.id === 'string' && /^[a-z0-9-]+$/.test(review.id) && !ids.has(review.id),
+      `${path}.id`,
+      'a unique lowercase slug'
+    );
+    ids.add(review.id);
+
+    expect(typeof review.author === 'string' && review.author !== '', `${path}.author`, 'text');
+    expect(
+      Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5,
+      `${path}.rating`,
+      'a whole number from 1 to 5'
+    );
+    expect(typeof review.service === 'string' && review.service !== '', `${path}.service`, 'a service id');
+    expect(
+      typeof review.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(review.date),
+      `${path}.date`,
+      'a YYYY-MM-DD date'
+    );
+    expect(isLocalizedText(review.text), `${path}.text`, 'localized text');
+  });
+
+  return problems;
+}
+
+/**
+ * Validate the FAQ region
+ * @param {*} faq - Questions and answers from the content file
+ * @returns {string[]} Schema problems
+ */
+function validateFaqContent(faq) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  if (!expect(Array.isArray(faq) && faq.length > 0, 'faq', 'a non-empty array')) {
+    return problems;
+  }
+
+  const ids = new Set();
+
+  faq.forEach((entry, index) => {
+    const path = `faq[${index}]`;
+
+    if (!expect(isPlainObject(entry), path, 'an object')) {
+      return;
+    }
+
+    expect(
+      typeof entry.id === 'string' && /^[a-z0-9-]+$/.test(entry.id) && !ids.has(entry.id),
+      `${path}.id`,
+      'a unique lowercase slug'
+    );
+    ids.add(entry.id);
+
+    expect(isLocalizedText(entry.question), `${path}.question`, 'localized text');
+    expect(isLocalizedText(entry.answer), `${path}.answer`, 'localized text');
+  });
+
+  return problems;
+}
+
+/**
+ * Check the announcements: severity, localized message, an ISO 8601
+ * start and end with a UTC offset, and an optional link
+ * @param {*} announcements - announcements region of the content file
+ * @returns {string[]} Problems found
+ */
+function validateAnnouncementsContent(announcements) {
+  const problems = [];
+  const expect = createContentCheck(problems);
+
+  // An empty list is normal: most of the time there is nothing to announce
+  if (!expect(Array.isArray(announcements), 'announcements', 'an array')) {
+    return problems;
+  }
+
+  const ids = new Set();
+  const isDateTime = value => typeof value === 'string'
+    && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})$/.test(value)
+    && !Number.isNaN(Date.parse(value));
+
+  announcements.forEach((notice, index) => {
+    const path = `announcements[${index}]`;
+
+    if (!expect(isPlainObject(notice), path, 'an object')) {
+      return;
+    }
+
+    expect(
+      typeof notice.id === 'string' && /^[a-z0-9-]+$/.test(notice.id) && !ids.has(notice.id),
+      `${path}.id`,
+      'a unique lowercase slug'
+    );
+    ids.add(notice.id);
+
+    expect(
+      Object.values(ANNOUNCEMENT_SEVERITIES).includes(notice.severity),
+      `${path}.severity`,
+      Object.values(ANNOUNCEMENT_SEVERITIES).join(', ')
+    );
+    expect(isLocalizedText(notice.message), `${path}.message`, 'localized text');
+
+    if (expect(isDateTime(notice.start), `${path}.start`, 'a date and time with a UTC offset')
+      && expect(isDateTime(notice.end), `${path}.end`, 'a date and time with a UTC offset')) {
+      expect(Date.parse(notice.end) > Date.parse(notice.start), `${path}.end`, 'a time after start');
+    }
+
+    if (notice.link !== undefined && expect(isPlainObject(notice.link), `${path}.link`, 'an object')) {
+      expect(
+        typeof notice.link.href === 'string' && /^(https?:\/\/|\/|#|tel:|mailto:)/.test(notice.link.href),
+        `${path}.link.href`,
+        'an http(s), relative, #fragment, tel: or mailto: link'
+      );
+      expect(isLocalizedText(notice.link.label), `${path}.link.label`, 'localized text');
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check for localized text: a plain string, or strings keyed by locale
+ * with at least the default locale
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is localized text
+ */
+function isLocalizedText(value) {
+  if (typeof value === 'string') {
+    return true;
+  }
+
+  return isPlainObject(value)
+    && typeof value[DEFAULT_LOCALE] === 'string'
+    && Object.values(value).every(text => typeof text === 'string');
+}
+
+/**
+ * Pick the current locale's version of localized text
+ * @param {string|Object} value - Localized text
+ * @returns {string} Text in the current locale, or the default locale
+ */
+function localizeContent(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+
+  return value[currentLocale] !== undefined ? value[currentLocale] : value[DEFAULT_LOCALE];
+}
+
+/**
+ * Build weekly hours from the content file's opening hours groups
+ * @param {Object[]} hours - Opening hours groups
+ * @returns {Array<Object|null>} Hours indexed by weekday (0 = Sunday)
+ */
+function getWeeklyHours(hours) {
+  const weekly = new Array(7).fill(null);
+
+  hours.forEach(group => {
+    group.days.forEach(day => {
+      weekly[DAY_NAMES.indexOf(day)] = group.closed
+        ? null
+        : { open: parseClockTime(group.open), close: parseClockTime(group.close) };
+    });
+  });
+
+  return weekly;
+}
+
+/**
+ * Render content into every slot that has data
+ * @param {Object} content - Valid content regions
+ * @param {HTMLElement[]} slots - Elements with data-content
+ * @param {Map} fallbacks - Original markup by slot, marked once rendered
+ */
+function renderSiteContent(content, slots, fallbacks) {
+  const rendered = [];
+
+  slots.forEach(slot => {
+    const definition = CONTENT_SLOTS[slot.dataset.content];
+
+    if (!definition) {
+      logError('Site content', new Error(`Unknown content slot: ${slot.dataset.content}`));
+      return;
+    }
+
+    const value = definition.path.reduce((data, key) => (data ? data[key] : undefined), content);
+
+    if (value === undefined) {
+      return;
+    }
+
+    const fallback = fallbacks.get(slot);
+
+    if (!fallback.rendered) {
+      fallback.rendered = true;
+      // The content file carries its own translations
+      slot.removeAttribute('data-i18n');
+    }
+
+    try {
+      definition.render(slot, value);
+      rendered.push(slot);
+    } catch (error) {
+      logError(`Site content slot ${slot.dataset.content}`, error);
+    }
+  });
+
+  announceContentChange(rendered);
+}
+
+/**
+ * Put back the original markup of every rendered slot
+ * @param {Map} fallbacks - Original markup by slot, marked once rendered
+ */
+function restoreContentFallbacks(fallbacks) {
+  const restored = [];
+
+  fallbacks.forEach((fallback, slot) => {
+    if (!fallback.rendered) {
+      return;
+    }
+
+    slot.innerHTML = fallback.markup;
+    fallback.rendered = false;
+
+    if (fallback.i18n) {
+      slot.setAttribute('data-i18n', fallback.i18n);
+    }
+
+    applyTranslations(slot);
+    restored.push(slot);
+  });
+
+  announceContentChange(restored);
+}
+
+/**
+ * Let other features pick up newly rendered elements
+ * @param {HTMLElement[]} elements - Slots whose content changed
+ */
+function announceContentChange(elements) {
+  if (elements.length) {
+    document.dispatchEvent(new CustomEvent(EVENTS.CONTENT_CHANGE, { detail: { elements } }));
+  }
+}
+
+/**
+ * Render the services grid
+ * @param {HTMLElement} grid - Services grid
+ * @param {Object[]} services - Services from the content file
+ */
+function renderServicesSlot(grid, services) {
+  grid.replaceChildren(...services.map(createServiceCard));
+}
+
+/**
+ * Create a service card matching the markup in the page
+ * @param {Object} service - Service from the content file
+ * @returns {HTMLElement} Service card
+ */
+function createServiceCard(service) {
+  const card = document.createElement('article');
+  card.className = 'service-card';
+  card.dataset.service = service.id;
+
+  const media = document.createElement('div');
+  media.className = 'service-image';
+  media.append(createContentImage(service.image));
+
+  const body = document.createElement('div');
+  body.className = 'service-content';
+
+  const title = document.createElement('h3');
+  title.textContent = localizeContent(service.title);
+
+  const description = document.createElement('p');
+  description.textContent = localizeContent(service.description);
+
+  body.append(title, description);
+
+  if (service.startingPrice !== undefined) {
+    const price = document.createElement('p');
+    price.className = 'service-price';
+    price.textContent = t('services.startingAt', { price: formatCurrency(service.startingPrice) });
+    body.append(price);
+  }
+
+  card.append(media, body);
+  return card;
+}
+
+/**
+ * Create an image for the lazy loader; images from other origins also
+ * wait for media consent
+ * @param {Object} image - Image from the content file
+ * @returns {HTMLImageElement} Image element
+ */
+function createContentImage(image) {
+  const element = document.createElement('img');
+  element.src = CONFIG.MEDIA_PLACEHOLDER;
+  element.dataset.src = image.src;
+
+  if (image.srcset) {
+    element.dataset.srcset = image.srcset;
+  }
+
+  if (image.sizes) {
+    element.sizes = image.sizes;
+  }
+
+  if (image.placeholderColor) {
+    element.dataset.placeholderColor = image.placeholderColor;
+  }
+
+  if (new URL(image.src, location.href).origin !== location.origin) {
+    element.dataset.consent = 'media';
+  }
+
+  element.alt = localizeContent(image.alt);
+  element.loading = 'lazy';
+  element.width = image.width;
+  element.height = image.height;
+  return element;
+}
+
+/**
+ * Render the Business Hours list
+ * @param {HTMLDListElement} list - Business Hours list
+ * @param {Object[]} hours - Opening hours groups
+ */
+function renderHoursSlot(list, hours) {
+  list.replaceChildren(...hours.flatMap(group => {
+    const term = document.createElement('dt');
+    term.textContent = localizeContent(group.label);
+
+    const description = document.createElement('dd');
+    description.dataset.hoursSource = group.closed ? 'Closed' : `${group.open} - ${group.close}`;
+
+    return [term, description];
+  }));
+
+  localizeBusinessHours(list);
+}
+
+/**
+ * Render the phone link
+ * @param {HTMLElement} slot - Phone slot
+ * @param {Object} phone - Display text and dialable number
+ */
+function renderPhoneSlot(slot, phone) {
+  const link = document.createElement('a');
+  link.href = `tel:${phone.tel}`;
+  link.textContent = phone.display;
+  link.setAttribute('aria-label', t('contact.callUs', { phone: phone.display }));
+  slot.replaceChildren(link);
+}
+
+/**
+ * Render the email link
+ * @param {HTMLElement} slot - Email slot
+ * @param {string} email - Email address
+ */
+function renderEmailSlot(slot, email) {
+  const link = document.createElement('a');
+  link.href = `mailto:${email}`;
+  link.textContent = email;
+  link.setAttribute('aria-label', t('contact.emailUs', { email }));
+  slot.replaceChildren(link);
+}
+
+/**
+ * Render the street address, one line per entry
+ * @param {HTMLElement} slot - Address element
+ * @param {string[]} lines - Address lines
+ */
+function renderAddressSlot(slot, lines) {
+  slot.replaceChildren(...lines.flatMap((line, index) => (
+    index ? [document.createElement('br'), line] : [line]
+  )));
+}
+
+/**
+ * Render localized text
+ * @param {HTMLElement} slot - Text slot
+ * @param {string|Object} text - Localized text
+ */
+function renderTextSlot(slot, text) {
+  slot.textContent = localizeContent(text);
+}
+
+/**
+ * Render the social media links
+ * @param {HTMLElement} list - Social links list
+ * @param {Object[]} links - Social links
+ */
+function renderSocialSlot(list, links) {
+  list.replaceChildren(...links.map(link => {
+    const item = document.createElement('li');
+    const anchor = document.createElement('a');
+    anchor.href = link.url;
+    anchor.target = '_blank';
+    anchor.rel = 'noopener noreferrer';
+    anchor.textContent = link.name;
+    anchor.setAttribute('aria-label', localizeContent(link.label));
+    item.append(anchor);
+    return item;
+  }));
+}
+
+/**
+ * Add styles for content that only exists in the content file
+ */
+function addSiteContentStyles() {
+  if (document.getElementById('site-content-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'site-content-styles';
+  style.textContent = `
+    .service-price {
+      margin-top: 0.75rem;
+      font-weight: 600;
+      color: var(--color-primary-600, #1e40af);
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const siteContent = defineFeature(initSiteContent);
+
+// ============================================
+// Smooth Scrolling Navigation
+// ============================================
+
+/**
+ * Initialize smooth scrolling for navigation links
+ */
+function initSmoothScrolling(cleanup) {
+  try {
+    const navLinks = document.querySelectorAll(SELECTORS.NAV_LINKS);
+    
+    navLinks.forEach(link => {
+      cleanup.listen(link, 'click', handleSmoothScroll);
+    });
+  } catch (error) {
+    logError('Smooth scrolling initialization', error);
+  }
+}
+
+/**
+ * Handle smooth scroll click event
+ * @param {Event} event - Click event
+ */
+function handleSmoothScroll(event) {
+  try {
+    const targetId = this.getAttribute('href');
+    
+    if (!targetId || !targetId.startsWith('#')) {
+      return;
+    }
+
+    const targetElement = document.querySelector(targetId);
+    
+    if (!targetElement) {
+      return;
+    }
+
+    event.preventDefault();
+
+    scrollToElement(targetElement);
+    lockNavigationTarget(targetElement.id);
+
+    // Update URL without triggering scroll
+    if (history.pushState) {
+      history.pushState(null, null, targetId);
+    }
+
+    // Close mobile menu if open
+    closeMobileMenu();
+
+    // Set focus to target for accessibility
+    targetElement.setAttribute('tabindex', '-1');
+    targetElement.focus();
+    targetElement.removeAttribute('tabindex');
+  } catch (error) {
+    logError('Smooth scroll handler', error);
+  }
+}
+
+export const smoothScrolling = defineFeature(initSmoothScrolling);
+
+// ============================================
+// Navigation State (Scroll Spy & History)
+// ============================================
+
+const sectionVisibility = new Map();
+let activeSectionId = '';
+let navigationTargetId = '';
+
+/**
+ * Initialize scroll spy, aria-current tracking and back/forward support
+ */
+function initNavigationState(cleanup) {
+  try {
+    const sections = document.querySelectorAll(SELECTORS.PAGE_SECTIONS);
+
+    if (!sections.length) {
+      return;
+    }
+
+    // Scroll positions are restored from the hash instead, with the header offset
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+      cleanup.add(() => {
+        history.scrollRestoration = 'auto';
+      });
+    }
+
+    if ('IntersectionObserver' in window) {
+      const sectionObserver = new IntersectionObserver(handleSectionIntersection, {
+        rootMargin: `-${getScrollOffset()}px 0px 0px 0px`,
+        threshold: [0, 0.25, 0.5, 0.75, 1]
+      });
+
+      sections.forEach(section => {
+        sectionObserver.observe(section);
+      });
+
+      cleanup.add(() => sectionObserver.disconnect());
+    }
+
+    // The URL only follows once scrolling settles, to keep history updates rare
+    const syncUrl = debounce(handleNavigationScroll, CONFIG.DEBOUNCE_DELAY);
+    cleanup.add(subscribeToScroll(syncUrl, { immediate: false }));
+    cleanup.add(() => syncUrl.cancel());
+    cleanup.listen(window, 'popstate', handleHistoryNavigation);
+
+    // Any direct scrolling input hands control back to the scroll spy
+    ['wheel', 'touchstart', 'keydown', 'mousedown'].forEach(type => {
+      cleanup.listen(window, type, releaseNavigationTarget, { passive: true });
+    });
+
+    cleanup.add(() => {
+      sectionVisibility.clear();
+      activeSectionId = '';
+      navigationTargetId = '';
+    });
+
+    restoreSectionFromHash();
+  } catch (error) {
+    logError('Navigation state initialization', error);
+  }
+}
+
+/**
+ * Track how much of each section is visible below the header
+ * @param {IntersectionObserverEntry[]} entries - Intersection entries
+ */
+function handleSectionIntersection(entries) {
+  entries.forEach(entry => {
+    sectionVisibility.set(
+      entry.target.id,
+      entry.isIntersecting ? entry.intersectionRect.height : 0
+    );
+  });
+
+  updateActiveSection();
+}
+
+/**
+ * Work out which section is in view and update the nav links
+ */
+function updateActiveSection() {
+  let id = navigationTargetId;
+
+  if (!id) {
+    const sections = document.querySelectorAll(SELECTORS.PAGE_SECTIONS);
+    const scrollBottom = window.pageYOffset + window.innerHeight;
+    const isAtBottom = scrollBottom >= document.documentElement.scrollHeight - 2;
+
+    if (isAtBottom && sections.length) {
+      // The last section may be too short to ever fill the viewport
+      id = sections[sections.length - 1].id;
+    } else {
+      let maxVisible = 0;
+      sectionVisibility.forEach((visibleHeight, sectionId) => {
+        if (visibleHeight > maxVisible) {
+          maxVisible = visibleHeight;
+          id = sectionId;
+        }
+      });
+    }
+  }
+
+  if (id && id !== activeSectionId) {
+    activeSectionId = id;
+    setCurrentNavLink(id);
+    document.dispatchEvent(new CustomEvent(EVENTS.SECTION_CHANGE, { detail: { id } }));
+  }
+}
+
+/**
+ * Move aria-current to the header and footer links for a section
+ * @param {string} id - Section id
+ */
+function setCurrentNavLink(id) {
+  document.querySelectorAll(SELECTORS.SECTION_LINKS).forEach(link => {
+    if (link.getAttribute('href') === `#${id}`) {
+      link.setAttribute('aria-current', 'page');
+    } else {
+      link.removeAttribute('aria-current');
+    }
+  });
+}
+
+/**
+ * Keep the URL in sync with the section in view, without adding history entries
+ */
+function handleNavigationScroll() {
+  try {
+    updateActiveSection();
+
+    if (navigationTargetId || !activeSectionId) {
+      return;
+    }
+
+    const hash = `#${activeSectionId}`;
+
+    // Leave deep links into the active section, e.g. an open dialog, alone
+    if (location.hash !== hash && !location.hash.startsWith(`${hash}/`)) {
+      history.replaceState(history.state, '', hash);
+    }
+  } catch (error) {
+    logError('Navigation scroll handler', error);
+  }
+}
+
+/**
+ * Pin the active section while scrolling programmatically, so the scroll
+ * spy doesn't rewrite the URL with sections passed on the way
+ * @param {string} id - Target section id
+ */
+function lockNavigationTarget(id) {
+  navigationTargetId = id;
+  updateActiveSection();
+}
+
+/**
+ * Return control of the active section to the scroll spy
+ */
+function releaseNavigationTarget() {
+  navigationTargetId = '';
+}
+
+/**
+ * Scroll to the section named by the URL hash on back/forward
+ */
+function handleHistoryNavigation() {
+  try {
+    if (!restoreSectionFromHash()) {
+      releaseNavigationTarget();
+      window.scrollTo({ top: 0, behavior: 'auto' });
+    }
+  } catch (error) {
+    logError('History navigation handler', error);
+  }
+}
+
+/**
+ * Scroll to the section named by the URL hash, allowing for the header
+ * Deep links such as "#services/dry-cleaning" scroll to their section
+ * @returns {boolean} True if a matching section was found
+ */
+function restoreSectionFromHash() {
+  const [id] = decodeHashId().split('/');
+  const target = id && document.getElementById(id);
+
+  if (!target) {
+    return false;
+  }
+
+  const section = target.closest(SELECTORS.PAGE_SECTIONS);
+  lockNavigationTarget(section ? section.id : id);
+  scrollToElement(target, 'auto');
+
+  return true;
+}
+
+export const navigationState = defineFeature(initNavigationState);
+
+// ============================================
+// Mobile Hamburger Menu
+// ============================================
+
+/**
+ * Header, nav and toggle of the active menu, looked up once on init
+ */
+let mobileMenuElements = null;
+
+/**
+ * Initialize mobile hamburger menu
+ */
+function initMobileMenu(cleanup) {
+  try {
+    // Create hamburger button if it doesn't exist
+    const header = document.querySelector(SELECTORS.HEADER);
+    const nav = document.querySelector(SELECTORS.MOBILE_MENU);
+    
+    if (!header || !nav) {
+      return;
+    }
+
+    // Registered first so it runs last, after the menu has closed
+    cleanup.add(() => {
+      mobileMenuElements = null;
+    });
+
+    let menuToggle = document.querySelector(SELECTORS.MOBILE_MENU_TOGGLE);
+    
+    if (!menuToggle) {
+      menuToggle = createMobileMenuToggle();
+      header.querySelector('.header-container').insertBefore(menuToggle, nav);
+      cleanup.add(() => menuToggle.remove());
+    }
+
+    mobileMenuElements = Object.freeze({ header, nav, toggle: menuToggle });
+
+    // Cleanup runs in reverse, so the menu closes before its toggle is removed
+    cleanup.add(() => removeStyles('mobile-menu-styles'));
+    cleanup.add(() => closeMobileMenu());
+
+    if (!nav.id) {
+      nav.id = 'primary-navigation';
+    }
+    menuToggle.setAttribute('aria-controls', nav.id);
+
+    cleanup.listen(menuToggle, 'click', toggleMobileMenu);
+
+    // Close menu when clicking outside
+    cleanup.listen(document, 'click', handleOutsideClick);
+
+    // Close menu on escape key and keep Tab inside the open menu
+    cleanup.listen(document, 'keydown', handleEscapeKey);
+    cleanup.listen(document, 'keydown', handleMenuFocusTrap);
+
+    // Handle window resize
+    cleanup.add(subscribeToScroll(handleResize, { immediate: false }));
+  } catch (error) {
+    logError('Mobile menu initialization', error);
+  }
+}
+
+/**
+ * Create mobile menu toggle button
+ * @returns {HTMLElement} Menu toggle button
+ */
+function createMobileMenuToggle() {
+  const button = document.createElement('button');
+  button.className = 'mobile-menu-toggle';
+  button.setAttribute('aria-label', t('menu.toggle'));
+  button.dataset.i18nAttr = 'aria-label:menu.toggle';
+  button.setAttribute('aria-expanded', 'false');
+  button.innerHTML = `
+    <span class="hamburger-line"></span>
+    <span class="hamburger-line"></span>
+    <span class="hamburger-line"></span>
+  `;
+  
+  // Add styles
+  addMobileMenuStyles();
+  
+  return button;
+}
+
+/**
+ * Add mobile menu styles dynamically
+ */
+function addMobileMenuStyles() {
+  if (document.getElementById('mobile-menu-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'mobile-menu-styles';
+  style.textContent = `
+    .mobile-menu-toggle {
+      display: none;
+      flex-direction: column;
+      justify-content: space-around;
+      width: 2rem;
+      height: 2rem;
+      background: transparent;
+      border: none;
+      cursor: pointer;
+      padding: 0;
+      z-index: 10;
+    }
+
+    .mobile-menu-toggle:focus {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+      border-radius: 0.25rem;
+    }
+
+    .hamburger-line {
+      width: 2rem;
+      height: 0.25rem;
+      background-color: var(--color-primary-600, #1e40af);
+      border-radius: 0.25rem;
+      transition: all 0.3s ease-in-out;
+      transform-origin: center;
+    }
+
+    @media (max-width: 767px) {
+      .mobile-menu-toggle {
+        display: flex;
+      }
+
+      header nav {
+        position: absolute;
+        top: 100%;
+        left: 0;
+        right: 0;
+        background-color: var(--color-white, #ffffff);
+        box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+        max-height: 0;
+        overflow: hidden;
+        visibility: hidden;
+        transition: max-height 0.3s ease-in-out, visibility 0s linear 0.3s;
+      }
+
+      /* max-height is set inline to the measured content height */
+      header nav.mobile-menu-open {
+        overflow-y: auto;
+        overscroll-behavior: contain;
+        visibility: visible;
+        transition: max-height 0.3s ease-in-out, visibility 0s linear 0s;
+      }
+
+      body.mobile-menu-scroll-lock {
+        overflow: hidden;
+      }
+
+      header nav ul {
+        flex-direction: column;
+        padding: 1rem;
+      }
+
+      .mobile-menu-open .hamburger-line:nth-child(1) {
+        transform: rotate(45deg) translate(0.5rem, 0.5rem);
+      }
+
+      .mobile-menu-open .hamburger-line:nth-child(2) {
+        opacity: 0;
+      }
+
+      .mobile-menu-open .hamburger-line:nth-child(3) {
+        transform: rotate(-45deg) translate(0.5rem, -0.5rem);
+      }
+    }
+  `;
+  
+  document.head.appendChild(style);
+}
+
+/**
+ * Toggle mobile menu
+ */
+function toggleMobileMenu() {
+  try {
+    if (!mobileMenuElements) {
+      return;
+    }
+
+    const isOpen = isMobileMenuOpen();
+    addBreadcrumb(BREADCRUMB_TYPES.MENU, isOpen ? 'close' : 'open');
+
+    if (isOpen) {
+      closeMobileMenu();
+    } else {
+      openMobileMenu();
+    }
+  } catch (error) {
+    logError('Mobile menu toggle', error);
+  }
+}
+
+/**
+ * Open mobile menu
+ */
+function openMobileMenu() {
+  if (!mobileMenuElements) {
+    return;
+  }
+
+  const { nav, toggle: menuToggle } = mobileMenuElements;
+  nav.classList.add(CLASSES.MOBILE_MENU_OPEN);
+  menuToggle.classList.add(CLASSES.MOBILE_MENU_OPEN);
+  menuToggle.setAttribute('aria-expanded', 'true');
+  document.body.classList.add(CLASSES.MOBILE_MENU_SCROLL_LOCK);
+
+  updateMobileMenuHeight();
+}
+
+/**
+ * Close mobile menu
+ * @param {Object} [options] - Close options
+ * @param {boolean} [options.returnFocus=false] - Move focus back to the toggle
+ */
+function closeMobileMenu({ returnFocus = false } = {}) {
+  if (!mobileMenuElements) {
+    return;
+  }
+
+  const { nav, toggle: menuToggle } = mobileMenuElements;
+  nav.classList.remove(CLASSES.MOBILE_MENU_OPEN);
+  nav.style.maxHeight = '';
+  menuToggle.classList.remove(CLASSES.MOBILE_MENU_OPEN);
+  menuToggle.setAttribute('aria-expanded', 'false');
+  document.body.classList.remove(CLASSES.MOBILE_MENU_SCROLL_LOCK);
+
+  if (returnFocus) {
+    menuToggle.focus();
+  }
+}
+
+/**
+ * Check if mobile menu is open
+ * @returns {boolean} True if menu is open
+ */
+function isMobileMenuOpen() {
+  return Boolean(mobileMenuElements && mobileMenuElements.nav.classList.contains(CLASSES.MOBILE_MENU_OPEN));
+}
+
+/**
+ * Size the open menu to its content, capped to the space below the header
+ * so every link stays reachable while page scrolling is locked
+ */
+function updateMobileMenuHeight() {
+  if (!isMobileMenuOpen()) {
+    return;
+  }
+
+  const { header, nav } = mobileMenuElements;
+  const available = window.innerHeight - header.getBoundingClientRect().bottom;
+  nav.style.maxHeight = `${Math.max(Math.min(nav.scrollHeight, available), 0)}px`;
+}
+
+/**
+ * Handle click outside menu
+ * @param {Event} event - Click event
+ */
+function handleOutsideClick(event) {
+  if (!isMobileMenuOpen()) {
+    return;
+  }
+
+  const { nav, toggle: menuToggle } = mobileMenuElements;
+
+  if (!nav.contains(event.target) && !menuToggle.contains(event.target)) {
+    closeMobileMenu();
+  }
+}
+
+/**
+ * Handle escape key press
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleEscapeKey(event) {
+  if (event.key !== 'Escape' && event.keyCode !== 27) {
+    return;
+  }
+
+  if (!isMobileMenuOpen()) {
+    return;
+  }
+
+  closeMobileMenu({ returnFocus: true });
+}
+
+/**
+ * Keep Tab and Shift+Tab cycling between the toggle and the open menu's links
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleMenuFocusTrap(event) {
+  if (event.key !== 'Tab' || !isMobileMenuOpen()) {
+    return;
+  }
+
+  const { nav, toggle: menuToggle } = mobileMenuElements;
+  const focusable = [menuToggle, ...nav.querySelectorAll('a[href], button:not([disabled])')];
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+
+  if (!focusable.includes(active)) {
+    event.preventDefault();
+    first.focus();
+  } else if (event.shiftKey && active === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Close the menu on wide viewports and refit it on narrow ones
+ * @param {Object} state - Scroll state from the scroll manager
+ */
+function handleResize(state) {
+  if (!state.resized || !isMobileMenuOpen()) {
+    return;
+  }
+
+  if (state.viewportWidth >= CONFIG.MOBILE_BREAKPOINT) {
+    closeMobileMenu();
+    return;
+  }
+
+  updateMobileMenuHeight();
+}
+
+export const mobileMenu = defineFeature(initMobileMenu);
+
+// ============================================
+// Lazy Loading Images
+// ============================================
+
+/**
+ * Initialize the image loader
+ * Images keep a local placeholder in `src` and name their real sources in
+ * data-src, data-srcset and data-sizes. They load as they near the
+ * viewport, or straight away for priority (fetchpriority="high") images.
+ * Images with data-consent also wait for that consent category.
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initLazyLoading(cleanup) {
+  try {
+    addLazyImageStyles();
+
+    const retryTimers = new Set();
+    const load = image => loadImage(image, retryTimers);
+
+    // Fallback for browsers without Intersection Observer
+    let observeImage = load;
+    let unobserveImage = () => {};
+
+    // Use Intersection Observer if available
+    if ('IntersectionObserver' in window) {
+      const imageObserver = new IntersectionObserver(
+        (entries, observer) => handleImageIntersection(entries, observer, load),
+        {
+          rootMargin: CONFIG.LAZY_LOAD_ROOT_MARGIN,
+          threshold: 0.01
+        }
+      );
+
+      observeImage = image => imageObserver.observe(image);
+      unobserveImage = image => imageObserver.unobserve(image);
+
+      cleanup.add(() => imageObserver.disconnect());
+    }
+
+    const register = image => {
+      if (!isImageAllowed(image)) {
+        unobserveImage(image);
+        blockImage(image);
+        return;
+      }
+
+      if (image.dataset.lazyState && image.dataset.lazyState !== 'blocked') {
+        return;
+      }
+
+      showImagePlaceholder(image);
+
+      if (image.matches(SELECTORS.PRIORITY_IMAGES)) {
+        load(image);
+      } else {
+        observeImage(image);
+      }
+    };
+
+    const registerAll = root => root.querySelectorAll(SELECTORS.LAZY_IMAGES).forEach(register);
+
+    registerAll(document);
+
+    // Pick up images in content rendered after startup, and images whose
+    // consent category was just granted or withdrawn
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, event => {
+      event.detail.elements.forEach(registerAll);
+    });
+    cleanup.add(onConsentChange(() => registerAll(document)));
+
+    cleanup.add(() => {
+      retryTimers.forEach(timer => clearTimeout(timer));
+      retryTimers.clear();
+      // Images that never started loading show their placeholder again
+      document.querySelectorAll(SELECTORS.LAZY_IMAGES).forEach(image => {
+        image.classList.remove(CLASSES.LAZY_PENDING);
+        if (['pending', 'retrying'].includes(image.dataset.lazyState)) {
+          delete image.dataset.lazyState;
+        }
+      });
+      removeStyles('lazy-image-styles');
+    });
+  } catch (error) {
+    logError('Lazy loading initialization', error);
+  }
+}
+
+/**
+ * Handle image intersection
+ * @param {IntersectionObserverEntry[]} entries - Intersection entries
+ * @param {IntersectionObserver} observer - Intersection observer
+ * @param {Function} load - Loads an image
+ */
+function handleImageIntersection(entries, observer, load) {
+  entries.forEach(entry => {
+    if (entry.isIntersecting) {
+      const image = entry.target;
+      load(image);
+      observer.unobserve(image);
+    }
+  });
+}
+
+/**
+ * Check if an image's consent category, if any, has been granted
+ * @param {HTMLImageElement} image - Image element
+ * @returns {boolean} True if the image may load
+ */
+function isImageAllowed(image) {
+  return !image.dataset.consent || hasConsent(image.dataset.consent);
+}
+
+/**
+ * Show the dominant color or low-quality preview while an image loads
+ * The preview sits on the image's wrapper; the image fades in over it
+ * @param {HTMLImageElement} image - Image element
+ */
+function showImagePlaceholder(image) {
+  const frame = image.parentElement;
+
+  if (frame) {
+    frame.classList.add(CLASSES.LAZY_FRAME);
+
+    if (image.dataset.placeholderColor) {
+      frame.style.setProperty('--lazy-placeholder-color', image.dataset.placeholderColor);
+    }
+
+    if (image.dataset.lqip) {
+      frame.style.setProperty('--lazy-lqip', `url("${image.dataset.lqip}")`);
+    }
+  }
+
+  image.classList.remove(CLASSES.MEDIA_PLACEHOLDER);
+
+  // Priority images are likely the largest paint, so they are never hidden
+  if (!image.matches(SELECTORS.PRIORITY_IMAGES)) {
+    image.classList.add(CLASSES.LAZY_PENDING);
+  }
+
+  image.dataset.lazyState = 'pending';
+}
+
+/**
+ * Put an image back on its local placeholder until it may load
+ * @param {HTMLImageElement} image - Image element
+ */
+function blockImage(image) {
+  if (image.dataset.lazyState === 'blocked') {
+    return;
+  }
+
+  if (image.dataset.placeholderSrc === undefined) {
+    image.dataset.placeholderSrc = image.getAttribute('src') || CONFIG.MEDIA_PLACEHOLDER;
+  }
+
+  image.removeAttribute('srcset');
+  image.setAttribute('src', image.dataset.placeholderSrc);
+  image.classList.remove(CLASSES.LAZY_PENDING, CLASSES.LAZY_LOADED, CLASSES.LAZY_FADE_IN, CLASSES.LAZY_FAILED);
+  image.classList.add(CLASSES.MEDIA_PLACEHOLDER);
+  image.dataset.lazyState = 'blocked';
+}
+
+/**
+ * Swap in an image's real sources
+ * A failed load is retried CONFIG.IMAGE_RETRY_LIMIT times with a growing
+ * delay before the image falls back to CONFIG.IMAGE_FALLBACK
+ * @param {HTMLImageElement} image - Image element
+ * @param {Set<number>} retryTimers - Pending retry timers, cleared on destroy
+ * @param {number} [attempt=0] - Retries made so far
+ */
+function loadImage(image, retryTimers, attempt = 0) {
+  try {
+    const expectedState = attempt ? 'retrying' : 'pending';
+
+    if (image.dataset.lazyState !== expectedState) {
+      return;
+    }
+
+    if (image.dataset.placeholderSrc === undefined) {
+      image.dataset.placeholderSrc = image.getAttribute('src') || CONFIG.MEDIA_PLACEHOLDER;
+    }
+
+    image.dataset.lazyState = 'loading';
+
+    const finish = event => {
+      image.removeEventListener('load', finish);
+      image.removeEventListener('error', finish);
+
+      // Consent may have been withdrawn mid-load
+      if (image.dataset.lazyState !== 'loading') {
+        return;
+      }
+
+      if (event.type === 'load') {
+        image.dataset.lazyState = 'loaded';
+        image.classList.remove(CLASSES.LAZY_PENDING);
+        image.classList.add(CLASSES.LAZY_LOADED);
+
+        if (!image.matches(SELECTORS.PRIORITY_IMAGES)) {
+          image.classList.add(CLASSES.LAZY_FADE_IN);
+        }
+      } else if (attempt >= CONFIG.IMAGE_RETRY_LIMIT) {
+        showImageFallback(image);
+      } else {
+        image.dataset.lazyState = 'retrying';
+        const timer = setTimeout(() => {
+          retryTimers.delete(timer);
+          loadImage(image, retryTimers, attempt + 1);
+        }, CONFIG.IMAGE_RETRY_DELAY * 2 ** attempt);
+        retryTimers.add(timer);
+      }
+    };
+
+    image.addEventListener('load', finish);
+    image.addEventListener('error', finish);
+
+    if (image.dataset.sizes) {
+      image.sizes = image.dataset.sizes;
+    }
+
+    if (image.dataset.srcset) {
+      image.srcset = image.dataset.srcset;
+    }
+
+    // Setting src, even to the same URL, starts a fresh request
+    image.src = image.dataset.src;
+  } catch (error) {
+    logError('Image loading', error);
+  }
+}
+
+/**
+ * Replace an image that could not be loaded with the local fallback,
+ * keeping its alt text
+ * @param {HTMLImageElement} image - Image element
+ */
+function showImageFallback(image) {
+  logError('Image loading', new Error(`Failed to load image: ${image.dataset.src}`));
+
+  image.removeAttribute('srcset');
+  image.src = CONFIG.IMAGE_FALLBACK;
+  image.classList.remove(CLASSES.LAZY_PENDING);
+  image.classList.add(CLASSES.LAZY_LOADED, CLASSES.LAZY_FAILED);
+  image.dataset.lazyState = 'failed';
+}
+
+/**
+ * Add image loader styles dynamically
+ */
+function addLazyImageStyles() {
+  if (document.getElementById('lazy-image-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'lazy-image-styles';
+  style.textContent = `
+    .lazy-frame {
+      position: relative;
+      background-color: var(--lazy-placeholder-color, var(--color-secondary-200, #e2e8f0));
+    }
+
+    .lazy-frame::before {
+      content: '';
+      position: absolute;
+      inset: 0;
+      background-image: var(--lazy-lqip, none);
+      background-position: center;
+      background-size: cover;
+      filter: blur(12px);
+      transform: scale(1.1);
+    }
+
+    .lazy-frame img {
+      position: relative;
+    }
+
+    img.lazy-pending {
+      opacity: 0;
+    }
+
+    img.lazy-fade-in {
+      animation: lazy-fade-in 0.4s ease-in-out;
+    }
+
+    img.lazy-failed {
+      object-fit: contain;
+      background-color: var(--color-secondary-100, #f1f5f9);
+    }
+
+    @keyframes lazy-fade-in {
+      from {
+        opacity: 0;
+      }
+
+      to {
+        opacity: 1;
+      }
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      img.lazy-fade-in {
+        animation: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const lazyLoading = defineFeature(initLazyLoading);
+
+/**
+ * @deprecated Third-party image consent moved into `lazyLoading`; this
+ * alias and the `features.thirdPartyMedia` switch keep older callers working
+ */
+export const thirdPartyMedia = lazyLoading;
+
+// ============================================
+// Scroll to Top Button
+// ============================================
+
+/**
+ * Initialize scroll to top button
+ */
+function initScrollToTop(cleanup) {
+  try {
+    let scrollButton = document.querySelector(SELECTORS.SCROLL_TO_TOP);
+    
+    if (!scrollButton) {
+      scrollButton = createScrollToTopButton();
+      document.body.appendChild(scrollButton);
+      cleanup.add(() => scrollButton.remove());
+    }
+
+    cleanup.add(() => removeStyles('scroll-to-top-styles'));
+    cleanup.listen(scrollButton, 'click', scrollPageToTop);
+    cleanup.add(() => scrollButton.classList.remove(CLASSES.SCROLL_TO_TOP_VISIBLE));
+    cleanup.add(subscribeToScroll(state => updateScrollToTopButton(scrollButton, state)));
+  } catch (error) {
+    logError('Scroll to top initialization', error);
+  }
+}
+
+/**
+ * Create scroll to top button
+ * @returns {HTMLElement} Scroll to top button
+ */
+function createScrollToTopButton() {
+  const button = document.createElement('button');
+  button.className = 'scroll-to-top';
+  button.setAttribute('aria-label', t('scrollToTop'));
+  button.dataset.i18nAttr = 'aria-label:scrollToTop';
+  button.innerHTML = '↑';
+  
+  // Add styles
+  addScrollToTopStyles();
+  
+  return button;
+}
+
+/**
+ * Add scroll to top button styles
+ */
+function addScrollToTopStyles() {
+  if (document.getElementById('scroll-to-top-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'scroll-to-top-styles';
+  style.textContent = `
+    .scroll-to-top {
+      position: fixed;
+      bottom: 2rem;
+      right: 2rem;
+      width: 3rem;
+      height: 3rem;
+      background-color: var(--color-primary-600, #1e40af);
+      color: var(--color-white, #ffffff);
+      border: none;
+      border-radius: 50%;
+      font-size: 1.5rem;
+      cursor: pointer;
+      opacity: 0;
+      visibility: hidden;
+      transition: all 0.3s ease-in-out;
+      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+      z-index: 100;
+    }
+
+    .scroll-to-top:hover {
+      background-color: var(--color-primary-700, #1e3a8a);
+      transform: translateY(-2px);
+      box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.1);
+    }
+
+    .scroll-to-top:focus {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+    }
+
+    .scroll-to-top:active {
+      transform: translateY(0);
+    }
+
+    .scroll-to-top.visible {
+      opacity: 1;
+      visibility: visible;
+    }
+
+    @media (max-width: 767px) {
+      .scroll-to-top {
+        bottom: 1rem;
+        right: 1rem;
+        width: 2.5rem;
+        height: 2.5rem;
+        font-size: 1.25rem;
+      }
+    }
+  `;
+  
+  document.head.appendChild(style);
+}
+
+/**
+ * Show the button once the page has scrolled past the threshold
+ * @param {HTMLElement} scrollButton - Scroll to top button
+ * @param {Object} state - Scroll state from the scroll manager
+ */
+function updateScrollToTopButton(scrollButton, state) {
+  scrollButton.classList.toggle(CLASSES.SCROLL_TO_TOP_VISIBLE, state.scrollY > CONFIG.SCROLL_TO_TOP_THRESHOLD);
+}
+
+/**
+ * Scroll to top of page
+ */
+function scrollPageToTop() {
+  try {
+    window.scrollTo({
+      top: 0,
+      behavior: getScrollBehavior()
+    });
+  } catch (error) {
+    logError('Scroll to top', error);
+  }
+}
+
+export const scrollToTop = defineFeature(initScrollToTop);
+
+// ============================================
+// Compact Header
+// ============================================
+
+let isCompactHeaderActive = false;
+
+/**
+ * Initialize the compact header, which shrinks and gains a shadow once the
+ * page scrolls; styles.css already keeps it stuck to the top
+ */
+function initCompactHeader(cleanup) {
+  try {
+    const header = document.querySelector(SELECTORS.HEADER);
+
+    if (!header) {
+      return;
+    }
+
+    addCompactHeaderStyles();
+    isCompactHeaderActive = true;
+    cleanup.add(() => removeStyles('compact-header-styles'));
+    cleanup.add(() => header.classList.remove(CLASSES.HEADER_COMPACT));
+    cleanup.add(() => {
+      isCompactHeaderActive = false;
+    });
+    cleanup.add(subscribeToScroll(state => updateCompactHeader(header, state)));
+  } catch (error) {
+    logError('Compact header initialization', error);
+  }
+}
+
+/**
+ * Switch the header between its full and compact sizes
+ * It only expands again well below the threshold: shrinking the header
+ * can move the scroll position back across the threshold, which would
+ * otherwise make it flicker between sizes.
+ * @param {HTMLElement} header - Page header
+ * @param {Object} state - Scroll state from the scroll manager
+ */
+function updateCompactHeader(header, state) {
+  header.classList.toggle(CLASSES.HEADER_COMPACT, isHeaderCompactAt(header, state.scrollY));
+}
+
+/**
+ * Check whether the header is compact at a scroll position
+ * @param {HTMLElement} header - Page header
+ * @param {number} scrollY - Scroll position
+ * @returns {boolean} True if the header is, or stays, compact there
+ */
+function isHeaderCompactAt(header, scrollY) {
+  if (header.classList.contains(CLASSES.HEADER_COMPACT)) {
+    return scrollY >= CONFIG.HEADER_COMPACT_THRESHOLD / 2;
+  }
+
+  return scrollY > CONFIG.HEADER_COMPACT_THRESHOLD;
+}
+
+/**
+ * Measure the header at its full or compact size
+ * Transitions are switched off while measuring, so the result is the
+ * final height rather than a point part-way through the animation.
+ * @param {HTMLElement} header - Page header
+ * @param {boolean} compact - Whether to measure the compact size
+ * @returns {number} Header height in pixels
+ */
+function measureHeaderHeight(header, compact) {
+  const wasCompact = header.classList.contains(CLASSES.HEADER_COMPACT);
+
+  header.classList.add(CLASSES.HEADER_MEASURING);
+  header.classList.toggle(CLASSES.HEADER_COMPACT, compact);
+  const height = header.offsetHeight;
+
+  // Apply the restored size before transitions come back, so it doesn't animate
+  header.classList.toggle(CLASSES.HEADER_COMPACT, wasCompact);
+  header.getBoundingClientRect();
+  header.classList.remove(CLASSES.HEADER_MEASURING);
+
+  return height;
+}
+
+/**
+ * Add compact header styles
+ */
+function addCompactHeaderStyles() {
+  if (document.getElementById('compact-header-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'compact-header-styles';
+  style.textContent = `
+    header {
+      transition: box-shadow 0.2s ease-in-out;
+    }
+
+    header .header-container,
+    header .logo h1 {
+      transition: padding 0.2s ease-in-out, font-size 0.2s ease-in-out;
+    }
+
+    header.header-compact {
+      box-shadow: var(--shadow-md, 0 4px 6px -1px rgba(0, 0, 0, 0.1));
+    }
+
+    header.header-compact .header-container {
+      padding-top: var(--space-xs, 0.25rem);
+      padding-bottom: var(--space-xs, 0.25rem);
+    }
+
+    header.header-compact .logo h1 {
+      font-size: var(--font-size-lg, 1.125rem);
+    }
+
+    header.header-measuring,
+    header.header-measuring .header-container,
+    header.header-measuring .logo h1 {
+      transition: none;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      header,
+      header .header-container,
+      header .logo h1 {
+        transition: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const compactHeader = defineFeature(initCompactHeader);
+
+// ============================================
+// Reading Progress Bar
+// ============================================
+
+/**
+ * Initialize the reading progress bar along the top of the viewport
+ */
+function initReadingProgress(cleanup) {
+  try {
+    const bar = document.createElement('div');
+    bar.className = 'reading-progress';
+    // Purely visual: the scroll position is already available to assistive technology
+    bar.setAttribute('aria-hidden', 'true');
+
+    addReadingProgressStyles();
+    document.body.appendChild(bar);
+    cleanup.add(() => removeStyles('reading-progress-styles'));
+    cleanup.add(() => bar.remove());
+
+    let shown = -1;
+    cleanup.add(subscribeToScroll(({ progress }) => {
+      // Skip the style write when the bar wouldn't visibly change
+      const rounded = Math.round(progress * 1000) / 1000;
+
+      if (rounded !== shown) {
+        shown = rounded;
+        bar.style.transform = `scaleX(${rounded})`;
+      }
+    }));
+  } catch (error) {
+    logError('Reading progress initialization', error);
+  }
+}
+
+/**
+ * Add reading progress bar styles
+ */
+function addReadingProgressStyles() {
+  if (document.getElementById('reading-progress-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'reading-progress-styles';
+  style.textContent = `
+    .reading-progress {
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 3px;
+      background-color: var(--color-primary-600, #1e40af);
+      transform: scaleX(0);
+      transform-origin: left center;
+      pointer-events: none;
+      z-index: var(--z-fixed, 30);
+    }
+
+    @media print {
+      .reading-progress {
+        display: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const readingProgress = defineFeature(initReadingProgress);
+
+// ============================================
+// Scroll Reveal & Count-Up Animations
+// ============================================
+
+/**
+ * Reveals beyond this many in one batch all share the last delay, so a
+ * long list doesn't keep the visitor waiting
+ */
+const MAX_REVEAL_STAGGER_STEPS = 5;
+
+/**
+ * Initialize scroll reveals for sections and service cards, and count-ups
+ * for figures marked with data-count-up
+ * Nothing is hidden or animated while reduced motion is preferred, and
+ * switching the preference on mid-visit shows everything at once.
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initAnimations(cleanup) {
+  try {
+    if (!('IntersectionObserver' in window) || typeof window.matchMedia !== 'function') {
+      return;
+    }
+
+    const motionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+    const animation = {
+      revealed: new WeakSet(),
+      pending: new Set(),
+      counters: new Map(),
+    };
+
+    animation.revealObserver = new IntersectionObserver(
+      entries => revealElements(animation, entries),
+      { rootMargin: '0px 0px -10% 0px' }
+    );
+    animation.countObserver = new IntersectionObserver(
+      entries => entries.filter(entry => entry.isIntersecting).forEach(entry => {
+        animation.countObserver.unobserve(entry.target);
+        startCountUp(animation, entry.target);
+      }),
+      { threshold: 0.5 }
+    );
+
+    addAnimationStyles();
+
+    const prepare = root => {
+      if (!motionQuery.matches) {
+        prepareAnimations(animation, root);
+      }
+    };
+
+    prepare(document);
+
+    // Service cards are re-rendered from the content file after startup
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, event => {
+      event.detail.elements.forEach(prepare);
+    });
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => {
+      animation.counters.forEach((counter, element) => renderCount(element, counter));
+    });
+    cleanup.listen(motionQuery, 'change', () => {
+      if (motionQuery.matches) {
+        finishAnimations(animation);
+      }
+    });
+
+    cleanup.add(() => {
+      finishAnimations(animation);
+      animation.counters.forEach((counter, element) => {
+        element.removeAttribute('aria-hidden');
+        counter.label.remove();
+      });
+      animation.counters.clear();
+      removeStyles('animation-styles');
+    });
+  } catch (error) {
+    logError('Animations initialization', error);
+  }
+}
+
+/**
+ * Hide elements due to reveal and zero figures due to count up, until
+ * each scrolls into view
+ * @param {Object} animation - Animation state
+ * @param {Document|HTMLElement} root - Where to look for new elements
+ */
+function prepareAnimations(animation, root) {
+  root.querySelectorAll(SELECTORS.REVEAL).forEach(element => {
+    if (animation.revealed.has(element) || animation.pending.has(element)) {
+      return;
+    }
+
+    element.classList.add(CLASSES.REVEAL_PENDING);
+    animation.pending.add(element);
+    animation.revealObserver.observe(element);
+  });
+
+  root.querySelectorAll(SELECTORS.COUNT_UP).forEach(element => {
+    const target = Number(element.dataset.countUp);
+
+    if (animation.counters.has(element) || !Number.isFinite(target)) {
+      return;
+    }
+
+    // Screen readers get the final figure rather than the moving one
+    const label = document.createElement('span');
+    label.className = 'visually-hidden';
+    element.after(label);
+    element.setAttribute('aria-hidden', 'true');
+
+    const counter = { target, value: 0, frame: null, label };
+    animation.counters.set(element, counter);
+    renderCount(element, counter);
+    animation.countObserver.observe(element);
+  });
+}
+
+/**
+ * Reveal elements that scrolled into view, staggered in document order
+ * @param {Object} animation - Animation state
+ * @param {IntersectionObserverEntry[]} entries - Intersection entries
+ */
+function revealElements(animation, entries) {
+  entries
+    .filter(entry => entry.isIntersecting)
+    .forEach((entry, index) => {
+      const element = entry.target;
+      const delay = Math.min(index, MAX_REVEAL_STAGGER_STEPS) * CONFIG.REVEAL_STAGGER;
+
+      animation.revealObserver.unobserve(element);
+      element.style.setProperty('--reveal-delay', `${delay}ms`);
+      element.classList.add(CLASSES.REVEAL_IN);
+
+      // Once shown, the element's own hover transforms and transitions take over
+      const handleEnd = event => {
+        if (event.target === element) {
+          element.removeEventListener('animationend', handleEnd);
+          showRevealedElement(animation, element);
+        }
+      };
+      element.addEventListener('animationend', handleEnd);
+    });
+}
+
+/**
+ * Remove an element's reveal classes, leaving it fully visible
+ * @param {Object} animation - Animation state
+ * @param {HTMLElement} element - Revealed element
+ */
+function showRevealedElement(animation, element) {
+  element.classList.remove(CLASSES.REVEAL_PENDING, CLASSES.REVEAL_IN);
+  element.style.removeProperty('--reveal-delay');
+  animation.pending.delete(element);
+  animation.revealed.add(element);
+}
+
+/**
+ * Count a figure up from zero, easing out towards the end
+ * @param {Object} animation - Animation state
+ * @param {HTMLElement} element - Figure element
+ */
+function startCountUp(animation, element) {
+  const counter = animation.counters.get(element);
+
+  if (!counter) {
+    return;
+  }
+
+  const startedAt = performance.now();
+
+  const step = now => {
+    const progress = Math.min((now - startedAt) / CONFIG.COUNT_UP_DURATION, 1);
+    counter.value = Math.round(counter.target * (1 - (1 - progress) ** 3));
+    renderCount(element, counter);
+    counter.frame = progress < 1 ? requestAnimationFrame(step) : null;
+  };
+
+  counter.frame = requestAnimationFrame(step);
+}
+
+/**
+ * Show a figure's current value, and its final value to screen readers
+ * @param {HTMLElement} element - Figure element
+ * @param {Object} counter - Count-up state
+ */
+function renderCount(element, counter) {
+  const format = new Intl.NumberFormat(getIntlLocale());
+  element.textContent = format.format(counter.value);
+  counter.label.textContent = format.format(counter.target);
+}
+
+/**
+ * Stop every animation and show its end state
+ * @param {Object} animation - Animation state
+ */
+function finishAnimations(animation) {
+  animation.revealObserver.disconnect();
+  animation.countObserver.disconnect();
+
+  Array.from(animation.pending).forEach(element => showRevealedElement(animation, element));
+
+  animation.counters.forEach((counter, element) => {
+    cancelAnimationFrame(counter.frame);
+    counter.frame = null;
+    counter.value = counter.target;
+    renderCount(element, counter);
+  });
+}
+
+/**
+ * Add reveal animation styles
+ */
+function addAnimationStyles() {
+  if (document.getElementById('animation-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'animation-styles';
+  style.textContent = `
+    @keyframes reveal-in {
+      from {
+        opacity: 0;
+        transform: translateY(1.5rem);
+      }
+
+      to {
+        opacity: 1;
+        transform: none;
+      }
+    }
+
+    .reveal-pending {
+      opacity: 0;
+    }
+
+    .reveal-pending.reveal-in {
+      animation: reveal-in 0.6s ease-out var(--reveal-delay, 0ms) both;
+    }
+
+    /* Keyboard focus never lands somewhere invisible */
+    .reveal-pending:focus-within {
+      opacity: 1;
+    }
+
+    @media (prefers-reduced-motion: reduce), print {
+      .reveal-pending {
+        opacity: 1;
+        animation: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const animations = defineFeature(initAnimations);
+
+// ============================================
+// Contact Form Validation
+// ============================================
+
+/**
+ * Validation rules. Each test receives the trimmed value, the rule's
+ * parameter and the field, and passes empty values unless it is checking
+ * for presence. Messages are catalog keys interpolated with the parameter.
+ */
+const VALIDATION_RULES = Object.freeze({
+  required: Object.freeze({
+    messageKey: 'validation.required',
+    test: value => value !== '',
+  }),
+  email: Object.freeze({
+    messageKey: 'validation.email',
+    test: value => !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  }),
+  phone: Object.freeze({
+    messageKey: 'validation.phone',
+    test: value => !value || (/^[\d\s\-+().]+$/.test(value) && value.replace(/\D/g, '').length >= 10),
+  }),
+  minLength: Object.freeze({
+    messageKey: 'validation.minLength',
+    test: (value, min) => !value || value.length >= min,
+  }),
+  maxLength: Object.freeze({
+    messageKey: 'validation.maxLength',
+    test: (value, max) => !value || value.length <= max,
+  }),
+  pattern: Object.freeze({
+    messageKey: 'validation.pattern',
+    test: (value, pattern) => !value || new RegExp(`^(?:${pattern})$`, 'u').test(value),
+  }),
+  zip: Object.freeze({
+    messageKey: 'validation.zip',
+    test: value => !value || /^\d{5}(-\d{4})?$/.test(value),
+  }),
+  serviceArea: Object.freeze({
+    messageKey: 'validation.serviceArea',
+    test: value => !/^\d{5}(-\d{4})?$/.test(value) || Boolean(findServiceZone(value)),
+  }),
+  futureDate: Object.freeze({
+    messageKey: 'validation.futureDate',
+    test: value => !value || value >= toISODate(new Date()),
+  }),
+  requireOneOf: Object.freeze({
+    messageKey: 'validation.requireOneOf',
+    test: (value, names, field) => names.some(name => {
+      const other = field.form && field.form.elements[name];
+      return Boolean(other && other.value.trim());
+    }),
+  }),
+});
+
+/**
+ * Rules applied on top of the markup's attributes, keyed by form id then
+ * field name. Rules that depend on several fields live here.
+ */
+const VALIDATION_SCHEMAS = Object.freeze({
+  'contact-form': Object.freeze({
+    name: Object.freeze({ maxLength: 80 }),
+    phone: Object.freeze({ requireOneOf: Object.freeze(['phone', 'email']) }),
+    email: Object.freeze({ requireOneOf: Object.freeze(['phone', 'email']) }),
+    notes: Object.freeze({ maxLength: 500 }),
+  }),
+});
+
+/**
+ * Initialize contact form validation
+ */
+function initFormValidation(cleanup) {
+  try {
+    const form = document.querySelector(SELECTORS.CONTACT_FORM);
+    
+    if (!form) {
+      return;
+    }
+
+    cleanup.listen(form, 'submit', handleFormSubmit);
+    cleanup.listen(form, 'reset', () => clearErrorSummary(form));
+    cleanup.add(() => {
+      clearErrorSummary(form);
+      form.querySelectorAll('[aria-invalid="true"]').forEach(field => clearFieldError({ target: field }));
+    });
+    
+    // Add real-time validation
+    const inputs = form.querySelectorAll(SELECTORS.FORM_FIELDS);
+    inputs.forEach(input => {
+      // Checkbox groups are validated on change so tabbing between
+      // options doesn't flag the group before a choice is made
+      if (isCheckable(input)) {
+        cleanup.listen(input, 'change', validateField);
+        return;
+      }
+
+      cleanup.listen(input, 'blur', validateField);
+      cleanup.listen(input, 'input', clearFieldError);
+    });
+  } catch (error) {
+    logError('Form validation initialization', error);
+  }
+}
+
+/**
+ * Handle form submit
+ * @param {Event} event - Submit event
+ */
+async function handleFormSubmit(event) {
+  event.preventDefault();
+  
+  const form = event.target;
+  let submission = null;
+
+  // A submission is already in flight; only the call that set busy clears it
+  if (form.getAttribute('aria-busy') === 'true') {
+    return;
+  }
+
+  try {
+    // Enter in a wizard field advances the step instead of submitting
+    if (isBookingWizardActive(form) && !isLastBookingStep(form)) {
+      goToNextBookingStep(form);
+      return;
+    }
+
+    const isValid = validateForm(form);
+    
+    if (!isValid) {
+      showErrorSummary(form);
+      return;
+    }
+
+    clearErrorSummary(form);
+
+    submission = createSubmission(form);
+
+    setFormBusy(form, true);
+    showFormMessage(form, 'pending', t('form.sending'));
+
+    const outcome = await deliverSubmission(submission);
+    trackFormSubmit(form, outcome.status);
+    handleSubmissionOutcome(form, submission, outcome);
+  } catch (error) {
+    logError('Form submit handler', error);
+    trackFormSubmit(form, 'failed');
+    showSubmissionFailure(form, submission);
+  } finally {
+    setFormBusy(form, false);
+  }
+}
+
+/**
+ * Validate entire form
+ * @param {HTMLFormElement} form - Form element
+ * @returns {boolean} True if form is valid
+ */
+function validateForm(form) {
+  let isValid = true;
+  const inputs = form.querySelectorAll(SELECTORS.FORM_FIELDS);
+  
+  inputs.forEach(input => {
+    if (!validateField({ target: input })) {
+      isValid = false;
+    }
+  });
+  
+  return isValid;
+}
+
+/**
+ * Validate individual field
+ * @param {Event} event - Blur event
+ * @returns {boolean} True if field is valid
+ */
+function validateField(event) {
+  const field = event.target;
+  
+  clearFieldError(event);
+  
+  // Checkbox group validation
+  if (isCheckable(field)) {
+    const group = field.closest('[data-group-required]');
+    if (group && !group.querySelector('input:checked')) {
+      showFieldError(field, t('validation.group'));
+      trackValidationError(field, 'group');
+      return false;
+    }
+    return true;
+  }
+
+  const value = field.value.trim();
+  const rules = getFieldRules(field);
+  const failed = rules.find(([name, param]) => !VALIDATION_RULES[name].test(value, param, field));
+
+  if (failed) {
+    showFieldError(field, getRuleMessage(field, failed));
+    trackValidationError(field, failed[0]);
+    return false;
+  }
+
+  // Filling one field can satisfy a rule shown on the others it depends on
+  rules
+    .filter(([name]) => name === 'requireOneOf')
+    .forEach(([, names]) => clearRelatedFieldErrors(field, names));
+
+  return true;
+}
+
+/**
+ * Collect a field's rules from its attributes and the form's schema
+ * Attributes: required, type="email"/"tel", minlength, maxlength, pattern
+ * and data-rules (e.g. data-rules="zip future-date")
+ * @param {HTMLElement} field - Form field
+ * @returns {Array<[string, *]>} Rule name/parameter pairs in checking order
+ */
+function getFieldRules(field) {
+  const rules = new Map();
+
+  if (field.hasAttribute('required')) {
+    rules.set('required', true);
+  }
+
+  if (field.type === 'email') {
+    rules.set('email', true);
+  }
+
+  if (field.type === 'tel') {
+    rules.set('phone', true);
+  }
+
+  if (field.hasAttribute('minlength')) {
+    rules.set('minLength', Number(field.getAttribute('minlength')));
+  }
+
+  if (field.hasAttribute('maxlength')) {
+    rules.set('maxLength', Number(field.getAttribute('maxlength')));
+  }
+
+  if (field.hasAttribute('pattern')) {
+    rules.set('pattern', field.getAttribute('pattern'));
+  }
+
+  (field.dataset.rules || '').split(/\s+/).filter(Boolean).forEach(token => {
+    rules.set(token.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase()), true);
+  });
+
+  const schema = field.form && VALIDATION_SCHEMAS[field.form.id];
+  const fieldSchema = schema && schema[field.name];
+
+  if (fieldSchema) {
+    Object.entries(fieldSchema).forEach(([name, param]) => rules.set(name, param));
+  }
+
+  return Array.from(rules).filter(([name]) => {
+    if (!VALIDATION_RULES[name]) {
+      logError('Form validation', new Error(`Unknown validation rule: ${name}`));
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Get the error message for a failed rule
+ * A data-message-<rule> attribute (e.g. data-message-pattern) overrides the
+ * default and may hold either a catalog key or literal text
+ * @param {HTMLElement} field - Form field
+ * @param {[string, *]} rule - Failed rule name and parameter
+ * @returns {string} Error message
+ */
+function getRuleMessage(field, [name, param]) {
+  const attribute = `message${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  const custom = field.dataset[attribute];
+
+  if (custom) {
+    return hasMessage(custom) ? t(custom) : custom;
+  }
+
+  return t(VALIDATION_RULES[name].messageKey, { value: param });
+}
+
+/**
+ * Record which rule a field failed
+ * @param {HTMLElement} field - Form field
+ * @param {string} rule - Failed rule name
+ */
+function trackValidationError(field, rule) {
+  trackEvent(ANALYTICS_EVENTS.VALIDATION_ERROR, {
+    form: field.form ? field.form.id : '',
+    field: field.name,
+    rule,
+  });
+}
+
+/**
+ * Clear errors on other fields once a shared rule is satisfied
+ * @param {HTMLElement} field - Field that was just validated
+ * @param {string[]} names - Names of the related fields
+ */
+function clearRelatedFieldErrors(field, names) {
+  names
+    .filter(name => name !== field.name)
+    .map(name => field.form.elements[name])
+    .filter(other => other && other.getAttribute('aria-invalid') === 'true')
+    .forEach(other => validateField({ target: other }));
+}
+
+/**
+ * Show field error
+ * @param {HTMLElement} field - Form field
+ * @param {string} message - Error message
+ */
+function showFieldError(field, message) {
+  getFieldGroup(field).forEach(groupField => {
+    groupField.classList.add(CLASSES.FORM_ERROR);
+    groupField.setAttribute('aria-invalid', 'true');
+  });
+  
+  const container = getFieldContainer(field);
+  let errorElement = container.querySelector('.field-error');
+  
+  if (!errorElement) {
+    errorElement = document.createElement('span');
+    errorElement.className = 'field-error';
+    errorElement.id = `${field.id || `${field.form ? field.form.id : 'form'}-${field.name}`}-error`;
+    errorElement.setAttribute('role', 'alert');
+    container.appendChild(errorElement);
+  }
+  
+  errorElement.textContent = message;
+
+  getFieldGroup(field).forEach(groupField => {
+    setDescribedBy(groupField, errorElement.id, true);
+  });
+}
+
+/**
+ * Clear field error
+ * @param {Event} event - Input event
+ */
+function clearFieldError(event) {
+  const field = event.target;
+  const container = getFieldContainer(field);
+
+  getFieldGroup(field).forEach(groupField => {
+    groupField.classList.remove(CLASSES.FORM_ERROR);
+    groupField.removeAttribute('aria-invalid');
+  });
+  
+  const errorElement = container.querySelector('.field-error');
+  if (errorElement) {
+    getFieldGroup(field).forEach(groupField => {
+      setDescribedBy(groupField, errorElement.id, false);
+    });
+    errorElement.remove();
+  }
+}
+
+/**
+ * Add or remove an id from a field's aria-describedby, keeping other ids
+ * @param {HTMLElement} field - Form field
+ * @param {string} id - Id of the describing element
+ * @param {boolean} include - Whether the id should be present
+ */
+function setDescribedBy(field, id, include) {
+  const ids = (field.getAttribute('aria-describedby') || '')
+    .split(/\s+/)
+    .filter(existing => existing && existing !== id);
+
+  if (include) {
+    ids.push(id);
+  }
+
+  if (ids.length) {
+    field.setAttribute('aria-describedby', ids.join(' '));
+  } else {
+    field.removeAttribute('aria-describedby');
+  }
+}
+
+/**
+ * Get the element that wraps a field and its error message
+ * @param {HTMLElement} field - Form field
+ * @returns {HTMLElement} Field container
+ */
+function getFieldContainer(field) {
+  return field.closest(SELECTORS.FIELD_CONTAINER) || field.parentElement;
+}
+
+/**
+ * Get the fields that share an error with this one
+ * A checkbox group shares one error, so every option in it is marked together
+ * @param {HTMLElement} field - Form field
+ * @returns {HTMLElement[]} Fields in the same group
+ */
+function getFieldGroup(field) {
+  if (!isCheckable(field)) {
+    return [field];
+  }
+
+  return Array.from(getFieldContainer(field).querySelectorAll(`input[name="${field.name}"]`));
+}
+
+/**
+ * Check if field is a checkbox or radio button
+ * @param {HTMLElement} field - Form field
+ * @returns {boolean} True if field is checkable
+ */
+function isCheckable(field) {
+  return field.type === 'checkbox' || field.type === 'radio';
+}
+
+/**
+ * Focus the first invalid field, revealing its wizard step if needed
+ * @param {HTMLFormElement} form - Form element
+ */
+function focusFirstInvalidField(form) {
+  const field = form.querySelector('[aria-invalid="true"]');
+
+  if (field) {
+    focusField(form, field);
+  }
+}
+
+/**
+ * Focus a field, revealing its wizard step if needed
+ * @param {HTMLFormElement} form - Form element
+ * @param {HTMLElement} field - Form field
+ */
+function focusField(form, field) {
+  const step = field.closest(SELECTORS.BOOKING_STEP);
+  if (step && step.hidden) {
+    showBookingStep(form, Number(step.dataset.step), { focus: false });
+  }
+
+  field.focus();
+}
+
+/**
+ * Show a focusable summary at the top of the form linking to each invalid field
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.focus=true] - Move focus to the summary
+ */
+function showErrorSummary(form, { focus = true } = {}) {
+  clearErrorSummary(form);
+
+  const errors = Array.from(form.querySelectorAll('.field-error'))
+    .map(errorElement => ({
+      message: errorElement.textContent,
+      field: form.querySelector(`[aria-describedby~="${errorElement.id}"]`),
+    }))
+    .filter(error => error.field);
+
+  if (!errors.length) {
+    return;
+  }
+
+  const summary = document.createElement('div');
+  summary.className = 'error-summary';
+  summary.id = `${form.id || 'form'}-error-summary`;
+  summary.setAttribute('role', 'alert');
+  summary.setAttribute('tabindex', '-1');
+
+  const title = document.createElement('h4');
+  title.className = 'error-summary-title';
+  title.textContent = t('validation.summaryTitle');
+
+  const list = document.createElement('ul');
+  list.className = 'error-summary-list';
+
+  errors.forEach(({ message, field }) => {
+    const link = document.createElement('a');
+    link.href = field.id ? `#${field.id}` : '#';
+    link.textContent = `${getFieldLabel(field)}: ${message}`;
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      focusField(form, field);
+    });
+
+    const item = document.createElement('li');
+    item.append(link);
+    list.append(item);
+  });
+
+  summary.append(title, list);
+  form.insertBefore(summary, form.firstChild);
+
+  if (focus) {
+    summary.focus();
+  }
+}
+
+/**
+ * Remove the error summary
+ * @param {HTMLFormElement} form - Form element
+ */
+function clearErrorSummary(form) {
+  const summary = form.querySelector(SELECTORS.ERROR_SUMMARY);
+  if (summary) {
+    summary.remove();
+  }
+}
+
+/**
+ * Get the visible name of a field for the error summary
+ * Checkbox groups use their fieldset legend
+ * @param {HTMLElement} field - Form field
+ * @returns {string} Field label
+ */
+function getFieldLabel(field) {
+  if (isCheckable(field)) {
+    const legend = field.closest('fieldset') && field.closest('fieldset').querySelector('legend');
+    if (legend) {
+      return legend.textContent.trim();
+    }
+  }
+
+  const label = field.labels && field.labels[0];
+
+  if (!label) {
+    return field.getAttribute('aria-label') || field.name;
+  }
+
+  const clone = label.cloneNode(true);
+  clone.querySelectorAll('.form-optional').forEach(optional => optional.remove());
+  return clone.textContent.trim();
+}
+
+/**
+ * Show form success message
+ * @param {HTMLFormElement} form - Form element
+ */
+function showFormSuccess(form) {
+  form.classList.add(CLASSES.FORM_SUCCESS);
+  
+  const successElement = showFormMessage(form, 'success', t('form.success'));
+  
+  // Reset form after short delay
+  setTimeout(() => {
+    form.reset();
+    form.classList.remove(CLASSES.FORM_SUCCESS);
+    if (successElement) {
+      successElement.remove();
+    }
+  }, 5000);
+}
+
+/**
+ * Show a status message at the top of the form, replacing any previous one
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} type - Message type: success, pending, queued, info or error
+ * @param {string|Array<string|Node>} content - Message text or nodes
+ * @returns {HTMLElement} Message element
+ */
+function showFormMessage(form, type, content) {
+  clearFormMessage(form);
+
+  const messageElement = document.createElement('div');
+  messageElement.className = `form-message form-${type}`;
+  messageElement.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+  if (Array.isArray(content)) {
+    messageElement.append(...content);
+  } else {
+    messageElement.textContent = content;
+  }
+
+  form.insertBefore(messageElement, form.firstChild);
+  return messageElement;
+}
+
+/**
+ * Remove the form status message
+ * @param {HTMLFormElement} form - Form element
+ */
+function clearFormMessage(form) {
+  const messageElement = form.querySelector('.form-message');
+  if (messageElement) {
+    messageElement.remove();
+  }
+}
+
+/**
+ * Mark form as busy while a submission is in flight
+ * @param {HTMLFormElement} form - Form element
+ * @param {boolean} isBusy - Busy state
+ */
+function setFormBusy(form, isBusy) {
+  form.setAttribute('aria-busy', String(isBusy));
+
+  form.querySelectorAll('button[type="submit"]').forEach(button => {
+    button.disabled = isBusy;
+  });
+}
+
+export const formValidation = defineFeature(initFormValidation);
+
+// ============================================
+// Form Submission Transport
+// ============================================
+
+/**
+ * Submission adapters keyed by name. Each receives a submission and
+ * resolves with `{ confirmed }` once the transport has accepted it.
+ */
+const SUBMISSION_ADAPTERS = Object.freeze({
+  json: submitAsJson,
+  form: submitAsFormEncoded,
+  mailto: submitViaMailto,
+});
+
+let submissionRetryTimer = null;
+let isProcessingSubmissionQueue = false;
+
+/**
+ * Initialize the submission transport and flush any queued submissions
+ */
+function initSubmissionTransport(cleanup) {
+  try {
+    cleanup.listen(window, 'online', processSubmissionQueue);
+
+    // Background sync in the service worker asks for a replay once the
+    // browser is confident the connection is back
+    if ('serviceWorker' in navigator) {
+      cleanup.listen(navigator.serviceWorker, 'message', event => {
+        if (event.data && event.data.type === SERVICE_WORKER_MESSAGES.REPLAY_SUBMISSIONS) {
+          processSubmissionQueue(event);
+        }
+      });
+    }
+
+    cleanup.add(() => clearTimeout(submissionRetryTimer));
+    processSubmissionQueue();
+  } catch (error) {
+    logError('Submission transport initialization', error);
+  }
+}
+
+/**
+ * Build a submission record from a form
+ * The form's `action` and `data-adapter` attributes override the defaults
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object} Submission record
+ */
+function createSubmission(form) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    formId: form.id,
+    adapter: form.dataset.adapter || CONFIG.SUBMISSION_ADAPTER,
+    endpoint: form.getAttribute('action') || CONFIG.SUBMISSION_ENDPOINT,
+    payload: serializeForm(form),
+    createdAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: 0,
+  };
+}
+
+/**
+ * Serialize form fields to a plain object
+ * Fields that appear more than once (checkbox groups) become arrays
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object} Field values keyed by name
+ */
+function serializeForm(form) {
+  const payload = {};
+
+  new FormData(form).forEach((value, name) => {
+    if (typeof value !== 'string') {
+      return;
+    }
+
+    if (name in payload) {
+      payload[name] = [].concat(payload[name], value);
+    } else {
+      payload[name] = value;
+    }
+  });
+
+  return payload;
+}
+
+/**
+ * Send a submission, queueing it for retry if the failure is temporary
+ * @param {Object} submission - Submission record
+ * @returns {Promise<Object>} Outcome with `status` of sent or queued
+ */
+async function deliverSubmission(submission) {
+  try {
+    const result = await sendSubmission(submission);
+    return { status: 'sent', confirmed: result.confirmed };
+  } catch (error) {
+    if (!error.retryable) {
+      throw error;
+    }
+
+    enqueueSubmission(submission);
+    return { status: 'queued' };
+  }
+}
+
+/**
+ * Send a submission through its adapter
+ * @param {Object} submission - Submission record
+ * @returns {Promise<Object>} Adapter result
+ */
+function sendSubmission(submission) {
+  const adapter = SUBMISSION_ADAPTERS[submission.adapter];
+
+  if (!adapter) {
+    return Promise.reject(
+      createSubmissionError(`Unknown submission adapter: ${submission.adapter}`, false)
+    );
+  }
+
+  if (submission.adapter !== 'mailto' && navigator.onLine === false) {
+    return Promise.reject(createSubmissionError('Browser is offline', true));
+  }
+
+  return adapter(submission);
+}
+
+/**
+ * Adapter: POST the payload as JSON
+ * @param {Object} submission - Submission record
+ * @returns {Promise<Object>} Adapter result
+ */
+function submitAsJson(submission) {
+  return postSubmission(submission.endpoint, {
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+    },
+    body: JSON.stringify({
+      id: submission.id,
+      createdAt: submission.createdAt,
+      ...submission.payload,
+    }),
+  });
+}
+
+/**
+ * Adapter: POST the payload as application/x-www-form-urlencoded
+ * @param {Object} submission - Submission record
+ * @returns {Promise<Object>} Adapter result
+ */
+function submitAsFormEncoded(submission) {
+  const body = new URLSearchParams();
+  body.append('id', submission.id);
+
+  Object.entries(submission.payload).forEach(([name, value]) => {
+    [].concat(value).forEach(item => body.append(name, item));
+  });
+
+  return postSubmission(submission.endpoint, {
+    headers: { 'Accept': 'application/json' },
+    body,
+  });
+}
+
+/**
+ * Adapter: open the visitor's email client with the submission prefilled
+ * Delivery can't be confirmed, so the result is never `confirmed`
+ * @param {Object} submission - Submission record
+ * @returns {Promise<Object>} Adapter result
+ */
+function submitViaMailto(submission) {
+  window.location.href = buildMailtoHref(submission);
+  return Promise.resolve({ confirmed: false });
+}
+
+/**
+ * Build a mailto: link containing the submission
+ * @param {Object} submission - Submission record
+ * @returns {string} mailto: URL
+ */
+function buildMailtoHref(submission) {
+  const lines = Object.entries(submission.payload)
+    .map(([name, value]) => `${name}: ${[].concat(value).join(', ')}`);
+
+  const params = new URLSearchParams({
+    subject: t('form.mailtoSubject'),
+    body: lines.join('\n'),
+  });
+
+  // URLSearchParams encodes spaces as "+", which mail clients show literally
+  return `mailto:${CONFIG.SUBMISSION_MAILTO}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+/**
+ * POST to a submission endpoint with a timeout
+ * @param {string} endpoint - Endpoint URL
+ * @param {Object} init - Fetch init (headers and body)
+ * @returns {Promise<Object>} Adapter result
+ */
+async function postSubmission(endpoint, init) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.SUBMISSION_TIMEOUT);
+
+  let response;
+
+  try {
+    response = await fetch(endpoint, {
+      ...init,
+      method: 'POST',
+      signal: controller.signal,
+    });
+  } catch (error) {
+    // Network failures and timeouts are worth retrying
+    throw createSubmissionError(`Network error: ${error.message}`, true);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  if (!response.ok) {
+    const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw createSubmissionError(`Endpoint responded with ${response.status}`, retryable);
+  }
+
+  return { confirmed: true };
+}
+
+/**
+ * Create a submission error
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether the submission should be retried
+ * @returns {Error} Error with a `retryable` flag
+ */
+function createSubmissionError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Update the form once a submission has been delivered or queued
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} submission - Submission record
+ * @param {Object} outcome - Delivery outcome
+ */
+function handleSubmissionOutcome(form, submission, outcome) {
+  if (outcome.status === 'queued') {
+    form.dataset.queuedSubmission = submission.id;
+    showFormMessage(form, 'queued', t('form.queued'));
+    return;
+  }
+
+  if (!outcome.confirmed) {
+    showFormMessage(form, 'info', t('form.mailto'));
+    return;
+  }
+
+  showFormSuccess(form);
+}
+
+/**
+ * Tell the visitor a submission could not be sent and offer email instead
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object|null} submission - Submission record, if one was created
+ */
+function showSubmissionFailure(form, submission) {
+  const link = document.createElement('a');
+  link.href = submission ? buildMailtoHref(submission) : `mailto:${CONFIG.SUBMISSION_MAILTO}`;
+  link.textContent = t('form.failureLink');
+
+  showFormMessage(form, 'error', [t('form.failureStart'), link, t('form.failureEnd')]);
+}
+
+/**
+ * Read the persisted submission queue
+ * @returns {Object[]} Queued submissions
+ */
+function loadSubmissionQueue() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.SUBMISSION_QUEUE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    logError('Submission queue read', error);
+    return [];
+  }
+}
+
+/**
+ * Persist the submission queue
+ * @param {Object[]} queue - Queued submissions
+ */
+function saveSubmissionQueue(queue) {
+  try {
+    if (queue.length) {
+      localStorage.setItem(CONFIG.SUBMISSION_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(CONFIG.SUBMISSION_QUEUE_KEY);
+    }
+  } catch (error) {
+    logError('Submission queue write', error);
+  }
+}
+
+/**
+ * Add a submission to the retry queue
+ * @param {Object} submission - Submission record
+ */
+function enqueueSubmission(submission) {
+  const queue = loadSubmissionQueue().filter(item => item.id !== submission.id);
+  queue.push(scheduleRetry(submission));
+  saveSubmissionQueue(queue);
+  scheduleSubmissionQueue(queue);
+  requestSubmissionSync();
+}
+
+/**
+ * Ask the service worker for a background sync, so the queue is replayed
+ * as soon as the browser is back online
+ * Browsers without Background Sync rely on the online event instead.
+ */
+function requestSubmissionSync() {
+  if (!('serviceWorker' in navigator) || !('SyncManager' in window)) {
+    return;
+  }
+
+  navigator.serviceWorker.getRegistration()
+    .then(registration => registration && registration.sync.register(CONFIG.SUBMISSION_SYNC_TAG))
+    .catch(error => logError('Background sync registration', error));
+}
+
+/**
+ * Record a failed attempt and compute the next retry time
+ * Uses exponential backoff with jitter, capped at the maximum delay
+ * @param {Object} submission - Submission record
+ * @returns {Object} Updated submission record
+ */
+function scheduleRetry(submission) {
+  const attempts = submission.attempts + 1;
+  const backoff = Math.min(
+    CONFIG.SUBMISSION_RETRY_BASE_DELAY * 2 ** (attempts - 1),
+    CONFIG.SUBMISSION_RETRY_MAX_DELAY
+  );
+  const jitter = Math.random() * backoff * 0.2;
+
+  return {
+    ...submission,
+    attempts,
+    nextAttemptAt: Date.now() + backoff + jitter,
+  };
+}
+
+/**
+ * Set a timer for the next queued submission that is due
+ * @param {Object[]} queue - Queued submissions
+ */
+function scheduleSubmissionQueue(queue) {
+  clearTimeout(submissionRetryTimer);
+  submissionRetryTimer = null;
+
+  if (!queue.length) {
+    return;
+  }
+
+  const nextAttemptAt = Math.min(...queue.map(item => item.nextAttemptAt));
+  const delay = Math.max(nextAttemptAt - Date.now(), 0);
+
+  submissionRetryTimer = setTimeout(processSubmissionQueue, delay);
+}
+
+/**
+ * Retry every queued submission that is due
+ * Coming back online makes every queued submission due immediately
+ * @param {Event} [event] - Online event or service worker replay message, if triggered by reconnecting
+ */
+async function processSubmissionQueue(event) {
+  if (isProcessingSubmissionQueue) {
+    return;
+  }
+
+  isProcessingSubmissionQueue = true;
+
+  try {
+    const isReconnect = Boolean(event && (event.type === 'online' || event.type === 'message'));
+    const processed = new Set();
+    const remaining = [];
+
+    for (const submission of loadSubmissionQueue()) {
+      processed.add(submission.id);
+
+      if (!isReconnect && submission.nextAttemptAt > Date.now()) {
+        remaining.push(submission);
+        continue;
+      }
+
+      const retried = await retrySubmission(submission);
+      if (retried) {
+        remaining.push(retried);
+      }
+    }
+
+    // Keep anything queued while this pass was waiting on the network
+    const queuedMeanwhile = loadSubmissionQueue().filter(item => !processed.has(item.id));
+
+    const queue = remaining.concat(queuedMeanwhile);
+    saveSubmissionQueue(queue);
+    scheduleSubmissionQueue(queue);
+  } catch (error) {
+    logError('Submission queue processing', error);
+  } finally {
+    isProcessingSubmissionQueue = false;
+  }
+}
+
+/**
+ * Retry one queued submission
+ * @param {Object} submission - Submission record
+ * @returns {Promise<Object|null>} Rescheduled submission, or null if it's done
+ */
+async function retrySubmission(submission) {
+  const form = document.getElementById(submission.formId);
+  const isWaitingForm = Boolean(form && form.dataset.queuedSubmission === submission.id);
+
+  try {
+    await sendSubmission(submission);
+
+    if (isWaitingForm) {
+      delete form.dataset.queuedSubmission;
+      showFormSuccess(form);
+    }
+
+    return null;
+  } catch (error) {
+    if (error.retryable && submission.attempts < CONFIG.SUBMISSION_MAX_ATTEMPTS) {
+      return scheduleRetry(submission);
+    }
+
+    logError('Queued submission dropped', error);
+
+    if (isWaitingForm) {
+      delete form.dataset.queuedSubmission;
+      showSubmissionFailure(form, submission);
+    }
+
+    return null;
+  }
+}
+
+export const submissionTransport = defineFeature(initSubmissionTransport);
+
+// ============================================
+// Offline Support (Service Worker)
+// ============================================
+
+/**
+ * Message types exchanged with the service worker, matching MESSAGES in sw.js
+ */
+const SERVICE_WORKER_MESSAGES = Object.freeze({
+  SKIP_WAITING: 'skip-waiting',
+  REPLAY_SUBMISSIONS: 'replay-submissions',
+});
+
+/**
+ * Initialize the header offline indicator and register the service worker,
+ * prompting to reload when a new version is waiting
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initOfflineSupport(cleanup) {
+  try {
+    addOfflineStyles();
+
+    const indicator = createOfflineIndicator();
+    const updateIndicator = () => {
+      if (indicator) {
+        renderOfflineIndicator(indicator, navigator.onLine === false);
+      }
+    };
+
+    updateIndicator();
+    cleanup.listen(window, 'online', updateIndicator);
+    cleanup.listen(window, 'offline', updateIndicator);
+
+    cleanup.add(() => {
+      if (indicator) {
+        indicator.remove();
+      }
+      removeUpdatePrompt();
+      removeStyles('offline-styles');
+    });
+
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+      return;
+    }
+
+    const state = { active: true, accepted: false };
+    cleanup.add(() => {
+      state.active = false;
+    });
+
+    // Reload once the accepted worker takes over; the first install also
+    // claims the page, which must not reload it
+    cleanup.listen(navigator.serviceWorker, 'controllerchange', () => {
+      if (state.accepted) {
+        state.accepted = false;
+        window.location.reload();
+      }
+    });
+
+    navigator.serviceWorker.register(CONFIG.SERVICE_WORKER_URL)
+      .then(registration => {
+        if (state.active) {
+          watchForWaitingWorker(registration, state, cleanup);
+        }
+      })
+      .catch(error => logError('Service worker registration', error));
+  } catch (error) {
+    logError('Offline support initialization', error);
+  }
+}
+
+/**
+ * Show the update prompt when a new service worker has installed and is
+ * waiting behind the one controlling the page
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ * @param {Object} state - Feature state; `accepted` is set once the visitor reloads
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function watchForWaitingWorker(registration, state, cleanup) {
+  // Without a controller this is the first install, not an update
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting, state);
+  }
+
+  cleanup.listen(registration, 'updatefound', () => {
+    const worker = registration.installing;
+
+    if (!worker) {
+      return;
+    }
+
+    worker.addEventListener('statechange', () => {
+      if (state.active && worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(worker, state);
+      }
+    });
+  });
+}
+
+/**
+ * Show a prompt offering to reload into the waiting service worker
+ * @param {ServiceWorker} worker - Waiting service worker
+ * @param {Object} state - Feature state
+ */
+function showUpdatePrompt(worker, state) {
+  removeUpdatePrompt();
+
+  const prompt = document.createElement('div');
+  prompt.className = 'update-prompt';
+  prompt.setAttribute('role', 'status');
+
+  const message = document.createElement('p');
+  message.dataset.i18n = 'update.message';
+  message.textContent = t('update.message');
+
+  const reload = document.createElement('button');
+  reload.type = 'button';
+  reload.className = 'update-prompt-reload';
+  reload.dataset.i18n = 'update.reload';
+  reload.textContent = t('update.reload');
+  reload.addEventListener('click', () => {
+    state.accepted = true;
+    reload.disabled = true;
+    worker.postMessage({ type: SERVICE_WORKER_MESSAGES.SKIP_WAITING });
+  });
+
+  const dismiss = document.createElement('button');
+  dismiss.type = 'button';
+  dismiss.className = 'update-prompt-dismiss';
+  dismiss.dataset.i18n = 'update.dismiss';
+  dismiss.textContent = t('update.dismiss');
+  dismiss.addEventListener('click', removeUpdatePrompt);
+
+  prompt.append(message, reload, dismiss);
+  document.body.append(prompt);
+}
+
+/**
+ * Remove the update prompt, if shown
+ */
+function removeUpdatePrompt() {
+  const prompt = document.querySelector('.update-prompt');
+  if (prompt) {
+    prompt.remove();
+  }
+}
+
+/**
+ * Create the offline indicator in the header
+ * @returns {HTMLElement|null} Indicator, or null if the page has no header
+ */
+function createOfflineIndicator() {
+  const headerContainer = document.querySelector('.header-container');
+
+  if (!headerContainer) {
+    return null;
+  }
+
+  // The live region stays in place so the badge added to it is announced
+  const indicator = document.createElement('div');
+  indicator.className = 'offline-status';
+  indicator.setAttribute('role', 'status');
+
+  headerContainer.append(indicator);
+  return indicator;
+}
+
+/**
+ * Show or clear the offline badge
+ * @param {HTMLElement} indicator - Offline status region
+ * @param {boolean} offline - Whether the browser is offline
+ */
+function renderOfflineIndicator(indicator, offline) {
+  if (!offline) {
+    indicator.replaceChildren();
+    return;
+  }
+
+  const badge = document.createElement('span');
+  badge.className = 'offline-indicator';
+
+  const label = document.createElement('span');
+  label.dataset.i18n = 'offline.label';
+  label.textContent = t('offline.label');
+
+  const detail = document.createElement('span');
+  detail.className = 'visually-hidden';
+  detail.dataset.i18n = 'offline.detail';
+  detail.textContent = t('offline.detail');
+
+  badge.append(label, detail);
+  indicator.replaceChildren(badge);
+}
+
+/**
+ * Add offline indicator and update prompt styles dynamically
+ */
+function addOfflineStyles() {
+  if (document.getElementById('offline-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'offline-styles';
+  style.textContent = `
+    .offline-status {
+      margin-left: 0.5rem;
+    }
+
+    .offline-indicator {
+      display: inline-flex;
+      align-items: center;
+      gap: 0.375rem;
+      padding: 0.25rem 0.75rem;
+      font-size: 0.875rem;
+      font-weight: 600;
+      color: var(--color-warning-800, #92400e);
+      background-color: var(--color-warning-100, #fef3c7);
+      border-radius: 9999px;
+    }
+
+    .offline-indicator::before {
+      content: '';
+      width: 0.5rem;
+      height: 0.5rem;
+      background-color: currentColor;
+      border-radius: 50%;
+    }
+
+    .update-prompt {
+      position: fixed;
+      left: 50%;
+      bottom: 1rem;
+      z-index: 1100;
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 0.75rem;
+      width: max-content;
+      max-width: calc(100% - 2rem);
+      padding: 0.75rem 1rem;
+      color: var(--color-gray-900, #111827);
+      background-color: var(--color-white, #ffffff);
+      border-radius: 0.75rem;
+      box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.2);
+      transform: translateX(-50%);
+    }
+
+    .update-prompt p {
+      margin: 0;
+    }
+
+    .update-prompt button {
+      font: inherit;
+      font-weight: 600;
+      padding: 0.375rem 0.875rem;
+      border-radius: 0.5rem;
+      cursor: pointer;
+    }
+
+    .update-prompt-reload {
+      color: var(--color-white, #ffffff);
+      background-color: var(--color-primary-600, #1e40af);
+      border: 2px solid var(--color-primary-600, #1e40af);
+    }
+
+    .update-prompt-dismiss {
+      color: var(--color-primary-600, #1e40af);
+      background: none;
+      border: 2px solid currentColor;
+    }
+
+    .update-prompt button:focus-visible {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const offlineSupport = defineFeature(initOfflineSupport);
+
+// ============================================
+// Announcement Banner
+// ============================================
+
+/**
+ * Announcement severities, most urgent last
+ */
+const ANNOUNCEMENT_SEVERITIES = Object.freeze({
+  INFO: 'info',
+  WARNING: 'warning',
+  URGENT: 'urgent',
+});
+
+/**
+ * Longest delay setTimeout() accepts; later start and end times are
+ * picked up by re-checking after this long
+ */
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Initialize the announcement banner for holiday closures, delays and
+ * other notices from the content file's announcements list
+ * Notices show between their start and end times, above the header, until
+ * the visitor dismisses them.
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initAnnouncements(cleanup) {
+  try {
+    const header = document.querySelector(SELECTORS.HEADER);
+
+    if (!header) {
+      return;
+    }
+
+    let active = true;
+    cleanup.add(() => {
+      active = false;
+    });
+
+    getSiteContent().then(content => {
+      if (!active || !content || !content.announcements || !content.announcements.length) {
+        return;
+      }
+
+      setUpAnnouncements(header, content.announcements, cleanup);
+    });
+  } catch (error) {
+    logError('Announcements initialization', error);
+  }
+}
+
+/**
+ * Create the banner and keep it in step with the clock, locale and dismissals
+ * @param {HTMLElement} header - Page header, which the banner sits above
+ * @param {Object[]} notices - Announcements from the content file
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function setUpAnnouncements(header, notices, cleanup) {
+  const banner = document.createElement('div');
+  banner.className = 'announcement-banner';
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('aria-label', t('announcements.label'));
+  banner.dataset.i18nAttr = 'aria-label:announcements.label';
+  banner.hidden = true;
+
+  const list = document.createElement('ul');
+  list.className = 'announcement-list';
+  list.setAttribute('role', 'list');
+  banner.append(list);
+
+  addAnnouncementStyles();
+  header.before(banner);
+
+  const state = {
+    banner,
+    list,
+    notices,
+    dismissed: new Set(readDismissedAnnouncements()),
+    timer: null,
+  };
+
+  // The header sticks below the banner, so it needs the banner's height
+  const syncOffset = () => {
+    const height = banner.hidden ? 0 : banner.offsetHeight;
+    document.documentElement.style.setProperty('--announcement-offset', `${height}px`);
+  };
+
+  if ('ResizeObserver' in window) {
+    const resizeObserver = new ResizeObserver(syncOffset);
+    resizeObserver.observe(banner);
+    cleanup.add(() => resizeObserver.disconnect());
+  }
+
+  const update = () => {
+    renderAnnouncements(state);
+    syncOffset();
+    scheduleAnnouncementUpdate(state, update);
+  };
+
+  cleanup.listen(list, 'click', event => {
+    const button = event.target.closest('[data-announcement-dismiss]');
+
+    if (button) {
+      dismissAnnouncement(state, button.dataset.announcementDismiss);
+      update();
+    }
+  });
+  cleanup.listen(document, EVENTS.LOCALE_CHANGE, update);
+
+  cleanup.add(() => {
+    clearTimeout(state.timer);
+    banner.remove();
+    removeStyles('announcement-styles');
+    document.documentElement.style.removeProperty('--announcement-offset');
+  });
+
+  update();
+}
+
+/**
+ * Get the notices to show now, most severe first
+ * @param {Object} state - Banner state
+ * @param {Date} [now] - Current time
+ * @returns {Object[]} Active notices the visitor hasn't dismissed
+ */
+function getActiveAnnouncements(state, now = new Date()) {
+  const severities = Object.values(ANNOUNCEMENT_SEVERITIES);
+  const time = now.getTime();
+
+  return state.notices
+    .filter(notice => !state.dismissed.has(notice.id)
+      && Date.parse(notice.start) <= time
+      && time < Date.parse(notice.end))
+    .sort((a, b) => severities.indexOf(b.severity) - severities.indexOf(a.severity)
+      || Date.parse(a.start) - Date.parse(b.start));
+}
+
+/**
+ * Render the active notices
+ * Notices already shown stay where they are in the DOM, so screen readers
+ * don't announce urgent ones again and a focused dismiss button keeps focus.
+ * @param {Object} state - Banner state
+ */
+function renderAnnouncements(state) {
+  const notices = getActiveAnnouncements(state);
+  const shown = new Map(
+    Array.from(state.list.children).map(item => [item.dataset.announcement, item])
+  );
+
+  const items = notices.map(notice => {
+    const item = shown.get(notice.id) || createAnnouncementItem(notice);
+    fillAnnouncementItem(item, notice);
+    return item;
+  });
+
+  const keep = new Set(items);
+  shown.forEach(item => {
+    if (!keep.has(item)) {
+      item.remove();
+    }
+  });
+
+  items.forEach((item, index) => {
+    if (state.list.children[index] !== item) {
+      state.list.insertBefore(item, state.list.children[index] || null);
+    }
+  });
+
+  state.banner.hidden = !items.length;
+}
+
+/**
+ * Create the list item for a notice
+ * Urgent notices are alerts, which screen readers announce as soon as
+ * they're added; the others wait in the labelled region.
+ * @param {Object} notice - Announcement
+ * @returns {HTMLElement} Notice list item
+ */
+function createAnnouncementItem(notice) {
+  const item = document.createElement('li');
+  item.className = `announcement announcement-${notice.severity}`;
+  item.dataset.announcement = notice.id;
+
+  const body = document.createElement('div');
+  body.className = 'announcement-body';
+
+  if (notice.severity === ANNOUNCEMENT_SEVERITIES.URGENT) {
+    body.setAttribute('role', 'alert');
+  }
+
+  const dismiss = document.createElement('button');
+  dismiss.type = 'button';
+  dismiss.className = 'announcement-dismiss';
+  dismiss.dataset.announcementDismiss = notice.id;
+  dismiss.innerHTML = '<span aria-hidden="true">×</span>';
+
+  item.append(body, dismiss);
+  return item;
+}
+
+/**
+ * Fill a notice item with text in the current language
+ * @param {HTMLElement} item - Notice list item
+ * @param {Object} notice - Announcement
+ */
+function fillAnnouncementItem(item, notice) {
+  const body = item.querySelector('.announcement-body');
+
+  const severity = document.createElement('span');
+  severity.className = 'visually-hidden';
+  severity.textContent = `${t(`announcements.severity.${notice.severity}`)}: `;
+
+  const message = document.createElement('span');
+  message.className = 'announcement-message';
+  message.textContent = localizeContent(notice.message);
+
+  const parts = [severity, message];
+
+  if (notice.link) {
+    const link = document.createElement('a');
+    link.className = 'announcement-link';
+    link.href = notice.link.href;
+    link.textContent = localizeContent(notice.link.label);
+    parts.push(' ', link);
+  }
+
+  // Only changed text is swapped, so an open alert isn't re-announced on every update
+  const text = parts.map(part => (typeof part === 'string' ? part : part.textContent)).join('');
+  if (body.textContent !== text) {
+    body.replaceChildren(...parts);
+  }
+
+  item.querySelector('.announcement-dismiss').setAttribute('aria-label', t('announcements.dismiss'));
+}
+
+/**
+ * Hide a notice for good and move focus somewhere sensible
+ * @param {Object} state - Banner state
+ * @param {string} id - Notice id
+ */
+function dismissAnnouncement(state, id) {
+  const items = Array.from(state.list.children);
+  const index = items.findIndex(item => item.dataset.announcement === id);
+  const next = items[index + 1] || items[index - 1];
+
+  state.dismissed.add(id);
+  saveDismissedAnnouncements(state);
+
+  // With no notices left, the skip link just before the banner takes focus
+  const focusTarget = next
+    ? next.querySelector('.announcement-dismiss')
+    : document.querySelector(SELECTORS.SKIP_LINK);
+
+  if (focusTarget) {
+    focusTarget.focus();
+  }
+}
+
+/**
+ * Re-render when the next notice starts or the next visible one ends
+ * @param {Object} state - Banner state
+ * @param {Function} update - Banner update function
+ */
+function scheduleAnnouncementUpdate(state, update) {
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  const now = Date.now();
+  const upcoming = state.notices
+    .filter(notice => !state.dismissed.has(notice.id))
+    .flatMap(notice => [Date.parse(notice.start), Date.parse(notice.end)])
+    .filter(time => time > now);
+
+  if (!upcoming.length) {
+    return;
+  }
+
+  const delay = Math.min(Math.min(...upcoming) - now, MAX_TIMER_DELAY);
+  state.timer = setTimeout(update, delay);
+}
+
+/**
+ * Read the ids of dismissed notices
+ * @returns {string[]} Dismissed notice ids
+ */
+function readDismissedAnnouncements() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG.ANNOUNCEMENT_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.filter(id => typeof id === 'string') : [];
+  } catch (error) {
+    logError('Dismissed announcements read', error);
+    return [];
+  }
+}
+
+/**
+ * Remember dismissed notices, forgetting ones no longer in the content file
+ * @param {Object} state - Banner state
+ */
+function saveDismissedAnnouncements(state) {
+  const known = new Set(state.notices.map(notice => notice.id));
+  const ids = Array.from(state.dismissed).filter(id => known.has(id));
+
+  try {
+    localStorage.setItem(CONFIG.ANNOUNCEMENT_STORAGE_KEY, JSON.stringify(ids));
+  } catch (error) {
+    logError('Dismissed announcements write', error);
+  }
+}
+
+/**
+ * Get the height of the visible announcement banner
+ * @returns {number} Banner height in pixels, or 0 if none is shown
+ */
+function getAnnouncementHeight() {
+  const banner = document.querySelector(SELECTORS.ANNOUNCEMENT_BANNER);
+  return banner && !banner.hidden ? banner.offsetHeight : 0;
+}
+
+/**
+ * Add announcement banner styles
+ */
+function addAnnouncementStyles() {
+  if (document.getElementById('announcement-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'announcement-styles';
+  style.textContent = `
+    .announcement-banner {
+      position: sticky;
+      top: 0;
+      z-index: calc(var(--z-sticky, 20) + 1);
+    }
+
+    .announcement-banner[hidden] {
+      display: none;
+    }
+
+    header {
+      top: var(--announcement-offset, 0px);
+    }
+
+    .announcement-list {
+      list-style: none;
+      margin: 0;
+      padding: 0;
+    }
+
+    .announcement {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+      padding: 0.5rem 1rem;
+      background-color: var(--color-primary-50, #eff6ff);
+      color: var(--color-primary-700, #1e3a8a);
+      border-bottom: 1px solid var(--color-primary-200, #bfdbfe);
+      font-size: 0.9375rem;
+    }
+
+    .announcement-warning {
+      background-color: var(--color-warning-100, #fef3c7);
+      color: var(--color-warning-800, #92400e);
+      border-bottom-color: currentColor;
+    }
+
+    .announcement-urgent {
+      background-color: var(--color-error-100, #fee2e2);
+      color: var(--color-error-700, #b91c1c);
+      border-bottom-color: currentColor;
+      font-weight: 600;
+    }
+
+    .announcement-body {
+      flex: 1;
+      text-align: center;
+    }
+
+    .announcement-link {
+      color: inherit;
+      text-decoration: underline;
+    }
+
+    .announcement-dismiss {
+      flex-shrink: 0;
+      width: 2rem;
+      height: 2rem;
+      border: none;
+      border-radius: 50%;
+      background: transparent;
+      color: inherit;
+      font-size: 1.25rem;
+      line-height: 1;
+      cursor: pointer;
+    }
+
+    .announcement-dismiss:hover {
+      background-color: rgba(0, 0, 0, 0.08);
+    }
+
+    .announcement-dismiss:focus {
+      outline: 2px solid currentColor;
+      outline-offset: 2px;
+    }
+
+    @media print {
+      .announcement-dismiss {
+        display: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const announcements = defineFeature(initAnnouncements);
+
+// ============================================
+// Pickup & Delivery Booking Wizard
+// ============================================
+
+/**
+ * Initialize the multi-step booking wizard on the contact form
+ */
+function initBookingWizard(cleanup) {
+  try {
+    const form = document.querySelector(SELECTORS.CONTACT_FORM);
+    
+    if (!isBookingWizard(form)) {
+      return;
+    }
+
+    const buttons = form.querySelectorAll(`${SELECTORS.WIZARD_NEXT}, ${SELECTORS.WIZARD_BACK}`);
+
+    // Without JavaScript every step stays visible and the browser
+    // validates natively; once enhanced, validation is handled here
+    form.noValidate = true;
+
+    buttons.forEach(button => {
+      button.hidden = false;
+    });
+
+    cleanup.listen(form, 'click', handleWizardClick);
+    cleanup.listen(form, 'reset', handleWizardReset);
+
+    setPickupDateBounds(form);
+    localizePickupSlots(form);
+    showBookingStep(form, 1, { focus: false });
+
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => handleBookingLocaleChange(form));
+
+    // Put the form back the way it works without JavaScript
+    cleanup.add(() => {
+      form.noValidate = false;
+      buttons.forEach(button => {
+        button.hidden = true;
+      });
+      getBookingSteps(form).forEach(step => {
+        step.hidden = false;
+      });
+      delete form.dataset.currentStep;
+    });
+  } catch (error) {
+    logError('Booking wizard initialization', error);
+  }
+}
+
+/**
+ * Check if form is a multi-step booking wizard
+ * @param {HTMLFormElement|null} form - Form element
+ * @returns {boolean} True if form contains wizard steps
+ */
+function isBookingWizard(form) {
+  return Boolean(form && form.querySelector(SELECTORS.BOOKING_STEP));
+}
+
+/**
+ * Check if the booking wizard is running on a form
+ * @param {HTMLFormElement|null} form - Form element
+ * @returns {boolean} True if the wizard has been initialized on the form
+ */
+function isBookingWizardActive(form) {
+  return Boolean(form && form.dataset.currentStep);
+}
+
+/**
+ * Scroll to the booking form and move focus to its first step, e.g. after
+ * another feature has filled in some of the fields
+ * @param {HTMLFormElement} form - Booking form
+ */
+function showBookingForm(form) {
+  if (isBookingWizardActive(form)) {
+    showBookingStep(form, 1, { focus: false });
+  }
+
+  scrollToElement(form);
+
+  const firstStepTitle = form.querySelector(SELECTORS.BOOKING_STEP_TITLE);
+  if (firstStepTitle) {
+    firstStepTitle.setAttribute('tabindex', '-1');
+    firstStepTitle.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Get wizard steps in order
+ * @param {HTMLFormElement} form - Form element
+ * @returns {HTMLElement[]} Step elements
+ */
+function getBookingSteps(form) {
+  return Array.from(form.querySelectorAll(SELECTORS.BOOKING_STEP));
+}
+
+/**
+ * Get the current wizard step number
+ * @param {HTMLFormElement} form - Form element
+ * @returns {number} Current step number
+ */
+function getCurrentBookingStep(form) {
+  return Number(form.dataset.currentStep) || 1;
+}
+
+/**
+ * Check if the wizard is on its final step
+ * @param {HTMLFormElement} form - Form element
+ * @returns {boolean} True if current step is the last one
+ */
+function isLastBookingStep(form) {
+  return getCurrentBookingStep(form) >= getBookingSteps(form).length;
+}
+
+/**
+ * Handle clicks on wizard Back/Next buttons
+ * @param {Event} event - Click event
+ */
+function handleWizardClick(event) {
+  try {
+    const form = event.currentTarget;
+
+    if (event.target.closest(SELECTORS.WIZARD_NEXT)) {
+      event.preventDefault();
+      goToNextBookingStep(form);
+    } else if (event.target.closest(SELECTORS.WIZARD_BACK)) {
+      event.preventDefault();
+      showBookingStep(form, getCurrentBookingStep(form) - 1);
+    }
+  } catch (error) {
+    logError('Booking wizard navigation', error);
+  }
+}
+
+/**
+ * Return wizard to the first step when the form is reset
+ * @param {Event} event - Reset event
+ */
+function handleWizardReset(event) {
+  const form = event.currentTarget;
+
+  // Reset fires before field values are cleared
+  setTimeout(() => {
+    showBookingStep(form, 1, { focus: false });
+  }, 0);
+}
+
+/**
+ * Validate the current step and advance to the next one
+ * @param {HTMLFormElement} form - Form element
+ */
+function goToNextBookingStep(form) {
+  const current = getCurrentBookingStep(form);
+  const step = getBookingSteps(form)[current - 1];
+
+  if (!step || !validateBookingStep(step)) {
+    focusFirstInvalidField(form);
+    return;
+  }
+
+  if (current + 1 === getBookingSteps(form).length) {
+    renderBookingSummary(form);
+  }
+
+  showBookingStep(form, current + 1);
+}
+
+/**
+ * Validate every field in a wizard step
+ * @param {HTMLElement} step - Step element
+ * @returns {boolean} True if all fields in the step are valid
+ */
+function validateBookingStep(step) {
+  let isValid = true;
+  const fields = step.querySelectorAll(SELECTORS.FORM_FIELDS);
+
+  fields.forEach(field => {
+    if (!validateField({ target: field })) {
+      isValid = false;
+    }
+  });
+
+  return isValid;
+}
+
+/**
+ * Show a wizard step and hide the others
+ * @param {HTMLFormElement} form - Form element
+ * @param {number} stepNumber - Step to show (1-based)
+ * @param {Object} [options] - Display options
+ * @param {boolean} [options.focus=true] - Move focus to the step title
+ */
+function showBookingStep(form, stepNumber, { focus = true } = {}) {
+  const steps = getBookingSteps(form);
+  const target = Math.min(Math.max(stepNumber, 1), steps.length);
+
+  steps.forEach(step => {
+    step.hidden = Number(step.dataset.step) !== target;
+  });
+
+  form.querySelectorAll(SELECTORS.BOOKING_STEP_INDICATOR).forEach(indicator => {
+    if (Number(indicator.dataset.stepIndicator) === target) {
+      indicator.setAttribute('aria-current', 'step');
+    } else {
+      indicator.removeAttribute('aria-current');
+    }
+  });
+
+  form.dataset.currentStep = String(target);
+
+  if (!focus) {
+    return;
+  }
+
+  const title = steps[target - 1].querySelector(SELECTORS.BOOKING_STEP_TITLE);
+  if (title) {
+    title.setAttribute('tabindex', '-1');
+    title.focus();
+  }
+}
+
+/**
+ * Prevent pickups from being booked in the past
+ * @param {HTMLFormElement} form - Form element
+ */
+function setPickupDateBounds(form) {
+  const dateInput = form.querySelector('input[type="date"]');
+
+  if (!dateInput) {
+    return;
+  }
+
+  dateInput.min = toISODate(new Date());
+}
+
+/**
+ * Label pickup time slots for the current locale from their "HH:MM-HH:MM" values
+ * @param {HTMLFormElement} form - Form element
+ */
+function localizePickupSlots(form) {
+  const select = form.querySelector('select[name="pickupSlot"]');
+
+  if (!select) {
+    return;
+  }
+
+  Array.from(select.options).forEach(option => {
+    const [start, end] = option.value.split('-');
+
+    if (start && end) {
+      option.textContent = `${formatClockTime(parseClockTime(start))} - ${formatClockTime(parseClockTime(end))}`;
+    }
+  });
+}
+
+/**
+ * Re-render generated booking text after a language switch
+ * @param {HTMLFormElement} form - Form element
+ */
+function handleBookingLocaleChange(form) {
+  try {
+    localizePickupSlots(form);
+
+    if (isLastBookingStep(form)) {
+      renderBookingSummary(form);
+    }
+
+    // Re-validate so visible errors switch language too
+    form.querySelectorAll('[aria-invalid="true"]').forEach(field => validateField({ target: field }));
+
+    if (form.querySelector(SELECTORS.ERROR_SUMMARY)) {
+      showErrorSummary(form, { focus: false });
+    }
+  } catch (error) {
+    logError('Booking wizard locale change', error);
+  }
+}
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * @param {Date} date - Date to format
+ * @returns {string} ISO calendar date
+ */
+function toISODate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Fill the review step with the values entered so far
+ * @param {HTMLFormElement} form - Form element
+ */
+function renderBookingSummary(form) {
+  const summary = form.querySelector(SELECTORS.BOOKING_SUMMARY);
+
+  if (!summary) {
+    return;
+  }
+
+  summary.replaceChildren();
+
+  getBookingSummaryItems(form).forEach(([term, description]) => {
+    if (!description) {
+      return;
+    }
+
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = description;
+    summary.append(dt, dd);
+  });
+}
+
+/**
+ * Collect human-readable booking details for the review step
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+function getBookingSummaryItems(form) {
+  const data = new FormData(form);
+  const value = name => String(data.get(name) || '').trim();
+
+  const services = Array.from(form.querySelectorAll('input[name="services"]:checked'))
+    .map(input => input.parentElement.textContent.trim())
+    .join(', ');
+
+  const address = [value('street'), value('unit'), value('city'), value('zip')]
+    .filter(Boolean)
+    .join(', ');
+
+  const slot = form.querySelector('select[name="pickupSlot"]');
+  const slotLabel = slot && slot.value ? slot.options[slot.selectedIndex].text : '';
+  const pickup = [formatPickupDate(value('pickupDate')), slotLabel].filter(Boolean).join(', ');
+
+  return [
+    [t('booking.summaryServices'), services],
+    [t('booking.summaryName'), value('name')],
+    [t('booking.summaryPhone'), value('phone')],
+    [t('booking.summaryEmail'), value('email')],
+    [t('booking.summaryAddress'), address],
+    [t('booking.summaryPickup'), pickup],
+    [t('booking.summaryInstructions'), value('notes')],
+    [t('booking.summaryEstimate'), value('estimate')],
+  ];
+}
+
+/**
+ * Format a YYYY-MM-DD value for display
+ * @param {string} isoDate - ISO calendar date
+ * @returns {string} Formatted date, or empty string if invalid
+ */
+function formatPickupDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+
+  if (!year || !month || !day) {
+    return '';
+  }
+
+  return new Date(year, month - 1, day).toLocaleDateString(getIntlLocale(), {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+export const bookingWizard = defineFeature(initBookingWizard);
+
+// ============================================
+// Business Hours & Open Status
+// ============================================
+
+const DAY_NAMES = Object.freeze(['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']);
+
+let businessSchedule = null;
+let replacementSchedule = null;
+let hoursRefreshTimer = null;
+
+/**
+ * Initialize live open/closed status badges
+ */
+function initBusinessHours(cleanup) {
+  try {
+    const hoursList = document.querySelector(SELECTORS.BUSINESS_HOURS);
+    const badges = createHoursStatusBadges();
+
+    cleanup.add(() => {
+      clearTimeout(hoursRefreshTimer);
+      badges.forEach(badge => badge.remove());
+      removeStyles('hours-status-styles');
+    });
+
+    if (hoursList) {
+      localizeBusinessHours(hoursList);
+    }
+
+    if (!badges.length) {
+      return;
+    }
+
+    const refresh = () => {
+      renderHoursStatus(badges, getBusinessSchedule().getStatus());
+      scheduleHoursRefresh(refresh);
+    };
+
+    refresh();
+
+    const update = () => {
+      if (hoursList) {
+        localizeBusinessHours(hoursList);
+      }
+      refresh();
+    };
+
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, update);
+    // The content file may replace the hours
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, update);
+
+    // Timers are throttled in background tabs, so catch up when visible again
+    cleanup.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        refresh();
+      }
+    });
+  } catch (error) {
+    logError('Business hours initialization', error);
+  }
+}
+
+/**
+ * Get the shared business schedule
+ * Built once from the Business Hours list, falling back to BUSINESS_HOURS,
+ * unless replaced with setBusinessHours()
+ * @returns {Object} Business schedule
+ */
+function getBusinessSchedule() {
+  if (replacementSchedule) {
+    return replacementSchedule;
+  }
+
+  if (!businessSchedule) {
+    const hoursList = document.querySelector(SELECTORS.BUSINESS_HOURS);
+    const weekly = (hoursList && parseBusinessHours(hoursList)) || BUSINESS_HOURS;
+
+    businessSchedule = createBusinessSchedule({
+      weekly,
+      overrides: HOURS_OVERRIDES,
+      timeZone: CONFIG.STORE_TIME_ZONE,
+    });
+  }
+
+  return businessSchedule;
+}
+
+/**
+ * Replace the weekly hours, e.g. with hours from the site content file
+ * @param {Array<Object|null>|null} weekly - Hours indexed by weekday, or null to go back to the Business Hours list
+ */
+function setBusinessHours(weekly) {
+  replacementSchedule = null;
+
+  // Parse the original list first so it can still be restored once replaced
+  getBusinessSchedule();
+
+  if (weekly) {
+    replacementSchedule = createBusinessSchedule({
+      weekly,
+      overrides: HOURS_OVERRIDES,
+      timeZone: CONFIG.STORE_TIME_ZONE,
+    });
+  }
+}
+
+/**
+ * Parse a Business Hours definition list
+ * Understands terms like "Monday - Friday:" or "Saturday & Sunday:" and
+ * descriptions like "7:00 AM - 8:00 PM" or "Closed"
+ * @param {HTMLDListElement} list - Definition list
+ * @returns {Array<Object|null>|null} Hours indexed by weekday (0 = Sunday), or null if unparseable
+ */
+function parseBusinessHours(list) {
+  const weekly = new Array(7).fill(null);
+  let parsedDays = 0;
+
+  list.querySelectorAll('dt').forEach(term => {
+    const description = term.nextElementSibling;
+
+    if (!description || description.tagName !== 'DD') {
+      return;
+    }
+
+    const days = parseDayList(term.textContent);
+    const hours = parseHoursRange(description.textContent);
+
+    days.forEach(day => {
+      weekly[day] = hours;
+      parsedDays += 1;
+    });
+  });
+
+  if (!parsedDays) {
+    logError('Business hours parsing', new Error('No days found in business hours list'));
+    return null;
+  }
+
+  return weekly;
+}
+
+/**
+ * Parse a list or range of day names
+ * @param {string} text - Text such as "Monday - Friday:" or "Sat, Sun"
+ * @returns {number[]} Weekday indexes (0 = Sunday)
+ */
+function parseDayList(text) {
+  const dayIndex = name => DAY_NAMES.indexOf(name.trim().slice(0, 3).toLowerCase());
+  const days = [];
+
+  text.replace(/:\s*$/, '').split(/,|&|\band\b/).forEach(part => {
+    const [start, end] = part.split(/\s*[-–]\s*|\s+to\s+/).map(dayIndex);
+
+    if (start < 0) {
+      return;
+    }
+
+    if (end === undefined || end < 0) {
+      days.push(start);
+      return;
+    }
+
+    // Ranges may wrap past Saturday, e.g. "Friday - Monday"
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.push(day);
+      if (day === end) {
+        break;
+      }
+    }
+  });
+
+  return days;
+}
+
+/**
+ * Parse an opening hours range
+ * @param {string} text - Text such as "7:00 AM - 8:00 PM", "07:00 - 20:00" or "Closed"
+ * @returns {Object|null} Opening and closing minutes after midnight, or null if closed
+ */
+function parseHoursRange(text) {
+  const times = Array.from(text.matchAll(/(\d{1,2})(?::(\d{2}))?\s*(?:([AP])\.?M\.?)?/gi))
+    .map(([, hour, minute = '0', meridiem]) => {
+      const hours = meridiem
+        ? (Number(hour) % 12) + (meridiem.toUpperCase() === 'P' ? 12 : 0)
+        : Number(hour);
+      return hours * 60 + Number(minute);
+    });
+
+  if (times.length < 2) {
+    return null;
+  }
+
+  return { open: times[0], close: times[1] };
+}
+
+/**
+ * Reformat the opening times in the Business Hours list for the current locale
+ * The original text is kept so it can be re-parsed on every language switch
+ * @param {HTMLDListElement} list - Definition list
+ */
+function localizeBusinessHours(list) {
+  list.querySelectorAll('dd').forEach(description => {
+    if (description.dataset.hoursSource === undefined) {
+      description.dataset.hoursSource = description.textContent.trim();
+    }
+
+    const hours = parseHoursRange(description.dataset.hoursSource);
+
+    description.textContent = hours
+      ? `${formatClockTime(hours.open)} - ${formatClockTime(hours.close)}`
+      : t('hours.closed');
+  });
+}
+
+/**
+ * Convert an "HH:MM" 24-hour time to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes after midnight
+ */
+function parseClockTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Create a business schedule that answers open/closed questions in the
+ * store's time zone, applying holiday and special-closure overrides
+ * @param {Object} options - Schedule options
+ * @param {Array<Object|null>} options.weekly - Hours indexed by weekday
+ * @param {Object[]} [options.overrides] - Date-specific overrides
+ * @param {string} options.timeZone - IANA time zone of the store
+ * @returns {Object} Business schedule
+ */
+function createBusinessSchedule({ weekly, overrides = [], timeZone }) {
+  const overridesByDate = new Map(overrides.map(override => [override.date, override]));
+
+  /**
+   * Get opening hours for a store-local calendar date
+   * @param {string} isoDate - Date as YYYY-MM-DD
+   * @returns {Object|null} Hours with optional holiday labelKey, or null if closed
+   */
+  function getHoursOn(isoDate) {
+    const override = overridesByDate.get(isoDate);
+
+    if (override) {
+      if (override.closed) {
+        return null;
+      }
+
+      return {
+        open: parseClockTime(override.open),
+        close: parseClockTime(override.close),
+        labelKey: override.labelKey,
+      };
+    }
+
+    return weekly[getWeekdayOf(isoDate)] || null;
+  }
+
+  /**
+   * Find the next time the store opens
+   * @param {string} isoDate - Store-local date to start from
+   * @param {number} minutes - Store-local minutes after midnight to start from
+   * @returns {Object|null} Opening date, minutes and day offset, or null if none within two weeks
+   */
+  function getNextOpening(isoDate, minutes) {
+    for (let offset = 0; offset < 14; offset += 1) {
+      const date = addDaysToISODate(isoDate, offset);
+      const hours = getHoursOn(date);
+
+      if (!hours || (offset === 0 && minutes >= hours.open)) {
+        continue;
+      }
+
+      return { isoDate: date, minutes: hours.open, dayOffset: offset };
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the store's status at a moment in time
+   * @param {Date} [date=new Date()] - Moment to check
+   * @returns {Object} Status with isOpen, closesAt/opensAt and the labelKey of the holiday closed for, if any
+   */
+  function getStatus(date = new Date()) {
+    const { isoDate, minutes } = getZonedDateParts(date, timeZone);
+    const hours = getHoursOn(isoDate);
+    const override = overridesByDate.get(isoDate);
+
+    if (hours && minutes >= hours.open && minutes < hours.close) {
+      return {
+        isOpen: true,
+        closesAt: { isoDate, minutes: hours.close },
+      };
+    }
+
+    return {
+      isOpen: false,
+      opensAt: getNextOpening(isoDate, minutes),
+      closedFor: override && override.closed ? override.labelKey : '',
+    };
+  }
+
+  return Object.freeze({
+    timeZone,
+    weekly,
+    getHoursOn,
+    getNextOpening,
+    getStatus,
+    isOpenAt: date => getStatus(date).isOpen,
+    now: () => getZonedDateParts(new Date(), timeZone),
+  });
+}
+
+/**
+ * Get the calendar date and time of day for a moment in a time zone
+ * @param {Date} date - Moment in time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} isoDate (YYYY-MM-DD) and minutes after midnight
+ */
+function getZonedDateParts(date, timeZone) {
+  const parts = {};
+
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} isoDate - Calendar date
+ * @param {number} days - Days to add
+ * @returns {string} New calendar date
+ */
+function addDaysToISODate(isoDate, days) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday of a YYYY-MM-DD date
+ * @param {string} isoDate - Calendar date
+ * @returns {number} Weekday (0 = Sunday)
+ */
+function getWeekdayOf(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Format minutes after midnight as a clock time, e.g. "8:00 PM"
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Formatted time
+ */
+function formatClockTime(minutes) {
+  return new Date(Date.UTC(1970, 0, 1, 0, minutes)).toLocaleTimeString(getIntlLocale(), {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Format a YYYY-MM-DD date as a short weekday, e.g. "Sat"
+ * @param {string} isoDate - Calendar date
+ * @returns {string} Short weekday name
+ */
+function formatShortWeekday(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(getIntlLocale(), {
+    weekday: 'short',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Describe a schedule status, e.g. "Open · closes 8:00 PM"
+ * @param {Object} status - Status from the business schedule
+ * @returns {string} Status text
+ */
+function describeHoursStatus(status) {
+  if (status.isOpen) {
+    return t('hours.openUntil', { time: formatClockTime(status.closesAt.minutes) });
+  }
+
+  const closed = status.closedFor
+    ? t('hours.closedFor', { holiday: t(status.closedFor) })
+    : t('hours.closed');
+
+  if (!status.opensAt) {
+    return closed;
+  }
+
+  const { isoDate, minutes, dayOffset } = status.opensAt;
+  const time = formatClockTime(minutes);
+
+  return dayOffset === 0
+    ? t('hours.opensToday', { status: closed, time })
+    : t('hours.opensOn', { status: closed, day: formatShortWeekday(isoDate), time });
+}
+
+/**
+ * Create status badges in the header and next to the business hours
+ * @returns {HTMLElement[]} Badge elements
+ */
+function createHoursStatusBadges() {
+  const badges = [];
+  const headerContainer = document.querySelector('.header-container');
+  const hoursList = document.querySelector(SELECTORS.BUSINESS_HOURS);
+
+  addHoursStatusStyles();
+
+  if (headerContainer) {
+    const badge = createHoursStatusBadge('hours-status-header');
+    const logo = headerContainer.querySelector('.logo');
+    headerContainer.insertBefore(badge, logo ? logo.nextSibling : headerContainer.firstChild);
+    badges.push(badge);
+  }
+
+  if (hoursList) {
+    const badge = createHoursStatusBadge('hours-status-inline');
+    hoursList.parentElement.insertBefore(badge, hoursList);
+    badges.push(badge);
+  }
+
+  return badges;
+}
+
+/**
+ * Create a single status badge
+ * @param {string} modifier - Placement modifier class
+ * @returns {HTMLElement} Badge element
+ */
+function createHoursStatusBadge(modifier) {
+  const badge = document.createElement('p');
+  badge.className = `hours-status ${modifier}`;
+  return badge;
+}
+
+/**
+ * Update badges with the current status
+ * @param {HTMLElement[]} badges - Badge elements
+ * @param {Object} status - Status from the business schedule
+ */
+function renderHoursStatus(badges, status) {
+  const text = describeHoursStatus(status);
+
+  badges.forEach(badge => {
+    badge.textContent = text;
+    badge.classList.toggle(CLASSES.HOURS_OPEN, status.isOpen);
+    badge.classList.toggle(CLASSES.HOURS_CLOSED, !status.isOpen);
+  });
+}
+
+/**
+ * Schedule the next refresh at the start of the next minute
+ * @param {Function} refresh - Refresh callback
+ */
+function scheduleHoursRefresh(refresh) {
+  clearTimeout(hoursRefreshTimer);
+
+  const now = new Date();
+  const delay = (60 - now.getSeconds()) * 1000 - now.getMilliseconds();
+
+  hoursRefreshTimer = setTimeout(refresh, delay);
+}
+
+/**
+ * Add status badge styles dynamically
+ */
+function addHoursStatusStyles() {
+  if (document.getElementById('hours-status-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'hours-status-styles';
+  style.textContent = `
+    .hours-status {
+      display: inline-flex;
+      align-items: center;
+      gap: 0.5rem;
+      font-size: 0.875rem;
+      font-weight: 600;
+      color: var(--color-gray-700, #374151);
+    }
+
+    .hours-status::before {
+      content: '';
+      width: 0.5rem;
+      height: 0.5rem;
+      border-radius: 50%;
+      background-color: var(--color-gray-400, #9ca3af);
+    }
+
+    .hours-status.is-open::before {
+      background-color: var(--color-success-600, #16a34a);
+    }
+
+    .hours-status.is-closed::before {
+      background-color: var(--color-error-600, #dc2626);
+    }
+
+    .hours-status-inline {
+      margin-bottom: 1rem;
+    }
+
+    @media (min-width: 768px) {
+      .hours-status-header {
+        margin-left: auto;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const businessHours = defineFeature(initBusinessHours);
+
+// ============================================
+// Price Estimator
+// ============================================
+
+/**
+ * Map estimator sections to the booking form services they imply
+ */
+const ESTIMATE_SERVICE_MAP = Object.freeze({
+  washAndFold: 'wash-and-fold',
+  dryCleaning: 'dry-cleaning',
+  alterations: 'alterations-and-repairs',
+  express: 'express-service',
+  delivery: 'pickup-and-delivery',
+});
+
+/**
+ * Initialize the price estimator
+ */
+function initPriceEstimator(cleanup) {
+  try {
+    const container = document.querySelector(SELECTORS.PRICE_ESTIMATOR);
+
+    if (!container) {
+      return;
+    }
+
+    // Restore the no-JavaScript fallback on destroy
+    const fallback = Array.from(container.childNodes);
+    cleanup.add(() => container.replaceChildren(...fallback));
+
+    renderPriceEstimator(container);
+
+    // Delegated so the listeners survive re-rendering on a language switch
+    cleanup.listen(container, 'input', () => updateEstimate(container));
+    cleanup.listen(container, 'change', () => updateEstimate(container));
+    cleanup.listen(container, 'submit', event => event.preventDefault());
+    cleanup.listen(container, 'click', event => {
+      if (event.target.closest(SELECTORS.ESTIMATE_BOOK)) {
+        bookEstimate(container);
+      }
+    });
+
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => renderPriceEstimator(container));
+  } catch (error) {
+    logError('Price estimator initialization', error);
+  }
+}
+
+/**
+ * Render the estimator in the current locale, keeping any entered values
+ * @param {HTMLElement} container - Estimator container
+ */
+function renderPriceEstimator(container) {
+  const previousForm = container.querySelector('form');
+  const form = createEstimatorForm(PRICE_TABLE);
+
+  if (previousForm) {
+    Array.from(previousForm.elements).forEach(previous => {
+      const input = form.elements[previous.name];
+
+      if (!input) {
+        return;
+      }
+
+      if (isCheckable(input)) {
+        input.checked = previous.checked;
+      } else {
+        input.value = previous.value;
+      }
+    });
+  }
+
+  container.replaceChildren(form, createEstimateSummary());
+  updateEstimate(container);
+}
+
+/**
+ * Format an amount as currency
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted amount, e.g. "$12.50"
+ */
+function formatCurrency(amount) {
+  return new Intl.NumberFormat(getIntlLocale(), {
+    style: 'currency',
+    currency: PRICE_TABLE.currency,
+  }).format(amount);
+}
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Build the estimator inputs from the price table
+ * @param {Object} table - Price table
+ * @returns {HTMLFormElement} Estimator form
+ */
+function createEstimatorForm(table) {
+  const form = document.createElement('form');
+  form.className = 'estimator-form';
+  form.noValidate = true;
+
+  const itemLabel = item => t('estimator.itemPrice', {
+    item: t(item.labelKey),
+    price: formatCurrency(item.price),
+  });
+
+  const washAndFold = createEstimatorGroup(t(table.washAndFold.labelKey));
+  washAndFold.append(createEstimatorInput({
+    name: 'washAndFold',
+    label: t('estimator.pounds', {
+      price: formatCurrency(table.washAndFold.pricePerPound),
+      minimum: formatCurrency(table.washAndFold.minimum),
+    }),
+    step: '0.5',
+  }));
+
+  const dryCleaning = createEstimatorGroup(t(table.dryCleaning.labelKey));
+  table.dryCleaning.items.forEach(item => {
+    dryCleaning.append(createEstimatorInput({
+      name: `dryCleaning.${item.id}`,
+      label: itemLabel(item),
+      step: '1',
+    }));
+  });
+
+  const alterations = createEstimatorGroup(t(table.alterations.labelKey));
+  table.alterations.items.forEach(item => {
+    alterations.append(createEstimatorInput({
+      name: `alterations.${item.id}`,
+      label: itemLabel(item),
+      step: '1',
+    }));
+  });
+
+  const extras = createEstimatorGroup(t('estimator.extras'));
+  const expressLabel = t('estimator.expressOption', {
+    label: t(table.express.labelKey),
+    percent: Math.round((table.express.multiplier - 1) * 100),
+  });
+  const deliveryLabel = t('estimator.deliveryOption', {
+    label: t(table.delivery.labelKey),
+    price: formatCurrency(table.delivery.fee),
+  });
+  extras.append(
+    createEstimatorCheckbox('express', expressLabel, false),
+    createEstimatorCheckbox('delivery', deliveryLabel, true)
+  );
+
+  form.append(washAndFold, dryCleaning, alterations, extras);
+  return form;
+}
+
+/**
+ * Create a labelled group of estimator inputs
+ * @param {string} legendText - Group legend
+ * @returns {HTMLFieldSetElement} Fieldset
+ */
+function createEstimatorGroup(legendText) {
+  const fieldset = document.createElement('fieldset');
+  fieldset.className = 'estimator-group';
+
+  const legend = document.createElement('legend');
+  legend.textContent = legendText;
+  fieldset.append(legend);
+
+  return fieldset;
+}
+
+/**
+ * Create a quantity input
+ * @param {Object} options - Input options
+ * @param {string} options.name - Input name
+ * @param {string} options.label - Label text
+ * @param {string} options.step - Step attribute
+ * @returns {HTMLLabelElement} Label wrapping the input
+ */
+function createEstimatorInput({ name, label, step }) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'estimator-field';
+
+  const text = document.createElement('span');
+  text.textContent = label;
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.name = name;
+  input.min = '0';
+  input.step = step;
+  input.inputMode = step === '1' ? 'numeric' : 'decimal';
+  input.placeholder = '0';
+
+  wrapper.append(text, input);
+  return wrapper;
+}
+
+/**
+ * Create an extras checkbox
+ * @param {string} name - Input name
+ * @param {string} label - Label text
+ * @param {boolean} checked - Initial state
+ * @returns {HTMLLabelElement} Label wrapping the checkbox
+ */
+function createEstimatorCheckbox(name, label, checked) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'estimator-option';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.name = name;
+  input.checked = checked;
+
+  wrapper.append(input, ` ${label}`);
+  return wrapper;
+}
+
+/**
+ * Create the itemized estimate summary
+ * @returns {HTMLElement} Summary element
+ */
+function createEstimateSummary() {
+  const summary = document.createElement('div');
+  summary.className = 'estimate-summary';
+  summary.innerHTML = `
+    <h3 class="estimate-title" data-i18n="estimator.summaryTitle"></h3>
+    <ul class="estimate-lines" role="list"></ul>
+    <p class="estimate-total">
+      <span data-i18n="estimator.total"></span>
+      <output aria-live="polite"></output>
+    </p>
+    <p class="estimate-note" data-i18n="estimator.note"></p>
+    <button type="button" class="booking-button booking-button-primary" data-estimate-book data-analytics-cta="estimate-book" data-i18n="estimator.book"></button>
+  `;
+  applyTranslations(summary);
+  return summary;
+}
+
+/**
+ * Read the estimator inputs
+ * @param {HTMLFormElement} form - Estimator form
+ * @returns {Object} Selection of pounds, item quantities and extras
+ */
+function readEstimateSelection(form) {
+  const quantity = name => {
+    const input = form.elements[name];
+    const value = input ? Number(input.value) : 0;
+    return Number.isFinite(value) && value > 0 ? value : 0;
+  };
+
+  const items = group => PRICE_TABLE[group].items.reduce((quantities, item) => {
+    quantities[item.id] = Math.floor(quantity(`${group}.${item.id}`));
+    return quantities;
+  }, {});
+
+  return {
+    washAndFold: quantity('washAndFold'),
+    dryCleaning: items('dryCleaning'),
+    alterations: items('alterations'),
+    express: form.elements.express.checked,
+    delivery: form.elements.delivery.checked,
+  };
+}
+
+/**
+ * Calculate an itemized estimate
+ * @param {Object} selection - Selection from readEstimateSelection
+ * @param {Object} table - Price table
+ * @returns {Object} Line items, subtotal and total
+ */
+function calculateEstimate(selection, table) {
+  const lines = [];
+
+  if (selection.washAndFold > 0) {
+    const { pricePerPound, minimum } = table.washAndFold;
+    const weightPrice = selection.washAndFold * pricePerPound;
+    const detail = t('estimator.weightDetail', {
+      weight: selection.washAndFold.toLocaleString(getIntlLocale()),
+      price: formatCurrency(pricePerPound),
+    });
+
+    lines.push({
+      key: 'washAndFold',
+      label: t(table.washAndFold.labelKey),
+      detail: weightPrice < minimum ? t('estimator.minimumDetail', { detail }) : detail,
+      amount: roundCurrency(Math.max(weightPrice, minimum)),
+    });
+  }
+
+  ['dryCleaning', 'alterations'].forEach(group => {
+    table[group].items.forEach(item => {
+      const count = selection[group][item.id];
+
+      if (count > 0) {
+        lines.push({
+          key: group,
+          label: t('estimator.groupItem', { group: t(table[group].labelKey), item: t(item.labelKey) }),
+          detail: t('estimator.countDetail', { count, price: formatCurrency(item.price) }),
+          amount: roundCurrency(count * item.price),
+        });
+      }
+    });
+  });
+
+  const cleaningSubtotal = roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  if (selection.express && cleaningSubtotal > 0) {
+    lines.push({
+      key: 'express',
+      label: t(table.express.labelKey),
+      detail: t('estimator.percentDetail', { percent: Math.round((table.express.multiplier - 1) * 100) }),
+      amount: roundCurrency(cleaningSubtotal * (table.express.multiplier - 1)),
+    });
+  }
+
+  if (selection.delivery && cleaningSubtotal > 0) {
+    lines.push({
+      key: 'delivery',
+      label: t(table.delivery.labelKey),
+      detail: '',
+      amount: table.delivery.fee,
+    });
+  }
+
+  return {
+    lines,
+    subtotal: cleaningSubtotal,
+    total: roundCurrency(lines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+}
+
+/**
+ * Recalculate and render the estimate
+ * @param {HTMLElement} container - Estimator container
+ * @returns {Object} Current estimate
+ */
+function updateEstimate(container) {
+  const form = container.querySelector('form');
+  const estimate = calculateEstimate(readEstimateSelection(form), PRICE_TABLE);
+  const list = container.querySelector('.estimate-lines');
+
+  list.replaceChildren(...estimate.lines.map(line => {
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    label.className = 'estimate-line-label';
+    label.textContent = line.label;
+
+    if (line.detail) {
+      const detail = document.createElement('small');
+      detail.textContent = line.detail;
+      label.append(detail);
+    }
+
+    const amount = document.createElement('span');
+    amount.className = 'estimate-line-amount';
+    amount.textContent = formatCurrency(line.amount);
+
+    item.append(label, amount);
+    return item;
+  }));
+
+  if (!estimate.lines.length) {
+    const empty = document.createElement('li');
+    empty.className = 'estimate-empty';
+    empty.textContent = t('estimator.empty');
+    list.append(empty);
+  }
+
+  container.querySelector('.estimate-total output').textContent = formatCurrency(estimate.total);
+  container.querySelector(SELECTORS.ESTIMATE_BOOK).disabled = estimate.total === 0;
+
+  return estimate;
+}
+
+/**
+ * Hand the current estimate to the booking form and take the visitor there
+ * @param {HTMLElement} container - Estimator container
+ */
+function bookEstimate(container) {
+  try {
+    const bookingForm = document.querySelector(SELECTORS.CONTACT_FORM);
+
+    if (!bookingForm) {
+      return;
+    }
+
+    const estimate = updateEstimate(container);
+    const services = new Set(estimate.lines.map(line => ESTIMATE_SERVICE_MAP[line.key]));
+
+    bookingForm.querySelectorAll('input[name="services"]').forEach(input => {
+      if (services.has(input.value)) {
+        input.checked = true;
+      }
+    });
+
+    const estimateField = bookingForm.elements.estimate;
+    if (estimateField) {
+      estimateField.value = describeEstimate(estimate);
+    }
+
+    showBookingForm(bookingForm);
+  } catch (error) {
+    logError('Price estimate hand-off', error);
+  }
+}
+
+/**
+ * Describe an estimate as plain text for the booking request
+ * @param {Object} estimate - Estimate from calculateEstimate
+ * @returns {string} One line per item followed by the total
+ */
+function describeEstimate(estimate) {
+  const lines = estimate.lines.map(line => {
+    const detail = line.detail ? ` (${line.detail})` : '';
+    return `${line.label}${detail}: ${formatCurrency(line.amount)}`;
+  });
+
+  lines.push(t('estimator.totalLine', { total: formatCurrency(estimate.total) }));
+  return lines.join('\n');
+}
+
+export const priceEstimator = defineFeature(initPriceEstimator);
+
+// ============================================
+// Service Details Dialog
+// ============================================
+
+const SERVICE_HASH_PREFIX = '#services/';
+
+let serviceDialog = null;
+let serviceDialogId = '';
+let serviceDialogOpener = null;
+
+/**
+ * Initialize the service details dialog, opened from the service cards
+ * or a deep link such as "#services/dry-cleaning"
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initServiceDetails(cleanup) {
+  try {
+    if (!document.querySelector(SELECTORS.SERVICE_CARD)) {
+      return;
+    }
+
+    addServiceDialogStyles();
+    serviceDialog = createServiceDialog();
+    document.body.append(serviceDialog);
+
+    cleanup.add(() => {
+      closeServiceDialog({ returnFocus: false, updateHistory: false });
+      serviceDialog.remove();
+      serviceDialog = null;
+      removeStyles('service-dialog-styles');
+    });
+
+    const updateCards = () => {
+      document.querySelectorAll(SELECTORS.SERVICE_CARD).forEach(prepareServiceCard);
+      refreshServiceDialog();
+    };
+
+    updateCards();
+    cleanup.add(() => {
+      document.querySelectorAll(SELECTORS.SERVICE_CARD).forEach(resetServiceCard);
+    });
+
+    cleanup.listen(document, 'click', handleServiceCardClick);
+    cleanup.listen(document, 'keydown', handleServiceCardKeydown);
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, updateCards);
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, updateCards);
+    cleanup.listen(window, 'popstate', syncServiceDialogWithHash);
+    cleanup.listen(window, 'hashchange', syncServiceDialogWithHash);
+
+    syncServiceDialogWithHash();
+  } catch (error) {
+    logError('Service details initialization', error);
+  }
+}
+
+/**
+ * Expose a service card as a button that opens its dialog
+ * @param {HTMLElement} card - Service card
+ */
+function prepareServiceCard(card) {
+  const title = card.querySelector('h3');
+
+  card.setAttribute('role', 'button');
+  card.setAttribute('aria-haspopup', 'dialog');
+  card.setAttribute('aria-label', t('serviceDialog.openLabel', {
+    service: title ? title.textContent.trim() : card.dataset.service,
+  }));
+}
+
+/**
+ * Return a service card to plain markup
+ * @param {HTMLElement} card - Service card
+ */
+function resetServiceCard(card) {
+  card.removeAttribute('role');
+  card.removeAttribute('aria-haspopup');
+  card.removeAttribute('aria-label');
+}
+
+/**
+ * Find the card for a service
+ * @param {string} id - Service id
+ * @returns {HTMLElement|undefined} Service card
+ */
+function findServiceCard(id) {
+  return Array.from(document.querySelectorAll(SELECTORS.SERVICE_CARD))
+    .find(card => card.dataset.service === id);
+}
+
+/**
+ * Open the dialog for a clicked service card
+ * @param {MouseEvent} event - Click event
+ */
+function handleServiceCardClick(event) {
+  const card = event.target.closest(SELECTORS.SERVICE_CARD);
+
+  if (card && !event.target.closest('a, button')) {
+    openServiceDialog(card.dataset.service, card);
+  }
+}
+
+/**
+ * Open the dialog with Enter or Space on a focused service card
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleServiceCardKeydown(event) {
+  if ((event.key === 'Enter' || event.key === ' ') && event.target.matches(SELECTORS.SERVICE_CARD)) {
+    event.preventDefault();
+    openServiceDialog(event.target.dataset.service, event.target);
+  }
+}
+
+/**
+ * Open or close the dialog to match the URL hash
+ */
+function syncServiceDialogWithHash() {
+  const hashId = decodeHashId();
+  const prefix = SERVICE_HASH_PREFIX.slice(1);
+  const id = hashId.startsWith(prefix) ? hashId.slice(prefix.length) : '';
+
+  if (id && id !== serviceDialogId) {
+    openServiceDialog(id, findServiceCard(id), { updateHistory: false });
+  } else if (!id && serviceDialogId) {
+    closeServiceDialog({ updateHistory: false });
+  }
+}
+
+/**
+ * Get everything the dialog shows about a service
+ * Uses the site content file, falling back to the text on the service card
+ * @param {string} id - Service id
+ * @returns {Promise<Object|null>} Service details, or null if the service is unknown
+ */
+async function getServiceDetails(id) {
+  const content = await getSiteContent();
+  const service = content && content.services && content.services.find(item => item.id === id);
+
+  if (service) {
+    return service;
+  }
+
+  const card = findServiceCard(id);
+
+  if (!card) {
+    return null;
+  }
+
+  const title = card.querySelector('h3');
+  const description = card.querySelector('.service-content p');
+
+  return {
+    id,
+    title: title ? title.textContent.trim() : id,
+    description: description ? description.textContent.trim() : '',
+  };
+}
+
+/**
+ * Open the service details dialog
+ * @param {string} id - Service id
+ * @param {HTMLElement} [opener] - Element to return focus to on close
+ * @param {Object} [options] - Open options
+ * @param {boolean} [options.updateHistory=true] - Add the service's deep link to history
+ */
+async function openServiceDialog(id, opener, { updateHistory = true } = {}) {
+  try {
+    const service = await getServiceDetails(id);
+
+    if (!service || !serviceDialog) {
+      return;
+    }
+
+    const wasOpen = Boolean(serviceDialogId);
+    serviceDialogId = id;
+    serviceDialogOpener = opener || document.activeElement;
+    renderServiceDialog(service);
+
+    if (!wasOpen) {
+      if (typeof serviceDialog.showModal === 'function') {
+        serviceDialog.showModal();
+      } else {
+        serviceDialog.setAttribute('open', '');
+      }
+      document.body.classList.add(CLASSES.SERVICE_DIALOG_SCROLL_LOCK);
+    }
+
+    const hash = `${SERVICE_HASH_PREFIX}${encodeURIComponent(id)}`;
+    if (updateHistory && location.hash !== hash) {
+      history.pushState(null, '', hash);
+    }
+
+    serviceDialog.querySelector('[data-service-dialog-close]').focus();
+  } catch (error) {
+    logError('Service dialog', error);
+  }
+}
+
+/**
+ * Close the service details dialog
+ * @param {Object} [options] - Close options
+ * @param {boolean} [options.returnFocus=true] - Move focus back to the service card
+ * @param {boolean} [options.updateHistory=true] - Drop the service from the URL hash
+ */
+function closeServiceDialog({ returnFocus = true, updateHistory = true } = {}) {
+  if (!serviceDialog || !serviceDialogId) {
+    return;
+  }
+
+  if (typeof serviceDialog.close === 'function') {
+    serviceDialog.close();
+  } else {
+    serviceDialog.removeAttribute('open');
+  }
+  document.body.classList.remove(CLASSES.SERVICE_DIALOG_SCROLL_LOCK);
+
+  if (updateHistory && location.hash.startsWith(SERVICE_HASH_PREFIX)) {
+    history.replaceState(history.state, '', '#services');
+  }
+
+  // The card may have been re-rendered while the dialog was open
+  const target = findServiceCard(serviceDialogId) || serviceDialogOpener;
+  serviceDialogId = '';
+  serviceDialogOpener = null;
+
+  if (returnFocus && target && target.isConnected) {
+    target.focus();
+  }
+}
+
+/**
+ * Re-render the open dialog, e.g. after a language switch
+ */
+function refreshServiceDialog() {
+  if (!serviceDialogId) {
+    return;
+  }
+
+  const id = serviceDialogId;
+
+  getServiceDetails(id).then(service => {
+    if (service && serviceDialogId === id) {
+      renderServiceDialog(service);
+    }
+  });
+}
+
+/**
+ * Build the dialog shell; renderServiceDialog() fills it in
+ * @returns {HTMLDialogElement} Dialog element
+ */
+function createServiceDialog() {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'service-dialog';
+  dialog.setAttribute('aria-labelledby', 'service-dialog-title');
+  dialog.setAttribute('aria-describedby', 'service-dialog-description');
+  dialog.innerHTML = `
+    <div class="service-dialog-header">
+      <h2 id="service-dialog-title" class="service-dialog-title"></h2>
+      <button type="button" class="service-dialog-close" data-service-dialog-close data-i18n-attr="aria-label:serviceDialog.close">
+        <span aria-hidden="true">&times;</span>
+      </button>
+    </div>
+    <p id="service-dialog-description" class="service-dialog-description"></p>
+    <dl class="service-dialog-facts"></dl>
+    <div class="service-dialog-care">
+      <h3 data-i18n="serviceDialog.care"></h3>
+      <ul></ul>
+    </div>
+    <div class="service-dialog-actions">
+      <button type="button" class="service-dialog-book" data-service-book data-analytics-cta="service-book" data-i18n="serviceDialog.book"></button>
+    </div>
+  `;
+  applyTranslations(dialog);
+
+  dialog.addEventListener('click', event => {
+    if (event.target.closest('[data-service-dialog-close]') || event.target === dialog) {
+      // A click on the dialog element itself landed on the backdrop
+      closeServiceDialog();
+    } else if (event.target.closest('[data-service-book]')) {
+      bookService(serviceDialogId);
+    }
+  });
+
+  dialog.addEventListener('cancel', event => {
+    event.preventDefault();
+    closeServiceDialog();
+  });
+
+  dialog.addEventListener('keydown', handleServiceDialogKeydown);
+
+  return dialog;
+}
+
+/**
+ * Fill the dialog in for a service
+ * @param {Object} service - Service details
+ */
+function renderServiceDialog(service) {
+  const details = service.details || {};
+  const startingPrice = service.startingPrice !== undefined
+    ? t('services.startingAt', { price: formatCurrency(service.startingPrice) })
+    : undefined;
+
+  serviceDialog.querySelector('.service-dialog-title').textContent = localizeContent(service.title);
+  serviceDialog.querySelector('.service-dialog-description').textContent =
+    localizeContent(details.description || service.description);
+
+  const facts = [
+    ['serviceDialog.turnaround', details.turnaround],
+    ['serviceDialog.pricing', details.pricing || startingPrice],
+  ].filter(([, value]) => value !== undefined);
+
+  const factList = serviceDialog.querySelector('.service-dialog-facts');
+  factList.replaceChildren(...facts.flatMap(([labelKey, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = t(labelKey);
+
+    const description = document.createElement('dd');
+    description.textContent = localizeContent(value);
+
+    return [term, description];
+  }));
+  factList.hidden = !facts.length;
+
+  const care = details.care || [];
+  const careSection = serviceDialog.querySelector('.service-dialog-care');
+  careSection.querySelector('ul').replaceChildren(...care.map(note => {
+    const item = document.createElement('li');
+    item.textContent = localizeContent(note);
+    return item;
+  }));
+  careSection.hidden = !care.length;
+}
+
+/**
+ * Handle Escape and keep Tab and Shift+Tab inside the open dialog
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleServiceDialogKeydown(event) {
+  // Browsers with showModal() fire 'cancel' on Escape instead
+  if (event.key === 'Escape' && typeof serviceDialog.showModal !== 'function') {
+    event.preventDefault();
+    closeServiceDialog();
+    return;
+  }
+
+  if (event.key !== 'Tab') {
+    return;
+  }
+
+  const focusable = Array.from(serviceDialog.querySelectorAll('a[href], button:not([disabled])'))
+    .filter(element => !element.closest('[hidden]'));
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+
+  if (!focusable.includes(active)) {
+    event.preventDefault();
+    first.focus();
+  } else if (event.shiftKey && active === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+/**
+ * Preselect a service in the booking form and take the visitor there
+ * @param {string} id - Service id
+ */
+function bookService(id) {
+  try {
+    closeServiceDialog({ returnFocus: false });
+
+    const bookingForm = document.querySelector(SELECTORS.CONTACT_FORM);
+
+    if (!bookingForm) {
+      return;
+    }
+
+    bookingForm.querySelectorAll('input[name="services"]').forEach(input => {
+      if (input.value === id) {
+        input.checked = true;
+      }
+    });
+
+    showBookingForm(bookingForm);
+  } catch (error) {
+    logError('Service booking hand-off', error);
+  }
+}
+
+/**
+ * Add service dialog styles dynamically
+ */
+function addServiceDialogStyles() {
+  if (document.getElementById('service-dialog-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'service-dialog-styles';
+  style.textContent = `
+    .service-card[role="button"] {
+      cursor: pointer;
+    }
+
+    .service-card[role="button"]:focus-visible {
+      outline: 3px solid var(--color-primary-600, #1e40af);
+      outline-offset: 3px;
+    }
+
+    body.service-dialog-scroll-lock {
+      overflow: hidden;
+    }
+
+    .service-dialog {
+      width: min(40rem, calc(100% - 2rem));
+      max-height: calc(100% - 2rem);
+      overflow-y: auto;
+      padding: 1.5rem;
+      border: none;
+      border-radius: 0.75rem;
+      background-color: var(--color-white, #ffffff);
+      color: var(--color-gray-800, #1f2937);
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+    }
+
+    .service-dialog[open]:not(:modal) {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      z-index: 1002;
+      transform: translate(-50%, -50%);
+    }
+
+    .service-dialog::backdrop {
+      background-color: rgba(17, 24, 39, 0.6);
+    }
+
+    .service-dialog-header {
+      display: flex;
+      align-items: flex-start;
+      justify-content: space-between;
+      gap: 1rem;
+      margin-bottom: 1rem;
+    }
+
+    .service-dialog-title {
+      font-size: 1.5rem;
+      color: var(--color-primary-600, #1e40af);
+    }
+
+    .service-dialog-close {
+      flex-shrink: 0;
+      width: 2.5rem;
+      height: 2.5rem;
+      font-size: 1.75rem;
+      line-height: 1;
+      background: transparent;
+      border: none;
+      border-radius: 0.5rem;
+      color: var(--color-gray-600, #4b5563);
+      cursor: pointer;
+    }
+
+    .service-dialog-close:focus-visible,
+    .service-dialog-book:focus-visible {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+    }
+
+    .service-dialog-facts {
+      display: grid;
+      grid-template-columns: max-content 1fr;
+      gap: 0.5rem 1rem;
+      margin: 1.25rem 0;
+    }
+
+    .service-dialog-facts dt {
+      font-weight: 600;
+    }
+
+    .service-dialog-care h3 {
+      font-size: 1rem;
+      margin-bottom: 0.5rem;
+    }
+
+    .service-dialog-care ul {
+      padding-left: 1.25rem;
+      list-style: disc;
+    }
+
+    .service-dialog-actions {
+      display: flex;
+      justify-content: flex-end;
+      margin-top: 1.5rem;
+    }
+
+    .service-dialog-book {
+      font: inherit;
+      font-weight: 600;
+      padding: 0.75rem 1.5rem;
+      border: none;
+      border-radius: 0.5rem;
+      background-color: var(--color-primary-600, #1e40af);
+      color: var(--color-white, #ffffff);
+      cursor: pointer;
+    }
+
+    @media (max-width: 767px) {
+      .service-dialog-facts {
+        grid-template-columns: 1fr;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const serviceDetails = defineFeature(initServiceDetails);
+
+// ============================================
+// Order Status Tracker
+// ============================================
+
+/**
+ * Order steps in the order they happen, with their timeline labels
+ */
+const ORDER_STEPS = Object.freeze([
+  Object.freeze({ id: 'received', labelKey: 'tracker.stepReceived' }),
+  Object.freeze({ id: 'cleaning', labelKey: 'tracker.stepCleaning' }),
+  Object.freeze({ id: 'ready', labelKey: 'tracker.stepReady' }),
+  Object.freeze({ id: 'out-for-delivery', labelKey: 'tracker.stepOutForDelivery' }),
+  Object.freeze({ id: 'delivered', labelKey: 'tracker.stepDelivered' }),
+]);
+
+/**
+ * Initialize the order status tracker
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initOrderTracker(cleanup) {
+  try {
+    const container = document.querySelector(SELECTORS.ORDER_TRACKER);
+
+    if (!container) {
+      return;
+    }
+
+    // Restore the no-JavaScript fallback on destroy
+    const fallback = Array.from(container.childNodes);
+    cleanup.add(() => container.replaceChildren(...fallback));
+
+    const tracker = {
+      form: createOrderTrackerForm(),
+      result: document.createElement('div'),
+      query: null,
+      order: null,
+      pollTimer: null,
+      retryTimer: null,
+      controller: null,
+    };
+
+    tracker.result.className = 'order-status';
+    tracker.result.setAttribute('aria-live', 'polite');
+    container.replaceChildren(tracker.form, tracker.result);
+
+    cleanup.add(() => {
+      stopOrderTracking(tracker);
+      clearTimeout(tracker.retryTimer);
+    });
+
+    cleanup.listen(tracker.form, 'submit', event => {
+      event.preventDefault();
+      lookUpOrder(tracker);
+    });
+
+    tracker.form.querySelectorAll(SELECTORS.FORM_FIELDS).forEach(field => {
+      cleanup.listen(field, 'blur', validateField);
+      cleanup.listen(field, 'input', clearFieldError);
+    });
+
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => {
+      if (tracker.order) {
+        renderOrderStatus(tracker);
+      }
+    });
+
+    // Polling pauses in background tabs, so check again once visible
+    cleanup.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'visible' && tracker.query && isOrderActive(tracker.order)) {
+        pollOrderStatus(tracker);
+      }
+    });
+  } catch (error) {
+    logError('Order tracker initialization', error);
+  }
+}
+
+/**
+ * Build the lookup form. Labels carry data-i18n so a language switch
+ * translates them in place.
+ * @returns {HTMLFormElement} Tracker form
+ */
+function createOrderTrackerForm() {
+  const form = document.createElement('form');
+  form.id = 'order-tracker-form';
+  form.className = 'order-tracker-form';
+  form.noValidate = true;
+
+  const ticket = createOrderTrackerField({
+    id: 'tracker-ticket',
+    name: 'ticket',
+    labelKey: 'tracker.ticket',
+    hintKey: 'tracker.ticketHint',
+    pattern: '[A-Za-z]{2}-?\\d{4,6}',
+    messageKey: 'validation.ticket',
+  });
+  ticket.querySelector('input').autocapitalize = 'characters';
+
+  const phone = createOrderTrackerField({
+    id: 'tracker-phone',
+    name: 'phoneLast4',
+    labelKey: 'tracker.phoneLast4',
+    pattern: '\\d{4}',
+    messageKey: 'validation.phoneLast4',
+  });
+  const phoneInput = phone.querySelector('input');
+  phoneInput.inputMode = 'numeric';
+  phoneInput.maxLength = 4;
+
+  const actions = document.createElement('div');
+  actions.className = 'booking-actions';
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'booking-button booking-button-primary';
+  submit.dataset.i18n = 'tracker.submit';
+  submit.textContent = t('tracker.submit');
+  actions.append(submit);
+
+  form.append(ticket, phone, actions);
+  return form;
+}
+
+/**
+ * Create a labelled text field for the lookup form
+ * @param {Object} options - Field options
+ * @param {string} options.id - Input id
+ * @param {string} options.name - Input name
+ * @param {string} options.labelKey - Label message key
+ * @param {string} [options.hintKey] - Hint message key
+ * @param {string} options.pattern - Pattern attribute
+ * @param {string} options.messageKey - Message shown when the pattern fails
+ * @returns {HTMLElement} Field container
+ */
+function createOrderTrackerField({ id, name, labelKey, hintKey, pattern, messageKey }) {
+  const field = document.createElement('div');
+  field.className = 'form-field';
+
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.dataset.i18n = labelKey;
+  label.textContent = t(labelKey);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = id;
+  input.name = name;
+  input.autocomplete = 'off';
+  input.required = true;
+  input.pattern = pattern;
+  input.dataset.messagePattern = messageKey;
+
+  field.append(label, input);
+
+  if (hintKey) {
+    const hint = document.createElement('p');
+    hint.className = 'form-hint';
+    hint.id = `${id}-hint`;
+    hint.dataset.i18n = hintKey;
+    hint.textContent = t(hintKey);
+    input.setAttribute('aria-describedby', hint.id);
+    field.append(hint);
+  }
+
+  return field;
+}
+
+/**
+ * Validate the form and look up the order it describes
+ * @param {Object} tracker - Tracker state
+ */
+async function lookUpOrder(tracker) {
+  const { form } = tracker;
+
+  if (!validateForm(form)) {
+    showErrorSummary(form);
+    return;
+  }
+
+  clearErrorSummary(form);
+
+  if (form.getAttribute('aria-busy') === 'true') {
+    return;
+  }
+
+  stopOrderTracking(tracker);
+  tracker.query = {
+    ticket: normalizeTicket(form.elements.ticket.value),
+    phoneLast4: form.elements.phoneLast4.value.trim(),
+  };
+
+  setFormBusy(form, true);
+  tracker.result.replaceChildren();
+  showFormMessage(form, 'pending', t('tracker.loading'));
+
+  try {
+    const outcome = await requestOrderStatus(tracker);
+    handleOrderStatusOutcome(tracker, outcome);
+    trackEvent(ANALYTICS_EVENTS.ORDER_LOOKUP, {
+      outcome: outcome.state,
+      status: outcome.order ? outcome.order.status : null,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError' && !tracker.query) {
+      return;
+    }
+
+    logError('Order status lookup', error);
+    tracker.query = null;
+    showFormMessage(form, 'error', t('tracker.failed'));
+    trackEvent(ANALYTICS_EVENTS.ORDER_LOOKUP, { outcome: 'failed', status: null });
+  } finally {
+    // A rate limit keeps the form busy until its retry timer ends
+    if (!tracker.retryTimer) {
+      setFormBusy(form, false);
+    }
+  }
+}
+
+/**
+ * Show the result of a lookup and start polling active orders
+ * @param {Object} tracker - Tracker state
+ * @param {Object} outcome - Result of requestOrderStatus()
+ */
+function handleOrderStatusOutcome(tracker, outcome) {
+  const { form } = tracker;
+
+  if (outcome.state === 'found') {
+    clearFormMessage(form);
+    tracker.order = outcome.order;
+    renderOrderStatus(tracker);
+    scheduleOrderPoll(tracker, CONFIG.ORDER_STATUS_POLL_INTERVAL);
+    return;
+  }
+
+  tracker.query = null;
+
+  if (outcome.state === 'not-found') {
+    showFormMessage(form, 'error', t('tracker.notFound'));
+    return;
+  }
+
+  // Rate limited: keep the button disabled until lookups are allowed again
+  showFormMessage(form, 'error', t('tracker.rateLimited', { seconds: outcome.retryAfter }));
+  setFormBusy(form, true);
+  tracker.retryTimer = setTimeout(() => {
+    tracker.retryTimer = null;
+    setFormBusy(form, false);
+    clearFormMessage(form);
+  }, outcome.retryAfter * 1000);
+}
+
+/**
+ * Ask the status endpoint about the tracked order
+ * @param {Object} tracker - Tracker state
+ * @returns {Promise<Object>} `{ state: 'found', order }`, `{ state: 'not-found' }`
+ *   or `{ state: 'rate-limited', retryAfter }` (seconds)
+ */
+async function requestOrderStatus(tracker) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), CONFIG.ORDER_STATUS_TIMEOUT);
+  tracker.controller = controller;
+
+  try {
+    const response = await fetch(CONFIG.ORDER_STATUS_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify(tracker.query),
+      signal: controller.signal,
+    });
+
+    if (response.status === 404) {
+      return { state: 'not-found' };
+    }
+
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      return { state: 'rate-limited', retryAfter: retryAfter > 0 ? Math.ceil(retryAfter) : 60 };
+    }
+
+    if (!response.ok) {
+      throw new Error(`Status endpoint responded with ${response.status}`);
+    }
+
+    const order = await response.json();
+
+    if (!order || !ORDER_STEPS.some(step => step.id === order.status)) {
+      throw new Error(`Unknown order status: ${order && order.status}`);
+    }
+
+    return { state: 'found', order };
+  } finally {
+    clearTimeout(timeoutId);
+    if (tracker.controller === controller) {
+      tracker.controller = null;
+    }
+  }
+}
+
+/**
+ * Check an active order again after a delay
+ * @param {Object} tracker - Tracker state
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleOrderPoll(tracker, delay) {
+  clearTimeout(tracker.pollTimer);
+  tracker.pollTimer = null;
+
+  if (!isOrderActive(tracker.order)) {
+    return;
+  }
+
+  tracker.pollTimer = setTimeout(() => {
+    tracker.pollTimer = null;
+
+    // Skip hidden tabs; visibilitychange picks polling up again
+    if (document.visibilityState !== 'hidden') {
+      pollOrderStatus(tracker);
+    }
+  }, delay);
+}
+
+/**
+ * Refresh the tracked order, keeping the last known status on failure
+ * @param {Object} tracker - Tracker state
+ */
+async function pollOrderStatus(tracker) {
+  if (tracker.controller || !tracker.query) {
+    return;
+  }
+
+  clearTimeout(tracker.pollTimer);
+  tracker.pollTimer = null;
+
+  let delay = CONFIG.ORDER_STATUS_POLL_INTERVAL;
+
+  try {
+    const outcome = await requestOrderStatus(tracker);
+
+    if (outcome.state === 'found') {
+      // Re-render only on a change, so screen readers aren't interrupted
+      const changed = outcome.order.status !== tracker.order.status
+        || outcome.order.updatedAt !== tracker.order.updatedAt;
+      tracker.order = outcome.order;
+      if (changed) {
+        renderOrderStatus(tracker);
+      }
+    } else if (outcome.state === 'rate-limited') {
+      delay = Math.max(delay, outcome.retryAfter * 1000);
+    } else {
+      // The order was withdrawn since the first lookup
+      stopOrderTracking(tracker);
+      showFormMessage(tracker.form, 'error', t('tracker.notFound'));
+      return;
+    }
+  } catch (error) {
+    if (!tracker.query) {
+      return;
+    }
+    logError('Order status poll', error);
+  }
+
+  scheduleOrderPoll(tracker, delay);
+}
+
+/**
+ * Stop polling and drop the tracked order
+ * @param {Object} tracker - Tracker state
+ */
+function stopOrderTracking(tracker) {
+  clearTimeout(tracker.pollTimer);
+  tracker.pollTimer = null;
+  tracker.query = null;
+  tracker.order = null;
+
+  if (tracker.controller) {
+    tracker.controller.abort();
+    tracker.controller = null;
+  }
+
+  tracker.result.replaceChildren();
+}
+
+/**
+ * Check if an order still has steps to go
+ * @param {Object|null} order - Order from the status endpoint
+ * @returns {boolean} True until the order is delivered
+ */
+function isOrderActive(order) {
+  return Boolean(order) && order.status !== ORDER_STEPS[ORDER_STEPS.length - 1].id;
+}
+
+/**
+ * Normalize a ticket number to the printed form, e.g. "fc10234" to "FC-10234"
+ * @param {string} value - Entered ticket number
+ * @returns {string} Normalized ticket number
+ */
+function normalizeTicket(value) {
+  const compact = value.trim().toUpperCase().replace(/-/g, '');
+  return `${compact.slice(0, 2)}-${compact.slice(2)}`;
+}
+
+/**
+ * Render the tracked order as a step timeline
+ * @param {Object} tracker - Tracker state
+ */
+function renderOrderStatus(tracker) {
+  const { order, result } = tracker;
+  const currentIndex = ORDER_STEPS.findIndex(step => step.id === order.status);
+  const reachedAt = new Map((order.history || []).map(entry => [entry.status, entry.at]));
+
+  const title = document.createElement('h4');
+  title.className = 'order-status-title';
+  title.textContent = t('tracker.orderTitle', { ticket: order.ticket });
+
+  const summary = document.createElement('p');
+  summary.className = 'order-status-summary';
+  summary.textContent = t('tracker.currentStatus', { status: t(ORDER_STEPS[currentIndex].labelKey) });
+
+  const timeline = document.createElement('ol');
+  timeline.className = 'order-timeline';
+
+  ORDER_STEPS.forEach((step, index) => {
+    const item = document.createElement('li');
+    item.className = 'order-timeline-step';
+
+    if (index < currentIndex) {
+      item.classList.add('is-complete');
+    } else if (index === currentIndex) {
+      item.classList.add('is-current');
+      item.setAttribute('aria-current', 'step');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'order-timeline-label';
+    label.textContent = t(step.labelKey);
+    item.append(label);
+
+    if (index <= currentIndex && reachedAt.has(step.id)) {
+      const time = document.createElement('time');
+      time.className = 'order-timeline-time';
+      time.dateTime = reachedAt.get(step.id);
+      time.textContent = formatOrderTime(reachedAt.get(step.id));
+      item.append(time);
+    }
+
+    timeline.append(item);
+  });
+
+  result.replaceChildren(title, summary, timeline);
+
+  if (order.estimatedReadyAt && currentIndex < ORDER_STEPS.findIndex(step => step.id === 'ready')) {
+    const estimate = document.createElement('p');
+    estimate.className = 'form-hint';
+    estimate.textContent = t('tracker.estimatedReady', { time: formatOrderTime(order.estimatedReadyAt) });
+    result.append(estimate);
+  }
+
+  if (isOrderActive(order)) {
+    const note = document.createElement('p');
+    note.className = 'form-hint';
+    note.textContent = t('tracker.autoRefresh');
+    result.append(note);
+  }
+}
+
+/**
+ * Format a status timestamp for the timeline
+ * @param {string} value - ISO 8601 timestamp
+ * @returns {string} Localized day and time, e.g. "Tue 3:45 PM"
+ */
+function formatOrderTime(value) {
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    return '';
+  }
+
+  return new Intl.DateTimeFormat(getIntlLocale(), {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(date);
+}
+
+export const orderTracker = defineFeature(initOrderTracker);
+
+// ============================================
+// Service Area Checker
+// ============================================
+
+let serviceAreaZones = SERVICE_AREA;
+
+/**
+ * Initialize the pickup & delivery service-area checker
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initServiceArea(cleanup) {
+  try {
+    // Remember ZIP codes typed into any form so later forms can be prefilled
+    cleanup.listen(document, 'change', event => {
+      if (event.target.matches && event.target.matches(SELECTORS.POSTAL_CODE_FIELDS)) {
+        saveZip(event.target.value);
+      }
+    });
+
+    prefillZipFields();
+
+    const container = document.querySelector(SELECTORS.SERVICE_AREA);
+
+    if (!container) {
+      return;
+    }
+
+    // Restore the no-JavaScript fallback on destroy
+    const fallback = Array.from(container.childNodes);
+    cleanup.add(() => container.replaceChildren(...fallback));
+
+    const form = createServiceAreaForm();
+    const result = document.createElement('div');
+    result.className = 'service-area-result';
+    result.setAttribute('aria-live', 'polite');
+    container.replaceChildren(form, result);
+
+    let checkedZip = '';
+
+    const check = () => {
+      if (!validateForm(form)) {
+        showErrorSummary(form);
+        return;
+      }
+
+      clearErrorSummary(form);
+      checkedZip = form.elements.zip.value.trim().slice(0, 5);
+      saveZip(checkedZip);
+
+      const zone = findServiceZone(checkedZip);
+      renderServiceAreaResult(result, checkedZip);
+      trackEvent(ANALYTICS_EVENTS.SERVICE_AREA_CHECK, {
+        covered: Boolean(zone),
+        zone: zone ? zone.id : null,
+      });
+    };
+
+    cleanup.listen(form, 'submit', event => {
+      event.preventDefault();
+      check();
+    });
+    cleanup.listen(form.elements.zip, 'blur', validateField);
+    cleanup.listen(form.elements.zip, 'input', clearFieldError);
+
+    cleanup.listen(result, 'click', event => {
+      if (event.target.closest(SELECTORS.SERVICE_AREA_BOOK)) {
+        bookPickupWindow(checkedZip);
+      }
+    });
+
+    // Day names and prices follow the language; the content file may change the hours
+    const refresh = () => {
+      if (checkedZip) {
+        renderServiceAreaResult(result, checkedZip);
+      }
+    };
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, refresh);
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, refresh);
+
+    // Show the answer straight away for a returning customer
+    if (form.elements.zip.value) {
+      check();
+    }
+  } catch (error) {
+    logError('Service area initialization', error);
+  }
+}
+
+/**
+ * Replace the coverage table, e.g. with one loaded from a server
+ * @param {Object[]|null} zones - Zones shaped like SERVICE_AREA, or null for the built-in table
+ */
+function setServiceArea(zones) {
+  serviceAreaZones = zones || SERVICE_AREA;
+}
+
+/**
+ * Find the zone covering a ZIP code
+ * @param {string} zip - ZIP or ZIP+4 code
+ * @returns {Object|null} Zone, or null if the ZIP isn't served
+ */
+function findServiceZone(zip) {
+  const code = String(zip).trim().slice(0, 5);
+  return serviceAreaZones.find(zone => zone.zips.includes(code)) || null;
+}
+
+/**
+ * Find the next pickup window a zone can still be booked for
+ * A window must fall within opening hours on a day the zone is served,
+ * start at least CONFIG.PICKUP_LEAD_TIME minutes from now, and same-day
+ * windows close at the zone's cutoff time.
+ * @param {Object} zone - Zone from the coverage table
+ * @param {Date} [date=new Date()] - Moment to search from
+ * @returns {Object|null} isoDate, start and end minutes and slot value, or null if none within two weeks
+ */
+function findNextPickupWindow(zone, date = new Date()) {
+  const schedule = getBusinessSchedule();
+  const { isoDate, minutes } = getZonedDateParts(date, schedule.timeZone);
+  const earliest = minutes + CONFIG.PICKUP_LEAD_TIME;
+
+  for (let offset = 0; offset < 14; offset += 1) {
+    const day = addDaysToISODate(isoDate, offset);
+    const hours = schedule.getHoursOn(day);
+
+    if (!hours || !zone.days.includes(getWeekdayOf(day))) {
+      continue;
+    }
+
+    if (offset === 0 && zone.cutoff && minutes >= parseClockTime(zone.cutoff)) {
+      continue;
+    }
+
+    const slot = PICKUP_WINDOWS
+      .map(value => {
+        const [start, end] = value.split('-').map(parseClockTime);
+        return { value, start, end };
+      })
+      .find(({ start, end }) => (
+        start >= hours.open && end <= hours.close && (offset > 0 || start >= earliest)
+      ));
+
+    if (slot) {
+      return { isoDate: day, ...slot };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the ZIP code form
+ * @returns {HTMLFormElement} Checker form
+ */
+function createServiceAreaForm() {
+  const form = document.createElement('form');
+  form.id = 'service-area-form';
+  form.className = 'service-area-form';
+  form.noValidate = true;
+
+  const field = document.createElement('div');
+  field.className = 'form-field';
+
+  const label = document.createElement('label');
+  label.htmlFor = 'service-area-zip';
+  label.dataset.i18n = 'serviceArea.zip';
+  label.textContent = t('serviceArea.zip');
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = 'service-area-zip';
+  input.name = 'zip';
+  input.autocomplete = 'postal-code';
+  input.inputMode = 'numeric';
+  input.required = true;
+  input.dataset.rules = 'zip';
+  input.value = readSavedZip();
+
+  field.append(label, input);
+
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.className = 'booking-button booking-button-primary';
+  submit.dataset.i18n = 'serviceArea.check';
+  submit.textContent = t('serviceArea.check');
+
+  form.append(field, submit);
+  return form;
+}
+
+/**
+ * Show whether a ZIP code is served, with its fee, minimum order and next pickup
+ * @param {HTMLElement} result - Result container
+ * @param {string} zip - Five-digit ZIP code
+ */
+function renderServiceAreaResult(result, zip) {
+  const zone = findServiceZone(zip);
+  const verdict = document.createElement('p');
+  verdict.className = 'service-area-verdict';
+
+  if (!zone) {
+    verdict.classList.add('is-not-covered');
+    verdict.textContent = t('serviceArea.notCovered', { zip });
+
+    const dropOff = document.createElement('p');
+    dropOff.textContent = t('serviceArea.dropOff');
+
+    result.replaceChildren(verdict, dropOff);
+    return;
+  }
+
+  verdict.classList.add('is-covered');
+  verdict.textContent = t('serviceArea.covered', { zip });
+
+  const nextWindow = findNextPickupWindow(zone);
+  const details = document.createElement('dl');
+  details.className = 'service-area-details';
+
+  const addDetail = (termKey, description) => {
+    const term = document.createElement('dt');
+    term.textContent = t(termKey);
+    const value = document.createElement('dd');
+    value.textContent = description;
+    details.append(term, value);
+  };
+
+  addDetail('serviceArea.fee', zone.deliveryFee ? formatCurrency(zone.deliveryFee) : t('serviceArea.free'));
+  addDetail('serviceArea.minimum', formatCurrency(zone.minimumOrder));
+  addDetail('serviceArea.days', zone.days.map(formatWeekdayName).join(', '));
+  addDetail('serviceArea.nextPickup', nextWindow
+    ? t('serviceArea.window', {
+      day: formatPickupDate(nextWindow.isoDate),
+      start: formatClockTime(nextWindow.start),
+      end: formatClockTime(nextWindow.end),
+    })
+    : t('serviceArea.noWindow'));
+
+  result.replaceChildren(verdict, details);
+
+  if (nextWindow && document.querySelector(SELECTORS.CONTACT_FORM)) {
+    const book = document.createElement('button');
+    book.type = 'button';
+    book.className = 'booking-button';
+    book.dataset.serviceAreaBook = '';
+    book.textContent = t('serviceArea.book');
+    result.append(book);
+  }
+}
+
+/**
+ * Open the booking form prefilled with a ZIP code and its next pickup window
+ * @param {string} zip - Five-digit ZIP code
+ */
+function bookPickupWindow(zip) {
+  try {
+    const bookingForm = document.querySelector(SELECTORS.CONTACT_FORM);
+    const zone = findServiceZone(zip);
+
+    if (!bookingForm || !zone) {
+      return;
+    }
+
+    const nextWindow = findNextPickupWindow(zone);
+    const { zip: zipField, pickupDate, pickupSlot } = bookingForm.elements;
+
+    if (zipField) {
+      zipField.value = zip;
+    }
+
+    if (nextWindow && pickupDate && pickupSlot) {
+      pickupDate.value = nextWindow.isoDate;
+      pickupSlot.value = nextWindow.value;
+    }
+
+    const pickupService = bookingForm.querySelector('input[name="services"][value="pickup-and-delivery"]');
+    if (pickupService) {
+      pickupService.checked = true;
+    }
+
+    showBookingForm(bookingForm);
+  } catch (error) {
+    logError('Service area hand-off', error);
+  }
+}
+
+/**
+ * Read the ZIP code the customer last entered
+ * @returns {string} Saved ZIP code, or '' if none
+ */
+function readSavedZip() {
+  try {
+    return localStorage.getItem(CONFIG.ZIP_STORAGE_KEY) || '';
+  } catch (error) {
+    logError('ZIP code read', error);
+    return '';
+  }
+}
+
+/**
+ * Remember a ZIP code for prefilling later forms
+ * @param {string} value - Entered ZIP code; invalid values are ignored
+ */
+function saveZip(value) {
+  const zip = String(value).trim();
+
+  if (!zip || !VALIDATION_RULES.zip.test(zip)) {
+    return;
+  }
+
+  try {
+    localStorage.setItem(CONFIG.ZIP_STORAGE_KEY, zip.slice(0, 5));
+  } catch (error) {
+    logError('ZIP code write', error);
+  }
+}
+
+/**
+ * Fill empty postal code fields with the saved ZIP code
+ */
+function prefillZipFields() {
+  const zip = readSavedZip();
+
+  if (!zip) {
+    return;
+  }
+
+  document.querySelectorAll(SELECTORS.POSTAL_CODE_FIELDS).forEach(field => {
+    if (!field.value) {
+      field.value = zip;
+    }
+  });
+}
+
+/**
+ * Format a weekday number as a short name, e.g. 1 as "Mon"
+ * @param {number} weekday - Weekday (0 = Sunday)
+ * @returns {string} Short weekday name
+ */
+function formatWeekdayName(weekday) {
+  // 2023-01-01 was a Sunday
+  return formatShortWeekday(addDaysToISODate('2023-01-01', weekday));
+}
+
+export const serviceArea = defineFeature(initServiceArea);
+
+export { setServiceArea, findServiceZone, findNextPickupWindow };
+
+// ============================================
+// Testimonials Carousel
+// ============================================
+
+/**
+ * Horizontal distance in pixels a touch must travel to count as a swipe
+ */
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Initialize the testimonials carousel from the site content file
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initTestimonials(cleanup) {
+  try {
+    const container = document.querySelector(SELECTORS.TESTIMONIALS);
+
+    if (!container) {
+      return;
+    }
+
+    let active = true;
+    cleanup.add(() => {
+      active = false;
+    });
+
+    getSiteContent().then(content => {
+      if (!active || !content || !content.testimonials) {
+        return;
+      }
+
+      setUpTestimonials(container, content, cleanup);
+    });
+  } catch (error) {
+    logError('Testimonials initialization', error);
+  }
+}
+
+/**
+ * Build the carousel and its review structured data
+ * @param {HTMLElement} container - Testimonials container
+ * @param {Object} content - Valid site content regions
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function setUpTestimonials(container, content, cleanup) {
+  addTestimonialStyles();
+
+  const carousel = {
+    reviews: content.testimonials,
+    services: content.services || [],
+    index: 0,
+    timer: null,
+    playing: false,
+    stopped: false,
+    hovered: false,
+    focused: false,
+    reducedMotion: typeof window.matchMedia === 'function'
+      ? window.matchMedia(REDUCED_MOTION_QUERY)
+      : null,
+    element: createTestimonialCarousel(),
+  };
+
+  container.append(carousel.element);
+  container.hidden = false;
+  renderTestimonialSlides(carousel);
+  addReviewStructuredData(carousel.reviews);
+
+  cleanup.add(() => {
+    clearTimeout(carousel.timer);
+    carousel.element.remove();
+    container.hidden = true;
+    removeStyles('testimonial-styles');
+    removeReviewStructuredData();
+  });
+
+  const { element } = carousel;
+
+  cleanup.listen(element, 'click', event => {
+    const control = event.target.closest('[data-carousel-action]');
+
+    if (!control) {
+      return;
+    }
+
+    const action = control.dataset.carouselAction;
+
+    if (action === 'toggle') {
+      carousel.stopped = !carousel.stopped;
+      updateTestimonialAutoplay(carousel);
+      return;
+    }
+
+    showTestimonial(carousel, carousel.index + (action === 'next' ? 1 : -1));
+  });
+
+  // Pause while the visitor is reading or using the carousel
+  cleanup.listen(element, 'mouseenter', () => {
+    carousel.hovered = true;
+    updateTestimonialAutoplay(carousel);
+  });
+  cleanup.listen(element, 'mouseleave', () => {
+    carousel.hovered = false;
+    updateTestimonialAutoplay(carousel);
+  });
+  cleanup.listen(element, 'focusin', () => {
+    carousel.focused = true;
+    updateTestimonialAutoplay(carousel);
+  });
+  cleanup.listen(element, 'focusout', event => {
+    carousel.focused = element.contains(event.relatedTarget);
+    updateTestimonialAutoplay(carousel);
+  });
+
+  let touchStartX = null;
+  let touchStartY = null;
+
+  cleanup.listen(element, 'touchstart', event => {
+    touchStartX = event.touches[0].clientX;
+    touchStartY = event.touches[0].clientY;
+  }, { passive: true });
+  cleanup.listen(element, 'touchend', event => {
+    if (touchStartX === null) {
+      return;
+    }
+
+    const deltaX = event.changedTouches[0].clientX - touchStartX;
+    const deltaY = event.changedTouches[0].clientY - touchStartY;
+    touchStartX = null;
+
+    // Ignore mostly vertical movement so the page still scrolls
+    if (Math.abs(deltaX) >= SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY)) {
+      showTestimonial(carousel, carousel.index + (deltaX < 0 ? 1 : -1));
+    }
+  }, { passive: true });
+
+  if (carousel.reducedMotion) {
+    cleanup.listen(carousel.reducedMotion, 'change', () => updateTestimonialAutoplay(carousel));
+  }
+
+  cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => {
+    renderTestimonialSlides(carousel);
+    addReviewStructuredData(carousel.reviews);
+  });
+
+  updateTestimonialAutoplay(carousel);
+}
+
+/**
+ * Create the carousel frame: controls, slide list and live region
+ * @returns {HTMLElement} Carousel element
+ */
+function createTestimonialCarousel() {
+  const element = document.createElement('div');
+  element.className = 'testimonial-carousel';
+  element.setAttribute('role', 'region');
+  element.setAttribute('aria-roledescription', t('testimonials.carousel'));
+  element.setAttribute('aria-labelledby', 'testimonials-title');
+
+  const controls = document.createElement('div');
+  controls.className = 'testimonial-controls';
+
+  const createControl = (action, labelKey, symbol) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'testimonial-control';
+    button.dataset.carouselAction = action;
+    button.setAttribute('aria-label', t(labelKey));
+    const icon = document.createElement('span');
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = symbol;
+    button.append(icon);
+    return button;
+  };
+
+  controls.append(
+    createControl('previous', 'testimonials.previous', '‹'),
+    createControl('toggle', 'testimonials.pause', '❚❚'),
+    createControl('next', 'testimonials.next', '›')
+  );
+
+  const slides = document.createElement('div');
+  slides.className = 'testimonial-slides';
+  slides.setAttribute('aria-live', 'off');
+
+  element.append(slides, controls);
+  return element;
+}
+
+/**
+ * Render every review as a slide in the current locale, keeping the current one
+ * @param {Object} carousel - Carousel state
+ */
+function renderTestimonialSlides(carousel) {
+  const { element, reviews } = carousel;
+  const slides = element.querySelector('.testimonial-slides');
+
+  element.setAttribute('aria-roledescription', t('testimonials.carousel'));
+  element.querySelector('[data-carousel-action="previous"]').setAttribute('aria-label', t('testimonials.previous'));
+  element.querySelector('[data-carousel-action="next"]').setAttribute('aria-label', t('testimonials.next'));
+
+  slides.replaceChildren(...reviews.map((review, index) => createTestimonialSlide(carousel, review, index)));
+  showTestimonial(carousel, carousel.index, { animate: false });
+  updateTestimonialAutoplay(carousel);
+}
+
+/**
+ * Create one review slide
+ * @param {Object} carousel - Carousel state
+ * @param {Object} review - Review from the content file
+ * @param {number} index - Position in the carousel
+ * @returns {HTMLElement} Slide element
+ */
+function createTestimonialSlide(carousel, review, index) {
+  const slide = document.createElement('figure');
+  slide.className = 'testimonial';
+  slide.setAttribute('role', 'group');
+  slide.setAttribute('aria-roledescription', t('testimonials.slide'));
+  slide.setAttribute('aria-label', t('testimonials.position', {
+    current: index + 1,
+    total: carousel.reviews.length,
+  }));
+
+  const rating = document.createElement('p');
+  rating.className = 'testimonial-rating';
+  rating.setAttribute('role', 'img');
+  rating.setAttribute('aria-label', t('testimonials.rating', { rating: review.rating }));
+  rating.textContent = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+
+  const quote = document.createElement('blockquote');
+  quote.className = 'testimonial-text';
+  const text = document.createElement('p');
+  text.textContent = localizeContent(review.text);
+  quote.append(text);
+
+  const caption = document.createElement('figcaption');
+  caption.className = 'testimonial-meta';
+
+  const author = document.createElement('span');
+  author.className = 'testimonial-author';
+  author.textContent = review.author;
+
+  const service = document.createElement('span');
+  service.className = 'testimonial-service';
+  service.textContent = getTestimonialServiceTitle(carousel.services, review.service);
+
+  const date = document.createElement('time');
+  date.className = 'testimonial-date';
+  date.dateTime = review.date;
+  date.textContent = formatReviewDate(review.date);
+
+  caption.append(author, service, date);
+  slide.append(rating, quote, caption);
+  return slide;
+}
+
+/**
+ * Show a slide, wrapping around at either end
+ * @param {Object} carousel - Carousel state
+ * @param {number} index - Slide to show
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.animate=true] - Fade the slide in
+ */
+function showTestimonial(carousel, index, { animate = true } = {}) {
+  const slides = Array.from(carousel.element.querySelectorAll('.testimonial'));
+
+  if (!slides.length) {
+    return;
+  }
+
+  carousel.index = (index + slides.length) % slides.length;
+
+  slides.forEach((slide, slideIndex) => {
+    const isCurrent = slideIndex === carousel.index;
+    slide.hidden = !isCurrent;
+    slide.classList.toggle('is-entering', isCurrent && animate);
+  });
+
+  // A manual change restarts the countdown to the next slide
+  scheduleNextTestimonial(carousel);
+}
+
+/**
+ * Start or stop autoplay to match the carousel's state
+ * Autoplay is off under reduced motion, after the pause button, and while
+ * the carousel is hovered or focused. The slides are a polite live region
+ * only while autoplay is off, so rotation never talks over the page.
+ * @param {Object} carousel - Carousel state
+ */
+function updateTestimonialAutoplay(carousel) {
+  const reduced = Boolean(carousel.reducedMotion && carousel.reducedMotion.matches);
+  const playing = !carousel.stopped && !reduced && !carousel.hovered && !carousel.focused
+    && carousel.reviews.length > 1;
+
+  carousel.element.querySelector('.testimonial-slides').setAttribute('aria-live', playing ? 'off' : 'polite');
+
+  const toggle = carousel.element.querySelector('[data-carousel-action="toggle"]');
+  toggle.hidden = reduced || carousel.reviews.length < 2;
+  toggle.setAttribute('aria-label', t(carousel.stopped ? 'testimonials.play' : 'testimonials.pause'));
+  toggle.querySelector('span').textContent = carousel.stopped ? '▶' : '❚❚';
+
+  carousel.playing = playing;
+  scheduleNextTestimonial(carousel);
+}
+
+/**
+ * (Re)start the autoplay timer, if autoplay is running
+ * @param {Object} carousel - Carousel state
+ */
+function scheduleNextTestimonial(carousel) {
+  clearTimeout(carousel.timer);
+  carousel.timer = null;
+
+  if (carousel.playing) {
+    carousel.timer = setTimeout(() => {
+      showTestimonial(carousel, carousel.index + 1);
+    }, CONFIG.TESTIMONIAL_INTERVAL);
+  }
+}
+
+/**
+ * Get the display name of the service a review is about
+ * @param {Object[]} services - Services from the content file
+ * @param {string} id - Service id
+ * @returns {string} Service title
+ */
+function getTestimonialServiceTitle(services, id) {
+  const service = services.find(item => item.id === id);
+
+  if (service) {
+    return localizeContent(service.title);
+  }
+
+  const key = `services.${id.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())}.title`;
+  return hasMessage(key) ? t(key) : '';
+}
+
+/**
+ * Format a review date as month and year, e.g. "September 2026"
+ * @param {string} isoDate - Calendar date
+ * @returns {string} Formatted date
+ */
+function formatReviewDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(getIntlLocale(), {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Publish the reviews and their average as schema.org JSON-LD
+ * @param {Object[]} reviews - Reviews from the content file
+ */
+function addReviewStructuredData(reviews) {
+  removeReviewStructuredData();
+
+  const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+  const url = getCanonicalUrl(document) || window.location.origin;
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'DryCleaningOrLaundry',
+    '@id': getBusinessId(url),
+    name: CONFIG.BUSINESS_NAME,
+    url,
+    aggregateRating: {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round((total / reviews.length) * 10) / 10,
+      reviewCount: reviews.length,
+      bestRating: 5,
+      worstRating: 1,
+    },
+    review: reviews.map(review => ({
+      '@type': 'Review',
+      author: { '@type': 'Person', name: review.author },
+      datePublished: review.date,
+      reviewBody: localizeContent(review.text),
+      inLanguage: currentLocale,
+      reviewRating: {
+        '@type': 'Rating',
+        ratingValue: review.rating,
+        bestRating: 5,
+        worstRating: 1,
+      },
+    })),
+  };
+
+  const script = document.createElement('script');
+  script.type = 'application/ld+json';
+  script.id = 'review-structured-data';
+  script.textContent = JSON.stringify(data);
+  document.head.appendChild(script);
+}
+
+/**
+ * Remove the review JSON-LD
+ */
+function removeReviewStructuredData() {
+  const script = document.getElementById('review-structured-data');
+  if (script) {
+    script.remove();
+  }
+}
+
+/**
+ * Add testimonial carousel styles dynamically
+ */
+function addTestimonialStyles() {
+  if (document.getElementById('testimonial-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'testimonial-styles';
+  style.textContent = `
+    .testimonial-carousel {
+      display: flex;
+      flex-direction: column;
+      gap: 1rem;
+      touch-action: pan-y;
+    }
+
+    .testimonial {
+      margin: 0;
+      padding: 1.5rem;
+      background-color: var(--color-white, #ffffff);
+      border-radius: 0.75rem;
+      box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.1);
+    }
+
+    .testimonial.is-entering {
+      animation: testimonial-fade-in 0.4s ease-out;
+    }
+
+    @keyframes testimonial-fade-in {
+      from {
+        opacity: 0;
+        transform: translateX(1rem);
+      }
+      to {
+        opacity: 1;
+        transform: none;
+      }
+    }
+
+    .testimonial-rating {
+      font-size: 1.25rem;
+      letter-spacing: 0.125rem;
+      color: var(--color-warning-800, #92400e);
+      margin-bottom: 0.5rem;
+    }
+
+    .testimonial-text p {
+      font-size: 1.125rem;
+      line-height: 1.75;
+      color: var(--color-gray-800, #1f2937);
+    }
+
+    .testimonial-meta {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 0.25rem 1rem;
+      margin-top: 1rem;
+      font-size: 0.875rem;
+      color: var(--color-gray-600, #4b5563);
+    }
+
+    .testimonial-author {
+      font-weight: 600;
+      color: var(--color-gray-900, #111827);
+    }
+
+    .testimonial-controls {
+      display: flex;
+      justify-content: center;
+      gap: 0.5rem;
+    }
+
+    .testimonial-control {
+      width: 2.75rem;
+      height: 2.75rem;
+      font: inherit;
+      font-size: 1.25rem;
+      line-height: 1;
+      color: var(--color-primary-600, #1e40af);
+      background-color: var(--color-white, #ffffff);
+      border: 2px solid var(--color-primary-600, #1e40af);
+      border-radius: 50%;
+      cursor: pointer;
+    }
+
+    .testimonial-control:hover {
+      background-color: var(--color-primary-50, #eff6ff);
+    }
+
+    .testimonial-control:focus-visible {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+    }
+
+    .testimonial-control[hidden] {
+      display: none;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .testimonial.is-entering {
+        animation: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const testimonials = defineFeature(initTestimonials);
+
+// ============================================
+// FAQ Accordion
+// ============================================
+
+const FAQ_HASH_PREFIX = '#faq/';
+
+/**
+ * Initialize the searchable FAQ accordion from the site content file
+ * Deep links such as "#faq/turnaround" open and scroll to their question
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initFaq(cleanup) {
+  try {
+    const container = document.querySelector(SELECTORS.FAQ);
+
+    if (!container) {
+      return;
+    }
+
+    let active = true;
+    cleanup.add(() => {
+      active = false;
+    });
+
+    getSiteContent().then(content => {
+      if (!active || !content || !content.faq) {
+        return;
+      }
+
+      setUpFaq(container, content.faq, cleanup);
+    });
+  } catch (error) {
+    logError('FAQ initialization', error);
+  }
+}
+
+/**
+ * Build the search box, the accordion and their FAQPage structured data
+ * @param {HTMLElement} container - FAQ container
+ * @param {Object[]} entries - Questions and answers from the content file
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function setUpFaq(container, entries, cleanup) {
+  addFaqStyles();
+
+  // Restore the no-JavaScript fallback on destroy
+  const fallback = Array.from(container.childNodes);
+
+  const accordion = {
+    entries,
+    query: '',
+    expanded: new Set(),
+    search: createFaqSearch(),
+    status: document.createElement('p'),
+    list: document.createElement('div'),
+  };
+
+  accordion.input = accordion.search.querySelector('input');
+  accordion.status.className = 'faq-status';
+  accordion.status.setAttribute('role', 'status');
+  accordion.list.className = 'faq-list';
+  accordion.list.id = 'faq-list';
+
+  container.replaceChildren(accordion.search, accordion.status, accordion.list);
+  renderFaqItems(accordion);
+  addFaqStructuredData(entries);
+
+  const filter = debounce(() => {
+    accordion.query = accordion.input.value;
+    filterFaqItems(accordion);
+  }, CONFIG.DEBOUNCE_DELAY);
+
+  cleanup.add(() => {
+    filter.cancel();
+    container.replaceChildren(...fallback);
+    removeStyles('faq-styles');
+    removeFaqStructuredData();
+  });
+
+  cleanup.listen(accordion.input, 'input', filter);
+  cleanup.listen(accordion.list, 'click', event => {
+    const toggle = event.target.closest('[data-faq-toggle]');
+
+    if (toggle) {
+      const item = toggle.closest('.faq-item');
+      setFaqItemExpanded(accordion, item, !accordion.expanded.has(item.dataset.faqId));
+    }
+  });
+  cleanup.listen(accordion.list, 'keydown', event => handleFaqKeydown(accordion, event));
+  cleanup.listen(window, 'hashchange', () => openFaqFromHash(accordion));
+  cleanup.listen(document, EVENTS.LOCALE_CHANGE, () => {
+    renderFaqItems(accordion);
+    addFaqStructuredData(entries);
+  });
+
+  // The page may have loaded on a deep link before the content arrived
+  openFaqFromHash(accordion, 'auto');
+}
+
+/**
+ * Create the labelled search box
+ * @returns {HTMLElement} Search landmark containing the field
+ */
+function createFaqSearch() {
+  const search = document.createElement('div');
+  search.className = 'faq-search form-field';
+  search.setAttribute('role', 'search');
+
+  const label = document.createElement('label');
+  label.htmlFor = 'faq-search-input';
+  label.dataset.i18n = 'faq.search';
+  label.textContent = t('faq.search');
+
+  const input = document.createElement('input');
+  input.type = 'search';
+  input.id = 'faq-search-input';
+  input.autocomplete = 'off';
+  input.placeholder = t('faq.searchPlaceholder');
+  input.dataset.i18nAttr = 'placeholder:faq.searchPlaceholder';
+  input.setAttribute('aria-controls', 'faq-list');
+
+  search.append(label, input);
+  return search;
+}
+
+/**
+ * Render the questions in the current language, keeping open items open
+ * @param {Object} accordion - FAQ state
+ */
+function renderFaqItems(accordion) {
+  accordion.list.replaceChildren(...accordion.entries.map(entry => createFaqItem(accordion, entry)));
+  filterFaqItems(accordion);
+}
+
+/**
+ * Create one question: a heading button and the answer region it controls
+ * @param {Object} accordion - FAQ state
+ * @param {Object} entry - Question and answer from the content file
+ * @returns {HTMLElement} FAQ item
+ */
+function createFaqItem(accordion, entry) {
+  const item = document.createElement('div');
+  item.className = 'faq-item';
+  item.dataset.faqId = entry.id;
+
+  const heading = document.createElement('h3');
+  heading.className = 'faq-question';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.id = `faq-question-${entry.id}`;
+  toggle.dataset.faqToggle = '';
+  toggle.setAttribute('aria-controls', `faq-answer-${entry.id}`);
+
+  const question = document.createElement('span');
+  question.className = 'faq-question-text';
+
+  const icon = document.createElement('span');
+  icon.className = 'faq-icon';
+  icon.setAttribute('aria-hidden', 'true');
+
+  toggle.append(question, icon);
+  heading.append(toggle);
+
+  const panel = document.createElement('div');
+  panel.className = 'faq-answer';
+  panel.id = `faq-answer-${entry.id}`;
+  panel.setAttribute('role', 'region');
+  panel.setAttribute('aria-labelledby', toggle.id);
+
+  const answer = document.createElement('p');
+  answer.className = 'faq-answer-text';
+
+  const permalink = document.createElement('a');
+  permalink.className = 'faq-permalink';
+  permalink.href = `${FAQ_HASH_PREFIX}${encodeURIComponent(entry.id)}`;
+  permalink.textContent = t('faq.permalink');
+
+  panel.append(answer, permalink);
+  item.append(heading, panel);
+  setFaqItemExpanded(accordion, item, accordion.expanded.has(entry.id));
+
+  return item;
+}
+
+/**
+ * Open or close a question
+ * @param {Object} accordion - FAQ state
+ * @param {HTMLElement} item - FAQ item
+ * @param {boolean} expanded - Whether the answer should show
+ */
+function setFaqItemExpanded(accordion, item, expanded) {
+  if (expanded) {
+    accordion.expanded.add(item.dataset.faqId);
+  } else {
+    accordion.expanded.delete(item.dataset.faqId);
+  }
+
+  item.classList.toggle('is-open', expanded);
+  item.querySelector('[data-faq-toggle]').setAttribute('aria-expanded', String(expanded));
+  item.querySelector('.faq-answer').hidden = !expanded;
+}
+
+/**
+ * Show only the questions matching every search term, highlight the
+ * matches and announce how many there are
+ * @param {Object} accordion - FAQ state
+ */
+function filterFaqItems(accordion) {
+  const query = accordion.query.trim();
+  const terms = query.split(/\s+/).filter(Boolean);
+
+  // Longest first, so "dry cleaning" highlights before "dry"
+  const pattern = terms.length
+    ? new RegExp([...terms].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|'), 'giu')
+    : null;
+  let matches = 0;
+
+  accordion.list.querySelectorAll('.faq-item').forEach(item => {
+    const entry = accordion.entries.find(candidate => candidate.id === item.dataset.faqId);
+    const question = localizeContent(entry.question);
+    const answer = localizeContent(entry.answer);
+    const text = `${question}\n${answer}`;
+    const matched = terms.every(term => new RegExp(escapeRegExp(term), 'iu').test(text));
+
+    item.hidden = !matched;
+    highlightMatches(item.querySelector('.faq-question-text'), question, pattern);
+    highlightMatches(item.querySelector('.faq-answer-text'), answer, pattern);
+
+    if (matched) {
+      matches += 1;
+    }
+  });
+
+  if (!terms.length) {
+    accordion.status.textContent = '';
+  } else if (!matches) {
+    const phoneLink = document.querySelector(SELECTORS.CONTACT_PHONE_LINK);
+    accordion.status.textContent = t('faq.noResults', {
+      query,
+      phone: phoneLink ? phoneLink.textContent.trim() : '',
+    });
+  } else {
+    accordion.status.textContent = matches === 1 ? t('faq.resultOne') : t('faq.results', { count: matches });
+  }
+}
+
+/**
+ * Set an element's text, wrapping matches in <mark>
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Plain text
+ * @param {RegExp|null} pattern - Global pattern to highlight, or null for none
+ */
+function highlightMatches(element, text, pattern) {
+  if (!pattern) {
+    element.textContent = text;
+    return;
+  }
+
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    const mark = document.createElement('mark');
+    mark.className = 'faq-highlight';
+    mark.textContent = match[0];
+
+    parts.push(text.slice(last, match.index), mark);
+    last = match.index + match[0].length;
+  }
+
+  parts.push(text.slice(last));
+  element.replaceChildren(...parts.filter(part => part !== ''));
+}
+
+/**
+ * Move between question buttons with the arrow keys, Home and End
+ * @param {Object} accordion - FAQ state
+ * @param {KeyboardEvent} event - Keyboard event
+ */
+function handleFaqKeydown(accordion, event) {
+  const toggle = event.target.closest('[data-faq-toggle]');
+
+  if (!toggle) {
+    return;
+  }
+
+  const toggles = Array.from(accordion.list.querySelectorAll('[data-faq-toggle]'))
+    .filter(button => !button.closest('.faq-item').hidden);
+  const index = toggles.indexOf(toggle);
+  const targets = {
+    ArrowDown: index + 1,
+    ArrowUp: index - 1,
+    Home: 0,
+    End: toggles.length - 1,
+  };
+
+  if (targets[event.key] === undefined) {
+    return;
+  }
+
+  event.preventDefault();
+  toggles[(targets[event.key] + toggles.length) % toggles.length].focus();
+}
+
+/**
+ * Open and scroll to the question named by a "#faq/<id>" hash
+ * A search that hides the question is cleared first.
+ * @param {Object} accordion - FAQ state
+ * @param {string} [behavior] - Scroll behavior; defaults to smooth unless reduced motion is preferred
+ */
+function openFaqFromHash(accordion, behavior = getScrollBehavior()) {
+  try {
+    const hashId = decodeHashId();
+    const prefix = FAQ_HASH_PREFIX.slice(1);
+
+    if (!hashId.startsWith(prefix)) {
+      return;
+    }
+
+    const id = hashId.slice(prefix.length);
+    const item = Array.from(accordion.list.querySelectorAll('.faq-item'))
+      .find(candidate => candidate.dataset.faqId === id);
+
+    if (!item) {
+      return;
+    }
+
+    if (item.hidden) {
+      accordion.input.value = '';
+      accordion.query = '';
+      filterFaqItems(accordion);
+    }
+
+    setFaqItemExpanded(accordion, item, true);
+
+    const section = item.closest(SELECTORS.PAGE_SECTIONS);
+    if (section) {
+      lockNavigationTarget(section.id);
+    }
+
+    scrollToElement(item, behavior);
+    item.querySelector('[data-faq-toggle]').focus({ preventScroll: true });
+  } catch (error) {
+    logError('FAQ deep link', error);
+  }
+}
+
+/**
+ * Add FAQPage JSON-LD for the questions in the current language
+ * @param {Object[]} entries - Questions and answers from the content file
+ */
+function addFaqStructuredData(entries) {
+  removeFaqStructuredData();
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    inLanguage: currentLocale,
+    mainEntity: entries.map(entry => ({
+      '@type': 'Question',
+      name: localizeContent(entry.question),
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: localizeContent(entry.answer),
+      },
+    })),
+  };
+
+  const script = document.createElement('script');
+  script.type = 'application/ld+json';
+  script.id = 'faq-structured-data';
+  script.textContent = JSON.stringify(data);
+  document.head.appendChild(script);
+}
+
+/**
+ * Remove the FAQ JSON-LD
+ */
+function removeFaqStructuredData() {
+  const script = document.getElementById('faq-structured-data');
+  if (script) {
+    script.remove();
+  }
+}
+
+/**
+ * Add FAQ accordion styles dynamically
+ */
+function addFaqStyles() {
+  if (document.getElementById('faq-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'faq-styles';
+  style.textContent = `
+    .faq-search {
+      margin-bottom: 0.5rem;
+    }
+
+    .faq-status:not(:empty) {
+      margin-bottom: 1rem;
+      color: var(--color-gray-600, #4b5563);
+    }
+
+    .faq-list {
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+    }
+
+    .faq-item {
+      background-color: var(--color-white, #ffffff);
+      border-radius: 0.75rem;
+      box-shadow: 0 1px 3px 0 rgba(0, 0, 0, 0.1);
+    }
+
+    .faq-question {
+      margin: 0;
+      font-size: 1.125rem;
+    }
+
+    .faq-question button {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 1rem;
+      width: 100%;
+      padding: 1rem 1.25rem;
+      font: inherit;
+      font-weight: 600;
+      text-align: start;
+      color: var(--color-gray-900, #111827);
+      background: none;
+      border: none;
+      border-radius: 0.75rem;
+      cursor: pointer;
+    }
+
+    .faq-question button:hover {
+      color: var(--color-primary-700, #1e3a8a);
+    }
+
+    .faq-icon::before {
+      content: '+';
+      display: inline-block;
+      font-size: 1.5rem;
+      line-height: 1;
+      color: var(--color-primary-600, #1e40af);
+      transition: transform 0.2s ease;
+    }
+
+    .faq-item.is-open .faq-icon::before {
+      transform: rotate(45deg);
+    }
+
+    .faq-answer {
+      padding: 0 1.25rem 1.25rem;
+    }
+
+    .faq-answer-text {
+      line-height: 1.75;
+      color: var(--color-gray-700, #374151);
+      margin-bottom: 0.75rem;
+    }
+
+    .faq-permalink {
+      font-size: 0.875rem;
+      color: var(--color-primary-600, #1e40af);
+    }
+
+    .faq-highlight {
+      padding: 0 0.125rem;
+      color: inherit;
+      background-color: var(--color-warning-100, #fef3c7);
+      border-radius: 0.125rem;
+      text-decoration: underline;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+      .faq-icon::before {
+        transition: none;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const faq = defineFeature(initFaq);
+
+// ============================================
+// Business Structured Data
+// ============================================
+
+/**
+ * Id of the business JSON-LD script, shared with build-structured-data.js
+ */
+const STRUCTURED_DATA_ID = 'business-structured-data';
+
+/**
+ * schema.org day names indexed by weekday (0 = Sunday)
+ */
+const SCHEMA_DAYS = Object.freeze([
+  'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday',
+].map(day => `https://schema.org/${day}`));
+
+/**
+ * Initialize the business JSON-LD in the document head
+ * Takes over a copy pre-rendered into index.html and keeps it in step with
+ * the content file and the current language
+ * @param {Object} cleanup - Teardown registry from defineFeature
+ */
+function initStructuredData(cleanup) {
+  try {
+    const prerendered = document.getElementById(STRUCTURED_DATA_ID);
+    const script = prerendered || document.createElement('script');
+    const originalText = prerendered ? prerendered.textContent : '';
+
+    const update = () => {
+      try {
+        const data = buildBusinessStructuredData(document, {
+          weekly: getBusinessSchedule().weekly,
+        });
+        script.textContent = JSON.stringify(data);
+      } catch (error) {
+        logError('Structured data update', error);
+      }
+    };
+
+    if (!prerendered) {
+      script.type = 'application/ld+json';
+      script.id = STRUCTURED_DATA_ID;
+      document.head.appendChild(script);
+    }
+
+    update();
+
+    cleanup.add(() => {
+      if (prerendered) {
+        prerendered.textContent = originalText;
+      } else {
+        script.remove();
+      }
+    });
+
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, update);
+    cleanup.listen(document, EVENTS.LOCALE_CHANGE, update);
+  } catch (error) {
+    logError('Structured data initialization', error);
+  }
+}
+
+/**
+ * Build DryCleaningOrLaundry JSON-LD from the page's header, contact and
+ * services markup. Only reads the tree, so it also runs in Node against a
+ * parsed index.html (see build-structured-data.js).
+ * @param {Document|Object} root - Document, or any node with querySelector/querySelectorAll
+ * @param {Object} [options] - Build options
+ * @param {Array<Object|null>} [options.weekly] - Hours indexed by weekday; parsed from the Business Hours list if omitted
+ * @returns {Object} JSON-LD object, leaving out anything the page doesn't have
+ */
+function buildBusinessStructuredData(root, { weekly } = {}) {
+  const url = getCanonicalUrl(root);
+  const hoursList = root.querySelector(SELECTORS.BUSINESS_HOURS);
+  const hours = weekly || (hoursList && parseBusinessHours(hoursList));
+  const phoneLink = root.querySelector(SELECTORS.CONTACT_PHONE_LINK);
+  const emailLink = root.querySelector(SELECTORS.CONTACT_EMAIL_LINK);
+  const image = root.querySelector(SELECTORS.SHARE_IMAGE);
+
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'DryCleaningOrLaundry',
+    '@id': url ? getBusinessId(url) : '',
+    name: readText(root.querySelector(SELECTORS.BUSINESS_NAME)) || CONFIG.BUSINESS_NAME,
+    url,
+    image: image ? image.getAttribute('content') : '',
+    telephone: phoneLink ? decodeURIComponent(phoneLink.getAttribute('href').slice(4)) : '',
+    email: emailLink ? decodeURIComponent(emailLink.getAttribute('href').slice(7).split('?')[0]) : '',
+    address: parsePostalAddress(root.querySelector(SELECTORS.CONTACT_ADDRESS)),
+    openingHoursSpecification: hours ? getOpeningHoursSpecification(hours) : null,
+    hasOfferCatalog: getOfferCatalog(root),
+  };
+
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => (
+    Array.isArray(value) ? value.length > 0 : Boolean(value)
+  )));
+}
+
+/**
+ * Get the page's canonical URL
+ * @param {Document|Object} root - Document or parsed page
+ * @returns {string} Absolute URL, or an empty string if there is none
+ */
+function getCanonicalUrl(root) {
+  const link = root.querySelector(SELECTORS.CANONICAL_LINK);
+
+  if (!link) {
+    return '';
+  }
+
+  try {
+    return new URL(link.getAttribute('href'), root.baseURI).href;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Get the JSON-LD @id of the business, so separate blocks such as the
+ * review data describe the same entity
+ * @param {string} url - Canonical page URL
+ * @returns {string} Node identifier
+ */
+function getBusinessId(url) {
+  return `${url.split('#')[0]}#business`;
+}
+
+/**
+ * Read an element's text with whitespace collapsed
+ * @param {Element|null} element - Element to read
+ * @returns {string} Text, or an empty string
+ */
+function readText(element) {
+  return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Parse the contact address, one line per <br>
+ * A last line like "Anytown, ST 12345" is split into locality, region and ZIP
+ * @param {Element|null} element - Address element
+ * @returns {Object|null} PostalAddress, or null if there is no address
+ */
+function parsePostalAddress(element) {
+  if (!element) {
+    return null;
+  }
+
+  const lines = [''];
+
+  Array.from(element.childNodes).forEach(node => {
+    if (node.nodeName === 'BR') {
+      lines.push('');
+    } else {
+      lines[lines.length - 1] += node.textContent;
+    }
+  });
+
+  const cleaned = lines.map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  if (!cleaned.length) {
+    return null;
+  }
+
+  const locality = cleaned[cleaned.length - 1].match(/^(.+?),\s*([A-Z]{2})\s+(\d{5}(?:-\d{4})?)$/);
+
+  if (!locality) {
+    return { '@type': 'PostalAddress', streetAddress: cleaned.join(', ') };
+  }
+
+  return {
+    '@type': 'PostalAddress',
+    streetAddress: cleaned.slice(0, -1).join(', '),
+    addressLocality: locality[1],
+    addressRegion: locality[2],
+    postalCode: locality[3],
+    addressCountry: 'US',
+  };
+}
+
+/**
+ * Group weekly hours into OpeningHoursSpecification entries, one per
+ * distinct opening time, listing days from Monday as the hours list does
+ * @param {Array<Object|null>} weekly - Hours indexed by weekday (0 = Sunday)
+ * @returns {Object[]} Opening hours specifications
+ */
+function getOpeningHoursSpecification(weekly) {
+  const groups = new Map();
+
+  [1, 2, 3, 4, 5, 6, 0].forEach(day => {
+    const hours = weekly[day];
+
+    if (!hours) {
+      return;
+    }
+
+    const key = `${hours.open}-${hours.close}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: [],
+        opens: formatSchemaTime(hours.open),
+        closes: formatSchemaTime(hours.close),
+      });
+    }
+
+    groups.get(key).dayOfWeek.push(SCHEMA_DAYS[day]);
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Format minutes after midnight as a schema.org Time
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Time as HH:MM
+ */
+function formatSchemaTime(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Build an OfferCatalog from the service cards
+ * @param {Document|Object} root - Document or parsed page
+ * @returns {Object|null} Offer catalog, or null if there are no service cards
+ */
+function getOfferCatalog(root) {
+  const offers = Array.from(root.querySelectorAll(SELECTORS.SERVICE_CARD))
+    .map(card => {
+      const name = readText(card.querySelector('h3'));
+      const description = readText(card.querySelector('p'));
+
+      if (!name) {
+        return null;
+      }
+
+      return {
+        '@type': 'Offer',
+        itemOffered: {
+          '@type': 'Service',
+          name,
+          ...(description && { description }),
+        },
+      };
+    })
+    .filter(Boolean);
+
+  if (!offers.length) {
+    return null;
+  }
+
+  return {
+    '@type': 'OfferCatalog',
+    name: readText(root.querySelector(SELECTORS.SERVICES_TITLE)) || 'Services',
+    itemListElement: offers,
+  };
+}
+
+export const structuredData = defineFeature(initStructuredData);
+
+export { buildBusinessStructuredData, STRUCTURED_DATA_ID };
+
+// ============================================
+// Keyboard Accessibility Enhancements
+// ============================================
+
+/**
+ * Initialize keyboard accessibility
+ */
+function initKeyboardAccessibility(cleanup) {
+  try {
+    // Ensure skip link works
+    const skipLink = document.querySelector(SELECTORS.SKIP_LINK);
+    if (skipLink) {
+      cleanup.listen(skipLink, 'click', handleSkipLink);
+    }
+
+    // Add keyboard navigation for cards, including cards rendered later
+    makeCardsFocusable(document, cleanup);
+    cleanup.listen(document, EVENTS.CONTENT_CHANGE, event => {
+      event.detail.elements.forEach(element => makeCardsFocusable(element, cleanup));
+    });
+  } catch (error) {
+    logError('Keyboard accessibility initialization', error);
+  }
+}
+
+/**
+ * Make service and contact cards reachable with the keyboard
+ * @param {Document|HTMLElement} root - Element to search for cards
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function makeCardsFocusable(root, cleanup) {
+  root.querySelectorAll(SELECTORS.FOCUSABLE_CARDS).forEach(card => {
+    if (!card.hasAttribute('tabindex')) {
+      card.setAttribute('tabindex', '0');
+      cleanup.add(() => card.removeAttribute('tabindex'));
+    }
+  });
+}
+
+/**
+ * Handle skip link click
+ * @param {Event} event - Click event
+ */
+function handleSkipLink(event) {
+  event.preventDefault();
+  const main = document.querySelector('#main');
+  if (main) {
+    main.setAttribute('tabindex', '-1');
+    main.focus();
+    main.removeAttribute('tabindex');
+  }
+}
+
+export const keyboardAccessibility = defineFeature(initKeyboardAccessibility);
+
+// ============================================
+// Privacy Consent
+// ============================================
+
+/**
+ * Consent categories. Essential storage (language, queued bookings, this
+ * choice) is always allowed; the others need an explicit yes.
+ */
+const CONSENT_CATEGORIES = Object.freeze({
+  essential: Object.freeze({ required: true }),
+  analytics: Object.freeze({ required: false }),
+  media: Object.freeze({ required: false }),
+});
+
+const consentListeners = new Set();
+
+/**
+ * Initialize the consent banner, preferences dialog and footer link
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initConsent(cleanup) {
+  try {
+    addConsentStyles();
+    cleanup.add(() => {
+      closeConsentPreferences({ returnFocus: false });
+      hideConsentBanner();
+      removeStyles('consent-styles');
+    });
+
+    document.querySelectorAll(SELECTORS.CONSENT_OPEN).forEach(button => {
+      button.hidden = false;
+      cleanup.listen(button, 'click', () => openConsentPreferences(button));
+      cleanup.add(() => {
+        button.hidden = true;
+      });
+    });
+
+    if (!loadConsent()) {
+      showConsentBanner();
+    }
+  } catch (error) {
+    logError('Consent initialization', error);
+  }
+}
+
+/**
+ * Read the stored consent record
+ * Records saved under a different CONFIG.CONSENT_VERSION are ignored so
+ * visitors are asked again when the categories change
+ * @returns {Object|null} Record with categories and updatedAt, or null if undecided
+ */
+function loadConsent() {
+  try {
+    const record = JSON.parse(localStorage.getItem(CONFIG.CONSENT_STORAGE_KEY));
+    return record && record.version === CONFIG.CONSENT_VERSION ? record : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the visitor's decision for a category
+ * @param {string} category - Category from CONSENT_CATEGORIES
+ * @returns {boolean|null} True or false once decided, null if not asked yet
+ */
+function getConsent(category) {
+  const definition = CONSENT_CATEGORIES[category];
+
+  if (!definition) {
+    logError('Consent', new Error(`Unknown consent category: ${category}`));
+    return false;
+  }
+
+  if (definition.required) {
+    return true;
+  }
+
+  const record = loadConsent();
+  return record ? record.categories[category] === true : null;
+}
+
+/**
+ * Check if a category is allowed
+ * @param {string} category - Category from CONSENT_CATEGORIES
+ * @returns {boolean} True only if the visitor has agreed
+ */
+function hasConsent(category) {
+  return getConsent(category) === true;
+}
+
+/**
+ * Subscribe to consent changes
+ * @param {Function} callback - Called with the category decisions after every change
+ * @returns {Function} Unsubscribe function
+ */
+function onConsentChange(callback) {
+  consentListeners.add(callback);
+  return () => consentListeners.delete(callback);
+}
+
+/**
+ * Store the visitor's choices and notify subscribers
+ * @param {Object} choices - Decisions keyed by optional category
+ */
+function saveConsent(choices) {
+  const categories = {};
+
+  Object.entries(CONSENT_CATEGORIES).forEach(([category, definition]) => {
+    categories[category] = definition.required || choices[category] === true;
+  });
+
+  try {
+    localStorage.setItem(CONFIG.CONSENT_STORAGE_KEY, JSON.stringify({
+      version: CONFIG.CONSENT_VERSION,
+      categories,
+      updatedAt: new Date().toISOString(),
+    }));
+  } catch (error) {
+    logError('Consent write', error);
+  }
+
+  consentListeners.forEach(callback => {
+    try {
+      callback({ ...categories });
+    } catch (error) {
+      logError('Consent change listener', error);
+    }
+  });
+}
+
+/**
+ * Allow or decline every optional category
+ * @param {boolean} granted - Decision for all optional categories
+ */
+function saveConsentForAll(granted) {
+  const choices = {};
+
+  Object.keys(CONSENT_CATEGORIES).forEach(category => {
+    choices[category] = granted;
+  });
+
+  saveConsent(choices);
+}
+
+/**
+ * Show the consent banner
+ */
+function showConsentBanner() {
+  if (document.querySelector('.consent-banner')) {
+    return;
+  }
+
+  const banner = document.createElement('section');
+  banner.className = 'consent-banner';
+  banner.setAttribute('aria-labelledby', 'consent-banner-title');
+  banner.innerHTML = `
+    <div class="consent-banner-content">
+      <h2 id="consent-banner-title" class="consent-title" data-i18n="consent.bannerTitle"></h2>
+      <p data-i18n="consent.bannerText"></p>
+    </div>
+    <div class="consent-actions">
+      <button type="button" class="consent-button" data-consent-action="customize" data-i18n="consent.customize"></button>
+      <button type="button" class="consent-button" data-consent-action="reject" data-i18n="consent.rejectAll"></button>
+      <button type="button" class="consent-button consent-button-primary" data-consent-action="accept" data-i18n="consent.acceptAll"></button>
+    </div>
+  `;
+  applyTranslations(banner);
+
+  banner.addEventListener('click', event => {
+    const button = event.target.closest('[data-consent-action]');
+
+    if (!button) {
+      return;
+    }
+
+    const action = button.dataset.consentAction;
+
+    if (action === 'customize') {
+      openConsentPreferences(button);
+      return;
+    }
+
+    saveConsentForAll(action === 'accept');
+    hideConsentBanner();
+  });
+
+  document.body.append(banner);
+}
+
+/**
+ * Remove the consent banner
+ */
+function hideConsentBanner() {
+  const banner = document.querySelector('.consent-banner');
+  if (banner) {
+    banner.remove();
+  }
+}
+
+let consentDialogOpener = null;
+
+/**
+ * Open the consent preferences dialog
+ * @param {HTMLElement} [opener] - Element to return focus to on close
+ */
+function openConsentPreferences(opener) {
+  if (document.querySelector('.consent-dialog')) {
+    return;
+  }
+
+  consentDialogOpener = opener || document.activeElement;
+
+  const dialog = createConsentDialog();
+  document.body.append(dialog);
+
+  if (typeof dialog.showModal === 'function') {
+    dialog.showModal();
+  } else {
+    dialog.setAttribute('open', '');
+  }
+
+  const firstOption = dialog.querySelector('input:not([disabled])');
+  if (firstOption) {
+    firstOption.focus();
+  }
+}
+
+/**
+ * Close and remove the consent preferences dialog
+ * @param {Object} [options] - Close options
+ * @param {boolean} [options.returnFocus=true] - Move focus back to the opener
+ */
+function closeConsentPreferences({ returnFocus = true } = {}) {
+  const dialog = document.querySelector('.consent-dialog');
+
+  if (!dialog) {
+    return;
+  }
+
+  if (typeof dialog.close === 'function' && dialog.open) {
+    dialog.close();
+  }
+  dialog.remove();
+
+  const opener = consentDialogOpener;
+  consentDialogOpener = null;
+
+  if (returnFocus && opener && opener.isConnected) {
+    opener.focus();
+  }
+}
+
+/**
+ * Build the consent preferences dialog with the current decisions filled in
+ * @returns {HTMLDialogElement} Dialog element
+ */
+function createConsentDialog() {
+  const dialog = document.createElement('dialog');
+  dialog.className = 'consent-dialog';
+  dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+
+  const form = document.createElement('form');
+  form.className = 'consent-form';
+  form.method = 'dialog';
+
+  const title = document.createElement('h2');
+  title.id = 'consent-dialog-title';
+  title.className = 'consent-title';
+  title.dataset.i18n = 'consent.dialogTitle';
+
+  const intro = document.createElement('p');
+  intro.dataset.i18n = 'consent.dialogIntro';
+
+  const categories = document.createElement('div');
+  categories.className = 'consent-categories';
+
+  Object.entries(CONSENT_CATEGORIES).forEach(([category, definition]) => {
+    categories.append(createConsentOption(category, definition));
+  });
+
+  const actions = document.createElement('div');
+  actions.className = 'consent-actions';
+  actions.innerHTML = `
+    <button type="submit" class="consent-button" value="reject" data-i18n="consent.rejectAll"></button>
+    <button type="submit" class="consent-button" value="save" data-i18n="consent.save"></button>
+    <button type="submit" class="consent-button consent-button-primary" value="accept" data-i18n="consent.acceptAll"></button>
+  `;
+
+  form.append(title, intro, categories, actions);
+  dialog.append(form);
+  applyTranslations(dialog);
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    handleConsentDialogSubmit(form, event.submitter ? event.submitter.value : 'save');
+  });
+
+  // Escape closes without saving
+  dialog.addEventListener('cancel', event => {
+    event.preventDefault();
+    closeConsentPreferences();
+  });
+  dialog.addEventListener('keydown', event => {
+    if (event.key === 'Escape' && typeof dialog.showModal !== 'function') {
+      closeConsentPreferences();
+    }
+  });
+
+  return dialog;
+}
+
+/**
+ * Create a category checkbox with its description
+ * @param {string} category - Category name
+ * @param {Object} definition - Category definition
+ * @returns {HTMLElement} Option element
+ */
+function createConsentOption(category, definition) {
+  const option = document.createElement('div');
+  option.className = 'consent-category';
+
+  const label = document.createElement('label');
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.name = category;
+  input.checked = getConsent(category) === true;
+  input.disabled = definition.required;
+  input.setAttribute('aria-describedby', `consent-${category}-description`);
+
+  const name = document.createElement('span');
+  name.className = 'consent-category-name';
+  name.dataset.i18n = `consent.${category}`;
+
+  const description = document.createElement('p');
+  description.id = `consent-${category}-description`;
+  description.className = 'consent-category-description';
+  description.dataset.i18n = `consent.${category}Description`;
+
+  label.append(input, ' ', name);
+  option.append(label, description);
+  return option;
+}
+
+/**
+ * Save the dialog's choices
+ * @param {HTMLFormElement} form - Preferences form
+ * @param {string} action - accept, reject or save
+ */
+function handleConsentDialogSubmit(form, action) {
+  if (action === 'accept' || action === 'reject') {
+    saveConsentForAll(action === 'accept');
+  } else {
+    const choices = {};
+    Object.keys(CONSENT_CATEGORIES).forEach(category => {
+      choices[category] = Boolean(form.elements[category] && form.elements[category].checked);
+    });
+    saveConsent(choices);
+  }
+
+  hideConsentBanner();
+  closeConsentPreferences();
+}
+
+/**
+ * Add consent banner and dialog styles dynamically
+ */
+function addConsentStyles() {
+  if (document.getElementById('consent-styles')) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = 'consent-styles';
+  style.textContent = `
+    .consent-banner {
+      position: fixed;
+      left: 1rem;
+      right: 1rem;
+      bottom: 1rem;
+      z-index: 1001;
+      display: flex;
+      flex-direction: column;
+      gap: 1rem;
+      max-width: 56rem;
+      margin: 0 auto;
+      padding: 1.25rem;
+      background-color: var(--color-white, #ffffff);
+      color: var(--color-gray-800, #1f2937);
+      border-radius: 0.75rem;
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.2);
+    }
+
+    .consent-title {
+      font-size: 1.125rem;
+      margin-bottom: 0.5rem;
+    }
+
+    .consent-actions {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: flex-end;
+      gap: 0.5rem;
+    }
+
+    .consent-button {
+      font: inherit;
+      font-weight: 600;
+      padding: 0.5rem 1rem;
+      border: 1px solid var(--color-primary-600, #1e40af);
+      border-radius: 0.5rem;
+      background-color: var(--color-white, #ffffff);
+      color: var(--color-primary-600, #1e40af);
+      cursor: pointer;
+    }
+
+    .consent-button-primary {
+      background-color: var(--color-primary-600, #1e40af);
+      color: var(--color-white, #ffffff);
+    }
+
+    .consent-button:focus-visible {
+      outline: 2px solid var(--color-primary-600, #1e40af);
+      outline-offset: 2px;
+    }
+
+    .consent-dialog {
+      width: min(36rem, calc(100% - 2rem));
+      padding: 1.5rem;
+      border: none;
+      border-radius: 0.75rem;
+      background-color: var(--color-white, #ffffff);
+      color: var(--color-gray-800, #1f2937);
+      box-shadow: 0 10px 25px rgba(0, 0, 0, 0.3);
+    }
+
+    .consent-dialog[open]:not(:modal) {
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      z-index: 1002;
+      transform: translate(-50%, -50%);
+    }
+
+    .consent-dialog::backdrop {
+      background-color: rgba(17, 24, 39, 0.6);
+    }
+
+    .consent-categories {
+      display: flex;
+      flex-direction: column;
+      gap: 1rem;
+      margin: 1.25rem 0;
+    }
+
+    .consent-category label {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      font-weight: 600;
+    }
+
+    .consent-category-description {
+      margin: 0.25rem 0 0 1.5rem;
+      font-size: 0.875rem;
+      color: var(--color-gray-600, #4b5563);
+    }
+
+    @media (min-width: 768px) {
+      .consent-banner {
+        flex-direction: row;
+        align-items: center;
+      }
+    }
+  `;
+
+  document.head.appendChild(style);
+}
+
+export const consent = defineFeature(initConsent);
+
+export { hasConsent, onConsentChange, openConsentPreferences };
+
+// ============================================
+// Analytics
+// ============================================
+
+/**
+ * Tracked event names. Payloads describe what happened, never what the
+ * visitor typed.
+ */
+const ANALYTICS_EVENTS = Object.freeze({
+  CTA_CLICK: 'cta_click',
+  CONTACT_CLICK: 'contact_click',
+  SECTION_VIEW: 'section_view',
+  FORM_START: 'form_start',
+  FORM_ABANDON: 'form_abandon',
+  FORM_SUBMIT: 'form_submit',
+  VALIDATION_ERROR: 'validation_error',
+  ORDER_LOOKUP: 'order_lookup',
+  SERVICE_AREA_CHECK: 'service_area_check',
+});
+
+/**
+ * Keeps events in memory; handy in tests and when debugging
+ */
+const memorySink = Object.freeze({
+  events: [],
+
+  /**
+   * Store a batch of events
+   * @param {Object[]} events - Events to store
+   */
+  send(events) {
+    this.events.push(...events);
+  },
+});
+
+/**
+ * Available sinks, selected by name with CONFIG.ANALYTICS_SINKS
+ */
+const ANALYTICS_SINKS = Object.freeze({
+  console: Object.freeze({ send: sendToConsole }),
+  beacon: Object.freeze({ send: sendAsBeacon }),
+  memory: memorySink,
+});
+
+let analyticsActive = false;
+let analyticsQueue = [];
+const viewedSections = new Set();
+
+/**
+ * Initialize event tracking
+ * Events are batched and only leave the page once the visitor consents
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initAnalytics(cleanup) {
+  try {
+    analyticsActive = true;
+
+    cleanup.listen(document, 'click', handleAnalyticsClick);
+    cleanup.listen(document, EVENTS.SECTION_CHANGE, event => {
+      trackSectionView(event.detail.id);
+    });
+
+    const form = document.querySelector(SELECTORS.CONTACT_FORM);
+    if (form) {
+      trackFormProgress(form, cleanup);
+    }
+
+    // pagehide is the last reliable moment to send; hidden tabs may never return
+    cleanup.listen(window, 'pagehide', flushAnalytics);
+    cleanup.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flushAnalytics();
+      }
+    });
+
+    // Granting sends anything collected so far; declining discards it
+    cleanup.add(onConsentChange(categories => {
+      if (categories.analytics) {
+        flushAnalytics();
+      } else {
+        analyticsQueue = [];
+      }
+    }));
+
+    cleanup.add(() => {
+      flushAnalytics();
+      analyticsActive = false;
+      analyticsQueue = [];
+      viewedSections.clear();
+    });
+  } catch (error) {
+    logError('Analytics initialization', error);
+  }
+}
+
+/**
+ * Record a named event
+ * @param {string} name - Event name from ANALYTICS_EVENTS
+ * @param {Object} [properties] - Event details
+ */
+function trackEvent(name, properties = {}) {
+  if (!analyticsActive || getConsent('analytics') === false) {
+    return;
+  }
+
+  analyticsQueue.push({
+    name,
+    properties,
+    page: location.pathname,
+    timestamp: new Date().toISOString(),
+  });
+
+  // Events collected before a decision stay in memory, capped
+  if (analyticsQueue.length > CONFIG.ANALYTICS_MAX_PENDING) {
+    analyticsQueue.splice(0, analyticsQueue.length - CONFIG.ANALYTICS_MAX_PENDING);
+  }
+
+  if (analyticsQueue.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+    flushAnalytics();
+  }
+}
+
+/**
+ * Send queued events to every configured sink, if the visitor has consented
+ */
+function flushAnalytics() {
+  if (!analyticsQueue.length || !hasConsent('analytics')) {
+    return;
+  }
+
+  const batch = analyticsQueue;
+  analyticsQueue = [];
+
+  CONFIG.ANALYTICS_SINKS.forEach(sinkName => {
+    const sink = ANALYTICS_SINKS[sinkName];
+
+    if (!sink) {
+      logError('Analytics', new Error(`Unknown analytics sink: ${sinkName}`));
+      return;
+    }
+
+    try {
+      sink.send(batch);
+    } catch (error) {
+      logError(`Analytics sink ${sinkName}`, error);
+    }
+  });
+}
+
+/**
+ * Log a batch to the console
+ * @param {Object[]} events - Events to send
+ */
+function sendToConsole(events) {
+  events.forEach(event => {
+    console.info('[Fresh & Clean Laundry] Analytics:', event.name, event.properties);
+  });
+}
+
+/**
+ * Send a batch with navigator.sendBeacon, which survives page unload
+ * @param {Object[]} events - Events to send
+ */
+function sendAsBeacon(events) {
+  const body = JSON.stringify({ events });
+
+  if (navigator.sendBeacon) {
+    const queued = navigator.sendBeacon(
+      CONFIG.ANALYTICS_ENDPOINT,
+      new Blob([body], { type: 'application/json' })
+    );
+
+    if (queued) {
+      return;
+    }
+  }
+
+  fetch(CONFIG.ANALYTICS_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body,
+    keepalive: true,
+  }).catch(error => logError('Analytics beacon', error));
+}
+
+/**
+ * Track CTA and contact link clicks
+ * CTAs opt in with data-analytics-cta="<name>"
+ * @param {MouseEvent} event - Click event
+ */
+function handleAnalyticsClick(event) {
+  const target = event.target instanceof Element ? event.target : null;
+
+  if (!target) {
+    return;
+  }
+
+  const cta = target.closest('[data-analytics-cta]');
+  if (cta) {
+    trackEvent(ANALYTICS_EVENTS.CTA_CLICK, { cta: cta.dataset.analyticsCta });
+  }
+
+  const link = target.closest('a[href^="tel:"], a[href^="mailto:"]');
+  if (link) {
+    trackEvent(ANALYTICS_EVENTS.CONTACT_CLICK, {
+      method: link.protocol === 'tel:' ? 'phone' : 'email',
+      location: getAnalyticsLocation(link),
+    });
+  }
+}
+
+/**
+ * Describe where on the page an element is, e.g. "contact" or "footer"
+ * @param {HTMLElement} element - Element
+ * @returns {string} Section id or landmark name
+ */
+function getAnalyticsLocation(element) {
+  const section = element.closest('section[id]');
+
+  if (section) {
+    return section.id;
+  }
+
+  const landmark = element.closest('header, footer');
+  return landmark ? landmark.tagName.toLowerCase() : 'page';
+}
+
+/**
+ * Track the first time each section becomes the one in view
+ * @param {string} id - Section id
+ */
+function trackSectionView(id) {
+  if (!id || viewedSections.has(id)) {
+    return;
+  }
+
+  viewedSections.add(id);
+  trackEvent(ANALYTICS_EVENTS.SECTION_VIEW, { section: id });
+}
+
+/**
+ * Track when a form is started and whether it is abandoned
+ * @param {HTMLFormElement} form - Form element
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function trackFormProgress(form, cleanup) {
+  let started = false;
+  let lastField = '';
+
+  const handleFieldActivity = event => {
+    lastField = event.target.name || lastField;
+
+    if (!started) {
+      started = true;
+      trackEvent(ANALYTICS_EVENTS.FORM_START, { form: form.id, field: lastField });
+    }
+  };
+
+  cleanup.listen(form, 'input', handleFieldActivity);
+  cleanup.listen(form, 'change', handleFieldActivity);
+
+  // Start over once the form is reset, e.g. after a successful booking
+  cleanup.listen(form, 'reset', () => {
+    started = false;
+    delete form.dataset.submitted;
+  });
+
+  cleanup.listen(window, 'pagehide', () => {
+    if (started && !form.dataset.submitted) {
+      trackEvent(ANALYTICS_EVENTS.FORM_ABANDON, {
+        form: form.id,
+        field: lastField,
+        step: form.dataset.currentStep ? Number(form.dataset.currentStep) : null,
+      });
+    }
+  });
+}
+
+/**
+ * Track the result of a form submission
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} status - sent, queued or failed
+ */
+function trackFormSubmit(form, status) {
+  if (status !== 'failed') {
+    form.dataset.submitted = 'true';
+  }
+
+  trackEvent(ANALYTICS_EVENTS.FORM_SUBMIT, {
+    form: form.id,
+    status,
+    adapter: form.dataset.adapter || CONFIG.SUBMISSION_ADAPTER,
+  });
+}
+
+/**
+ * Get the events kept by the in-memory sink
+ * @returns {Object[]} Copies of the recorded events
+ */
+function getTrackedEvents() {
+  return memorySink.events.map(event => ({ ...event }));
+}
+
+export const analytics = defineFeature(initAnalytics);
+
+export { trackEvent, getTrackedEvents, ANALYTICS_EVENTS };
+
+// ============================================
+// Error Reporting
+// ============================================
+
+/**
+ * Breadcrumb categories: what the visitor did shortly before an error
+ */
+const BREADCRUMB_TYPES = Object.freeze({
+  MENU: 'menu',
+  SUBMIT: 'submit',
+  NAVIGATION: 'navigation',
+});
+
+let errorReportingActive = false;
+let errorReports = [];
+let errorBreadcrumbs = [];
+let errorFlushTimer = null;
+let droppedErrorReports = 0;
+const errorReportTimes = [];
+const errorFingerprintCounts = new Map();
+
+/**
+ * Initialize error reporting
+ * Errors passed to logError(), uncaught errors and unhandled promise
+ * rejections are batched and sent to CONFIG.ERROR_REPORT_ENDPOINT.
+ * @param {Object} cleanup - Cleanup tracker
+ */
+function initErrorReporting(cleanup) {
+  try {
+    errorReportingActive = true;
+
+    cleanup.listen(window, 'error', handleUncaughtError);
+    cleanup.listen(window, 'unhandledrejection', handleUnhandledRejection);
+
+    // Capture phase, so the breadcrumb is in place before any submit handler fails
+    cleanup.listen(document, 'submit', event => {
+      const form = event.target;
+      addBreadcrumb(BREADCRUMB_TYPES.SUBMIT, form.id || form.getAttribute('name') || 'form');
+    }, true);
+    cleanup.listen(document, EVENTS.SECTION_CHANGE, event => {
+      addBreadcrumb(BREADCRUMB_TYPES.NAVIGATION, `#${event.detail.id}`);
+    });
+    cleanup.listen(window, 'hashchange', () => {
+      addBreadcrumb(BREADCRUMB_TYPES.NAVIGATION, location.hash || '/');
+    });
+
+    cleanup.listen(window, 'pagehide', flushErrorReports);
+    cleanup.listen(document, 'visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        flushErrorReports();
+      }
+    });
+
+    cleanup.add(() => {
+      flushErrorReports();
+      errorReportingActive = false;
+      errorReports = [];
+      errorBreadcrumbs = [];
+      droppedErrorReports = 0;
+      errorReportTimes.length = 0;
+      errorFingerprintCounts.clear();
+    });
+  } catch (error) {
+    logError('Error reporting initialization', error, { report: false });
+  }
+}
+
+/**
+ * Record something the visitor did, sent along with later error reports
+ * @param {string} type - Category from BREADCRUMB_TYPES
+ * @param {string} message - Short description, never form contents
+ */
+function addBreadcrumb(type, message) {
+  if (!errorReportingActive) {
+    return;
+  }
+
+  errorBreadcrumbs.push({ type, message, timestamp: new Date().toISOString() });
+
+  if (errorBreadcrumbs.length > CONFIG.ERROR_BREADCRUMB_LIMIT) {
+    errorBreadcrumbs.splice(0, errorBreadcrumbs.length - CONFIG.ERROR_BREADCRUMB_LIMIT);
+  }
+}
+
+/**
+ * Queue an error report
+ * A repeat of an error already waiting to be sent only raises its count;
+ * each distinct error is reported at most ERROR_REPORT_MAX_REPEATS times
+ * per page, and no more than ERROR_REPORT_RATE_LIMIT reports are queued
+ * per ERROR_REPORT_RATE_WINDOW.
+ * @param {string} context - Where the error happened, as passed to logError()
+ * @param {*} error - Error, or whatever was thrown
+ * @param {Object} [details] - Extra fields, e.g. the source location of an uncaught error
+ */
+function reportError(context, error, details = {}) {
+  if (!errorReportingActive) {
+    return;
+  }
+
+  const { name, message, stack } = describeError(error);
+  const fingerprint = [context, name, message, (stack.split('\n')[1] || '').trim()].join('|');
+  const pending = errorReports.find(report => report.fingerprint === fingerprint);
+
+  if (pending) {
+    pending.count += 1;
+    return;
+  }
+
+  const timesReported = errorFingerprintCounts.get(fingerprint) || 0;
+
+  if (timesReported >= CONFIG.ERROR_REPORT_MAX_REPEATS || !takeErrorReportSlot()) {
+    droppedErrorReports += 1;
+    return;
+  }
+
+  errorFingerprintCounts.set(fingerprint, timesReported + 1);
+  errorReports.push({
+    fingerprint,
+    context,
+    name,
+    message,
+    stack,
+    ...details,
+    count: 1,
+    // Without the query string and hash, which can carry personal details
+    url: `${location.origin}${location.pathname}`,
+    timestamp: new Date().toISOString(),
+    breadcrumbs: errorBreadcrumbs.slice(),
+  });
+
+  if (errorReports.length >= CONFIG.ERROR_REPORT_BATCH_SIZE) {
+    flushErrorReports();
+  } else if (errorFlushTimer === null) {
+    errorFlushTimer = setTimeout(flushErrorReports, CONFIG.ERROR_REPORT_FLUSH_DELAY);
+  }
+}
+
+/**
+ * Use up one report from the current rate-limit window
+ * @returns {boolean} True if the report may be queued
+ */
+function takeErrorReportSlot() {
+  const now = Date.now();
+
+  while (errorReportTimes.length && now - errorReportTimes[0] >= CONFIG.ERROR_REPORT_RATE_WINDOW) {
+    errorReportTimes.shift();
+  }
+
+  if (errorReportTimes.length >= CONFIG.ERROR_REPORT_RATE_LIMIT) {
+    return false;
+  }
+
+  errorReportTimes.push(now);
+  return true;
+}
+
+/**
+ * Normalize anything thrown into a name, message and stack
+ * @param {*} error - Error, or whatever was thrown
+ * @returns {Object} name, message and stack, the stack trimmed to a few kilobytes
+ */
+function describeError(error) {
+  // Duck-typed, since errors from other frames aren't instances of this window's Error
+  if (error && typeof error === 'object' && typeof error.message === 'string') {
+    return {
+      name: error.name || 'Error',
+      message: error.message,
+      stack: String(error.stack || '').slice(0, 4000),
+    };
+  }
+
+  let message;
+  try {
+    message = typeof error === 'string' ? error : JSON.stringify(error);
+  } catch (stringifyError) {
+    message = String(error);
+  }
+
+  return { name: 'NonError', message: String(message).slice(0, 1000), stack: '' };
+}
+
+/**
+ * Report an uncaught error
+ * @param {ErrorEvent} event - Error event
+ */
+function handleUncaughtError(event) {
+  // Scripts from other origins only ever report "Script error.", which can't be acted on
+  if (!event.error && (!event.filename || event.message === 'Script error.')) {
+    return;
+  }
+
+  reportError('Uncaught error', event.error || event.message, {
+    source: `${event.filename}:${event.lineno}:${event.colno}`,
+  });
+}
+
+/**
+ * Report a promise rejection nothing handled
+ * @param {PromiseRejectionEvent} event - Rejection event
+ */
+function handleUnhandledRejection(event) {
+  reportError('Unhandled rejection', event.reason);
+}
+
+/**
+ * Send queued reports to CONFIG.ERROR_REPORT_ENDPOINT
+ */
+function flushErrorReports() {
+  clearTimeout(errorFlushTimer);
+  errorFlushTimer = null;
+
+  if (!errorReports.length) {
+    return;
+  }
+
+  const reports = errorReports.map(({ fingerprint, ...report }) => report);
+  const body = JSON.stringify({
+    reports,
+    dropped: droppedErrorReports,
+    userAgent: navigator.userAgent,
+  });
+
+  errorReports = [];
+  droppedErrorReports = 0;
+
+  try {
+    if (navigator.sendBeacon && navigator.sendBeacon(
+      CONFIG.ERROR_REPORT_ENDPOINT,
+      new Blob([body], { type: 'application/json' })
+    )) {
+      return;
+    }
+
+    fetch(CONFIG.ERROR_REPORT_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: true,
+    }).catch(error => logError('Error report delivery', error, { report: false }));
+  } catch (error) {
+    // Reporting a failure to report could loop, so it stays in the console
+    logError('Error report delivery', error, { report: false });
+  }
+}
+
+export const errorReporting = defineFeature(initErrorReporting);
+
+export { addBreadcrumb, BREADCRUMB_TYPES };
+
+// ============================================
+// Initialization
+// ============================================
+
+/**
+ * Features in start-up order. Error reporting comes first so failures in
+ * the rest are reported, then translations so everything created
+ * afterwards is rendered in the visitor's language, then analytics so the
+ * other features' events are recorded.
+ */
+const FEATURES = Object.freeze({
+  errorReporting,
+  i18n,
+  theme,
+  siteContent,
+  consent,
+  analytics,
+  smoothScrolling,
+  navigationState,
+  mobileMenu,
+  lazyLoading,
+  scrollToTop,
+  compactHeader,
+  readingProgress,
+  animations,
+  formValidation,
+  submissionTransport,
+  offlineSupport,
+  announcements,
+  bookingWizard,
+  businessHours,
+  priceEstimator,
+  serviceDetails,
+  orderTracker,
+  serviceArea,
+  testimonials,
+  faq,
+  structuredData,
+  keyboardAccessibility,
+});
+
+/**
+ * Deprecated feature names and the features that replaced them, so
+ * switches like { thirdPartyMedia: false } still apply
+ */
+const FEATURE_ALIASES = Object.freeze({
+  thirdPartyMedia: 'lazyLoading',
+});
+
+/**
+ * Initialize all enabled features once the DOM is ready
+ * @param {Object} [config] - CONFIG overrides, plus `features` to switch
+ *   individual features off, e.g. { features: { priceEstimator: false } }
+ */
+export function initializeFeatures(config = {}) {
+  const { features = {}, ...overrides } = config;
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => initializeFeatures(config), { once: true });
+    return;
+  }
+
+  try {
+    configure(overrides);
+
+    const switches = { ...features };
+
+    Object.entries(FEATURE_ALIASES).forEach(([alias, name]) => {
+      if (alias in switches && !(name in switches)) {
+        switches[name] = switches[alias];
+      }
+    });
+
+    Object.entries(FEATURES).forEach(([name, feature]) => {
+      if (switches[name] !== false) {
+        feature.init();
+      }
+    });
+    
+    console.log('[Fresh & Clean Laundry] Interactive features initialized successfully');
+  } catch (error) {
+    logError('Feature initialization', error);
+  }
+}
+
+/**
+ * Tear down every feature, in reverse start-up order
+ */
+export function destroyFeatures() {
+  Object.values(FEATURES).reverse().forEach(feature => {
+    feature.destroy();
+  });
 
-})();
\ No newline at end of file
+  CONFIG = DEFAULT_CONFIG;
+}
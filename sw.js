@@ -0,0 +1,254 @@
+/**
+ * Fresh & Clean Laundry - Service Worker
+ *
+ * Keeps the page usable without a connection:
+ * - Precaches the page, stylesheet, script and local fallback images
+ * - Serves the page and other same-origin files network-first, falling
+ *   back to the cache offline, so the page and its script never mismatch
+ * - Caches images at runtime, keeping at most IMAGE_CACHE_MAX_ENTRIES
+ * - Deletes caches from earlier versions on activate
+ * - Asks an open page to replay queued form submissions on background sync
+ *
+ * Registered by the offlineSupport feature in script.js. Bump
+ * CACHE_VERSION whenever PRECACHE_URLS or the caching rules change.
+ *
+ * @dependencies: []
+ */
+
+'use strict';
+
+// ============================================
+// Configuration & Constants
+// ============================================
+const CACHE_VERSION = 'v1';
+const CACHE_PREFIX = 'fcl-';
+
+const CACHES = Object.freeze({
+  PRECACHE: `${CACHE_PREFIX}precache-${CACHE_VERSION}`,
+  RUNTIME: `${CACHE_PREFIX}runtime-${CACHE_VERSION}`,
+  IMAGES: `${CACHE_PREFIX}images-${CACHE_VERSION}`,
+});
+
+const PRECACHE_URLS = Object.freeze([
+  'index.html',
+  'styles.css',
+  'script.js',
+  'images/placeholder.svg',
+  'images/image-unavailable.svg',
+]);
+
+const IMAGE_CACHE_MAX_ENTRIES = 60;
+
+/**
+ * Background sync tag, matching CONFIG.SUBMISSION_SYNC_TAG in script.js
+ */
+const SUBMISSION_SYNC_TAG = 'fcl-submission-queue';
+
+/**
+ * Message types exchanged with the page, matching SERVICE_WORKER_MESSAGES in script.js
+ */
+const MESSAGES = Object.freeze({
+  SKIP_WAITING: 'skip-waiting',
+  REPLAY_SUBMISSIONS: 'replay-submissions',
+});
+
+// ============================================
+// Lifecycle
+// ============================================
+
+self.addEventListener('install', event => {
+  // A new version waits until the page accepts the update prompt
+  event.waitUntil(
+    caches.open(CACHES.PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = new Set(Object.values(CACHES));
+
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.has(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === MESSAGES.SKIP_WAITING) {
+    self.skipWaiting();
+  }
+});
+
+// ============================================
+// Fetch Handling
+// ============================================
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  const isSameOrigin = url.origin === self.location.origin;
+
+  // API responses are live data and must never come from a cache
+  if (isSameOrigin && url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+    return;
+  }
+
+  if (request.destination === 'image') {
+    event.respondWith(handleImage(request));
+    return;
+  }
+
+  if (isSameOrigin) {
+    event.respondWith(handleAsset(request));
+  }
+});
+
+/**
+ * Network-first for pages; offline, any page falls back to the cached index.html
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Page response
+ */
+async function handleNavigation(request) {
+  try {
+    const response = await fetch(request);
+    const { pathname } = new URL(request.url);
+
+    if (response.ok && (pathname.endsWith('/') || pathname.endsWith('/index.html'))) {
+      const cache = await caches.open(CACHES.PRECACHE);
+      await cache.put('index.html', response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match('index.html', { ignoreSearch: true });
+    return cached || offlineResponse();
+  }
+}
+
+/**
+ * Network-first for same-origin files such as styles.css, script.js and
+ * the content file, refreshing the cached copy on every successful fetch
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Asset response
+ */
+async function handleAsset(request) {
+  try {
+    const response = await fetch(request);
+
+    if (response.ok) {
+      const cacheName = (await isPrecached(request)) ? CACHES.PRECACHE : CACHES.RUNTIME;
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || offlineResponse();
+  }
+}
+
+/**
+ * Cache-first for images, including the consent-gated photos from other
+ * origins, trimming the oldest entries past the size limit
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>} Image response
+ */
+async function handleImage(request) {
+  const cached = await caches.match(request);
+
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request);
+
+    // Cross-origin images load without CORS, so their responses are opaque
+    if (response.ok || response.type === 'opaque') {
+      const cache = await caches.open(CACHES.IMAGES);
+      await cache.put(request, response.clone());
+      await trimCache(cache, IMAGE_CACHE_MAX_ENTRIES);
+    }
+
+    return response;
+  } catch (error) {
+    const fallback = await caches.match('images/image-unavailable.svg');
+    return fallback || offlineResponse();
+  }
+}
+
+/**
+ * Check whether a request is for one of the precached files
+ * @param {Request} request - Request
+ * @returns {Promise<boolean>} True if the precache holds it
+ */
+async function isPrecached(request) {
+  const cache = await caches.open(CACHES.PRECACHE);
+  return Boolean(await cache.match(request, { ignoreSearch: true }));
+}
+
+/**
+ * Delete the oldest entries until a cache is within its limit
+ * Cache keys are returned in insertion order.
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.slice(0, Math.max(keys.length - maxEntries, 0));
+  await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+/**
+ * Response for a request that can't be served from the network or cache
+ * @returns {Response} 503 response
+ */
+function offlineResponse() {
+  return new Response('Offline', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+}
+
+// ============================================
+// Background Sync
+// ============================================
+
+self.addEventListener('sync', event => {
+  if (event.tag === SUBMISSION_SYNC_TAG) {
+    event.waitUntil(requestSubmissionReplay());
+  }
+});
+
+/**
+ * Ask an open page to replay its queued submissions
+ * The queue lives in the page's localStorage, which a service worker
+ * can't read, so with no page open the sync fails and the browser
+ * retries it later. The page also replays the queue when it next loads.
+ * Only one page is asked, since every tab shares the same queue.
+ * @returns {Promise<void>} Resolves once a page has been asked
+ */
+async function requestSubmissionReplay() {
+  const windows = await self.clients.matchAll({ type: 'window' });
+
+  if (!windows.length) {
+    throw new Error('No open page to replay queued submissions');
+  }
+
+  const client = windows.find(candidate => candidate.focused) || windows[0];
+  client.postMessage({ type: MESSAGES.REPLAY_SUBMISSIONS });
+}